@@ -7,8 +7,10 @@ import {
   ListToolsRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
 import { readFile, readdir, stat, writeFile } from 'fs/promises';
-import { join, extname } from 'path';
+import { join, extname, basename } from 'path';
+import { inflateRawSync, inflateSync, constants as zlibConstants } from 'zlib';
 import * as XLSX from 'xlsx';
+import yaml from 'js-yaml';
 
 const server = new Server(
   {
@@ -41,508 +43,6778 @@ const QA_ASSUMPTIONS = {
   password: {
     minLength: 8,
     requirements: ['uppercase', 'lowercase', 'number', 'special'],
+  },
+  array: {
+    maxItems: 100,
+  },
+  graphql: {
+    // Selection depth most servers allow before a depth limit rejects the query
+    maxDepth: 10,
+  },
+  response: {
+    // Never expected in a response body unless the contract declares them
+    sensitiveFields: ['password', 'password_hash', 'passwordHash', 'secret', 'client_secret', 'api_key', 'apiKey', 'ssn', 'credit_card', 'cvv', 'salt'],
+    // Assumed 4xx body when the spec doesn't describe one
+    errorShape: { message: 'string' },
+  },
+  // Payloads for the optional security section; extend per call with `security_payloads`
+  security: {
+    sql_injection: ["' OR '1'='1", "'; DROP TABLE users; --", '1 UNION SELECT username, password FROM users'],
+    nosql_injection: [{ $ne: null }, { $gt: '' }, "'; return true; var x='"],
+    xss: ['<script>alert(1)</script>', '"><img src=x onerror=alert(1)>', '<svg onload=alert(1)>'],
+    command_injection: ['; cat /etc/passwd', '&& whoami', '| ls -la', '$(id)', '`id`'],
+    path_traversal: ['../../../../etc/passwd', '..\\..\\..\\windows\\win.ini', '%2e%2e%2f%2e%2e%2fetc%2fpasswd'],
+    // Raw CR/LF values are refused by HTTP clients before sending; generated scripts leave them to a raw-socket check
+    header_injection: ['value\r\nX-Injected: true', 'value%0d%0aX-Injected: true', 'value%0d%0aSet-Cookie: injected=1'],
+    oversized_payload_bytes: 1048577
   }
 };
 
 // Input Normalization
 function normalizeInput(input) {
-  try {
-    // If already structured, return as-is
-    if (typeof input === 'object' && input.type) {
-      return input;
-    }
+  // Parser errors of a recognised format (OpenAPI, GraphQL, HTML form, SQL, ...) reach the caller;
+  // only input that no detector recognises becomes raw text
 
-    // Try to parse as JSON first
-    let parsed;
-    if (typeof input === 'string') {
-      try {
-        parsed = JSON.parse(input);
-      } catch {
-        parsed = { raw: input };
+  // If already structured, return as-is
+  if (input && typeof input === 'object' && input.type) {
+    return input;
+  }
+
+  // Try to parse as JSON first
+  let parsed;
+  if (typeof input === 'string') {
+    try {
+      parsed = JSON.parse(input);
+    } catch {
+      if (isHtmlFormText(input)) {
+        return parseHtmlForm(input);
+      }
+      if (isSqlSchemaText(input)) {
+        try {
+          return parseSqlSchema(input);
+        } catch {
+          // No table parsed; the text is left to the other detectors
+        }
+      }
+      if (isGraphQLSchemaText(input)) {
+        return parseGraphQLSchema(input);
+      }
+      if (isDecisionTableText(input)) {
+        return parseDecisionTable(input);
+      }
+      if (isGherkinText(input)) {
+        return parseGherkin(input);
+      }
+      // YAML API definitions, OpenAPI files and requirement lists get the same handling as JSON
+      parsed = parseStructuredYaml(input);
+      if (!parsed) {
+        if (isSingleUserStory(input)) {
+          return { type: 'user_story', content: input };
+        }
+        if (!isOpenApiText(input) && isRequirementDocument(input)) {
+          return parseRequirementDocument(input);
+        }
+        parsed = isOpenApiText(input) ? yaml.load(input) : { raw: input };
       }
-    } else {
-      parsed = input;
     }
+  } else {
+    parsed = input;
+  }
+  if (!parsed || typeof parsed !== 'object') {
+    return { type: 'raw_text', content: String(input) };
+  }
 
-    // Detect input type
-    if (parsed.endpoint && parsed.method) {
-      return {
-        type: 'api',
-        endpoint: parsed.endpoint,
-        method: parsed.method,
-        request: parsed.request || parsed.parameters || {},
-        response: parsed.response || {}
-      };
-    }
+  // Detect input type
+  if (isOpenApiDocument(parsed)) {
+    return normalizeOpenApi(parsed);
+  }
 
-    if (parsed.user || parsed.story || parsed.as || parsed.iWant || parsed.soThat) {
-      return {
-        type: 'user_story',
-        content: typeof parsed === 'string' ? parsed : 
-                 parsed.userStory || parsed.story || parsed.content || JSON.stringify(parsed)
-      };
-    }
+  if (isPostmanCollection(parsed)) {
+    return normalizePostmanCollection(parsed);
+  }
 
-    // Default to raw text
+  if (isRequirementList(parsed)) {
+    return normalizeRequirementList(parsed);
+  }
+
+  // { "html": "<form>...</form>", "url": "/signup" }; the key names the format, so markup without a form is an error
+  if (typeof parsed.html === 'string') {
+    return parseHtmlForm(parsed.html, { url: parsed.url });
+  }
+
+  // { "sql": "CREATE TABLE ..." }; the key names the format, so DDL without a table is an error
+  if (typeof parsed.sql === 'string') {
+    return parseSqlSchema(parsed.sql);
+  }
+
+  // { "graphql": "type Query { ... }", "endpoint": "/api/graphql" }; the key names the format, so SDL errors are reported
+  if (typeof parsed.graphql === 'string') {
+    return parseGraphQLSchema(parsed.graphql, { endpoint: parsed.endpoint });
+  }
+
+  // { "decision_table": { conditions, actions, rules } } or a markdown table; a bare { conditions, rules } works too
+  if (parsed.decision_table && ['string', 'object'].includes(typeof parsed.decision_table)) {
+    return parseDecisionTable(parsed.decision_table, { name: parsed.name || parsed.title });
+  }
+  if (parsed.conditions && Array.isArray(parsed.rules)) {
+    return parseDecisionTable(parsed);
+  }
+
+  // { "state_machine": { states, initial, events, transitions } } or the definition itself
+  if (parsed.state_machine && typeof parsed.state_machine === 'object') {
+    return parseStateMachine(parsed.state_machine, { name: parsed.name || parsed.title });
+  }
+  if (isStateMachineDefinition(parsed)) {
+    return parseStateMachine(parsed);
+  }
+
+  // { "permissions": { roles, resources } } or the matrix itself; a user story keeps it for its own cases
+  const isStory = Boolean(parsed.user || parsed.story || parsed.userStory || parsed.as || getStoryText(parsed));
+  if (parsed.permissions && typeof parsed.permissions === 'object' && !isStory) {
+    return parsePermissionMatrix(parsed.permissions, { name: parsed.name || parsed.title });
+  }
+  if (isPermissionMatrixDefinition(parsed)) {
+    return parsePermissionMatrix(parsed);
+  }
+
+  if (isBatchInput(parsed)) {
+    return normalizeBatchInput(parsed);
+  }
+
+  if (parsed.endpoint && parsed.method) {
     return {
-      type: 'raw_text',
-      content: typeof parsed === 'string' ? parsed : JSON.stringify(parsed)
+      type: 'api',
+      endpoint: parsed.endpoint,
+      method: parsed.method,
+      request: parsed.request || parsed.parameters || {},
+      response: parsed.response || {},
+      ...(parsed.responses ? { responses: parsed.responses } : {}),
+      ...(parsed.status_codes ? { status_codes: parsed.status_codes } : {}),
+      ...(parsed.auth ? { auth: normalizeAuthScheme(parsed.auth) } : {}),
+      ...(parsed.roles ? { roles: parsed.roles } : {})
     };
+  }
 
-  } catch (error) {
+  if (isStory) {
     return {
-      type: 'raw_text',
-      content: String(input)
+      type: 'user_story',
+      content: typeof parsed === 'string' ? parsed : 
+               parsed.userStory || parsed.story || parsed.content || getStoryText(parsed) || JSON.stringify(parsed),
+      ...(parsed.acceptance_criteria || parsed.acceptanceCriteria
+        ? { acceptance_criteria: parsed.acceptance_criteria || parsed.acceptanceCriteria }
+        : {}),
+      ...(parsed.permissions ? { permissions: parsePermissionMatrix(parsed.permissions) } : {})
     };
   }
+
+  // Default to raw text
+  return {
+    type: 'raw_text',
+    content: typeof parsed === 'string' ? parsed : JSON.stringify(parsed)
+  };
 }
 
-// Generate test cases based on input type
-function generateTestCases(normalizedInput) {
-  const baseId = generateBaseId(normalizedInput);
-  
-  switch (normalizedInput.type) {
-    case 'api':
-      return generateApiTestCases(normalizedInput, baseId);
-    case 'user_story':
-      return generateUserStoryTestCases(normalizedInput, baseId);
-    case 'raw_text':
-      return generateRawTextTestCases(normalizedInput, baseId);
-    default:
-      throw new Error(`Unsupported input type: ${normalizedInput.type}`);
-  }
+// OpenAPI 3.x / Swagger 2 import
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'patch', 'head', 'options'];
+
+function isOpenApiText(text) {
+  return /^\s*["']?(openapi|swagger)["']?\s*:/m.test(text);
 }
 
-function generateBaseId(input) {
-  if (input.type === 'api') {
-    return `TC_${input.endpoint.replace(/[^a-zA-Z0-9]/g, '_').toUpperCase()}`;
+function isOpenApiDocument(doc) {
+  return Boolean(doc && typeof doc === 'object' && (doc.openapi || doc.swagger) && doc.paths);
+}
+
+function normalizeOpenApi(doc) {
+  const spec = resolveRefs(doc);
+  const operations = [];
+
+  for (const [path, pathItem] of Object.entries(spec.paths || {})) {
+    if (!pathItem || typeof pathItem !== 'object') {
+      continue;
+    }
+
+    for (const method of HTTP_METHODS) {
+      const operation = pathItem[method];
+      if (operation) {
+        operations.push({
+          ...normalizeOpenApiOperation(spec, path, method, pathItem, operation),
+          allowed_methods: HTTP_METHODS.filter(m => pathItem[m]).map(m => m.toUpperCase())
+        });
+      }
+    }
   }
-  
-  // Extract key words from content for ID
-  const content = input.content || '';
-  const words = content.match(/\b\w{3,}\b/g) || [];
-  const keyWords = words.slice(0, 3).map(w => w.toUpperCase());
-  return `TC_${keyWords.join('_')}` || 'TC_GENERIC';
+
+  return {
+    type: 'openapi',
+    title: spec.info?.title || 'API',
+    version: spec.info?.version || '',
+    spec_version: spec.openapi || spec.swagger,
+    operations
+  };
 }
 
-function generateApiTestCases(apiInput, baseId) {
-  const endpoint = apiInput.endpoint;
-  const method = apiInput.method;
-  const request = apiInput.request || {};
-  
-  const testCases = {
-    positive: [],
-    negative: [],
-    boundary: [],
-    edge: []
+function normalizeOpenApiOperation(spec, path, method, pathItem, operation) {
+  // Operation-level parameters override path-level ones with the same name/location
+  const parameters = new Map();
+  for (const param of [...(pathItem.parameters || []), ...(operation.parameters || [])]) {
+    if (param && param.name) {
+      parameters.set(`${param.in}:${param.name}`, param);
+    }
+  }
+
+  const schema = { type: 'object', properties: {}, required: [] };
+  const addField = (name, fieldSchema, location, required) => {
+    schema.properties[name] = { ...fieldSchema, in: location };
+    if (required && !schema.required.includes(name)) {
+      schema.required.push(name);
+    }
   };
 
-  // Positive Test Cases
-  testCases.positive.push({
-    id: `${baseId}_POS_001`,
-    title: `${method} ${endpoint} with valid request`,
-    type: 'positive',
-    precondition: `API endpoint ${endpoint} is available and accessible`,
-    steps: [
-      `Prepare valid request data for ${endpoint}`,
-      `Send ${method} request to ${endpoint}`,
-      `Verify response status is 200`,
-      `Verify response structure matches expected format`
-    ],
-    expected_result: `API returns 200 status with valid response data`,
-    test_data: request,
-    priority: 'High'
-  });
+  for (const param of parameters.values()) {
+    if (param.in === 'body') {
+      addBodySchema(param.schema || {}, addField, param.required);
+    } else {
+      const location = param.in === 'formData' ? 'body' : param.in;
+      addField(param.name, getParameterSchema(param), location, param.required || param.in === 'path');
+    }
+  }
 
-  // Negative Test Cases
-  testCases.negative.push({
-    id: `${baseId}_NEG_001`,
-    title: `${method} ${endpoint} with missing required fields`,
-    type: 'negative',
-    precondition: `API endpoint ${endpoint} is available`,
-    steps: [
-      `Send ${method} request to ${endpoint} without required fields`,
-      `Verify response status is 400`,
-      `Verify error message indicates missing required fields`
-    ],
-    expected_result: `API returns 400 status with validation error`,
-    test_data: {},
-    priority: 'High'
-  });
+  // OpenAPI 3 request body
+  if (operation.requestBody) {
+    const bodySchema = getContentSchema(operation.requestBody.content);
+    if (bodySchema) {
+      addBodySchema(bodySchema, addField, operation.requestBody.required);
+    }
+  }
 
-  testCases.negative.push({
-    id: `${baseId}_NEG_002`,
-    title: `${method} ${endpoint} with invalid data format`,
-    type: 'negative',
-    precondition: `API endpoint ${endpoint} is available`,
-    steps: [
-      `Send ${method} request to ${endpoint} with invalid data types`,
-      `Verify response status is 400`,
-      `Verify error message indicates invalid format`
-    ],
-    expected_result: `API returns 400 status with format validation error`,
-    test_data: getInvalidTestData(request),
-    priority: 'Medium'
-  });
+  const responses = {};
+  for (const [code, response] of Object.entries(operation.responses || {})) {
+    responses[code] = {
+      description: response?.description || '',
+      schema: response?.schema || getContentSchema(response?.content) || null
+    };
+  }
 
-  // Boundary Test Cases
-  testCases.boundary.push({
-    id: `${baseId}_BND_001`,
-    title: `${method} ${endpoint} with maximum length values`,
-    type: 'boundary',
-    precondition: `API endpoint ${endpoint} is available`,
-    steps: [
-      `Send ${method} request to ${endpoint} with max length string values`,
-      `Verify response status is 200`,
-      `Verify data is processed correctly`
-    ],
-    expected_result: `API processes max length values successfully`,
-    test_data: getBoundaryTestData(request, 'max'),
-    priority: 'Medium'
-  });
+  const successCode = Object.keys(responses).find(code => /^2\d\d$/.test(code));
+  const successSchema = successCode ? responses[successCode].schema : null;
 
-  testCases.boundary.push({
-    id: `${baseId}_BND_002`,
-    title: `${method} ${endpoint} with minimum length values`,
-    type: 'boundary',
-    precondition: `API endpoint ${endpoint} is available`,
-    steps: [
-      `Send ${method} request to ${endpoint} with min length values`,
-      `Verify response status is 200`,
-      `Verify data is processed correctly`
-    ],
-    expected_result: `API processes min length values successfully`,
-    test_data: getBoundaryTestData(request, 'min'),
-    priority: 'Medium'
-  });
+  return {
+    type: 'api',
+    endpoint: path,
+    method: method.toUpperCase(),
+    operation_id: operation.operationId || null,
+    summary: operation.summary || operation.description || '',
+    suite: `${method.toUpperCase()} ${path}`,
+    tags: operation.tags || [],
+    request: sampleFromSchema(schema),
+    schema,
+    responses,
+    response: successSchema ? sampleFromSchema(successSchema) : {},
+    security: operation.security || spec.security || [],
+    auth: resolveOpenApiAuth(spec, operation.security || spec.security || []),
+    roles: operation['x-roles'] || []
+  };
+}
 
-  // Edge Test Cases
-  testCases.edge.push({
-    id: `${baseId}_EDGE_001`,
-    title: `${method} ${endpoint} with null values`,
-    type: 'edge',
-    precondition: `API endpoint ${endpoint} is available`,
-    steps: [
-      `Send ${method} request to ${endpoint} with null values for optional fields`,
-      `Verify response status is 200`,
-      `Verify null values are handled appropriately`
-    ],
-    expected_result: `API handles null values without errors`,
-    test_data: getEdgeTestData(request, 'null'),
-    priority: 'Low'
-  });
+function addBodySchema(bodySchema, addField, bodyRequired) {
+  const objectSchema = mergeAllOf(bodySchema);
 
-  testCases.edge.push({
-    id: `${baseId}_EDGE_002`,
-    title: `${method} ${endpoint} with special characters`,
-    type: 'edge',
-    precondition: `API endpoint ${endpoint} is available`,
-    steps: [
-      `Send ${method} request to ${endpoint} with special characters`,
-      `Verify response status is 200`,
-      `Verify special characters are processed correctly`
-    ],
-    expected_result: `API handles special characters appropriately`,
-    test_data: getEdgeTestData(request, 'special'),
-    priority: 'Low'
-  });
+  if (objectSchema.type === 'object' || objectSchema.properties) {
+    const required = objectSchema.required || [];
+    for (const [name, fieldSchema] of Object.entries(objectSchema.properties || {})) {
+      addField(name, fieldSchema, 'body', required.includes(name));
+    }
+  } else {
+    addField('body', objectSchema, 'body', bodyRequired);
+  }
+}
 
-  return testCases;
+function getParameterSchema(param) {
+  if (param.schema) {
+    return param.schema;
+  }
+
+  // Swagger 2 keeps the type keywords on the parameter itself
+  const keywords = ['type', 'format', 'enum', 'items', 'minimum', 'maximum', 'minLength', 'maxLength', 'pattern', 'default'];
+  const schema = {};
+  for (const keyword of keywords) {
+    if (param[keyword] !== undefined) {
+      schema[keyword] = param[keyword];
+    }
+  }
+  return schema;
 }
 
-function generateUserStoryTestCases(storyInput, baseId) {
-  const content = storyInput.content;
-  const testCases = {
-    positive: [],
-    negative: [],
-    boundary: [],
-    edge: []
-  };
+function getContentSchema(content) {
+  if (!content || typeof content !== 'object') {
+    return null;
+  }
 
-  // Extract main action from user story
-  const mainAction = extractMainAction(content);
+  const mediaType = content['application/json'] ||
+    Object.entries(content).find(([type]) => type.includes('json'))?.[1] ||
+    Object.values(content)[0];
+  return mediaType?.schema || null;
+}
 
-  // Positive Test Cases
-  testCases.positive.push({
-    id: `${baseId}_POS_001`,
-    title: `Happy path - ${mainAction}`,
-    type: 'positive',
-    precondition: 'User has valid credentials and necessary permissions',
-    steps: [
-      'Navigate to the relevant page',
-      `Perform ${mainAction} with valid data`,
-      'Verify the action completes successfully',
-      'Verify expected outcome is achieved'
-    ],
-    expected_result: `User can ${mainAction} and see expected result`,
-    test_data: { scenario: 'happy_path' },
-    priority: 'High'
-  });
+function mergeAllOf(schema) {
+  if (!schema || !Array.isArray(schema.allOf)) {
+    return schema || {};
+  }
 
-  // Negative Test Cases
-  testCases.negative.push({
-    id: `${baseId}_NEG_001`,
-    title: `Invalid input - ${mainAction}`,
-    type: 'negative',
-    precondition: 'User is on the relevant page',
-    steps: [
-      'Enter invalid or missing required information',
-      'Attempt to complete the action',
-      'Verify validation error messages appear',
-      'Verify action cannot be completed'
-    ],
-    expected_result: 'System displays appropriate error messages and prevents invalid action',
-    test_data: { scenario: 'invalid_input' },
-    priority: 'High'
-  });
+  const merged = { ...schema, type: 'object', properties: { ...(schema.properties || {}) }, required: [...(schema.required || [])] };
+  delete merged.allOf;
+  for (const part of schema.allOf.map(mergeAllOf)) {
+    Object.assign(merged.properties, part.properties || {});
+    merged.required.push(...(part.required || []));
+  }
+  return merged;
+}
 
-  // Boundary Test Cases
-  testCases.boundary.push({
-    id: `${baseId}_BND_001`,
-    title: `Maximum limits - ${mainAction}`,
-    type: 'boundary',
-    precondition: 'User is on the relevant page',
-    steps: [
-      'Enter data at maximum allowed limits',
-      'Attempt to complete the action',
-      'Verify system handles maximum limits correctly',
-      'Verify action completes or shows appropriate limit message'
-    ],
-    expected_result: 'System handles maximum boundary values appropriately',
-    test_data: { scenario: 'max_limits' },
-    priority: 'Medium'
-  });
+function resolveRefs(doc) {
+  const lookup = (ref) => {
+    if (!ref.startsWith('#/')) {
+      throw new Error(`Only local $ref values are supported: ${ref}`);
+    }
+    return ref.slice(2).split('/').reduce((node, segment) => {
+      const key = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+      if (!node || typeof node !== 'object' || !Object.hasOwn(node, key)) {
+        throw new Error(`Unresolvable $ref: ${ref}`);
+      }
+      return node[key];
+    }, doc);
+  };
 
-  // Edge Test Cases
-  testCases.edge.push({
-    id: `${baseId}_EDGE_001`,
-    title: `Concurrent access - ${mainAction}`,
-    type: 'edge',
-    precondition: 'Multiple users have access to the system',
-    steps: [
-      'Multiple users attempt the same action simultaneously',
-      'Verify system handles concurrent requests',
-      'Verify data integrity is maintained',
-      'Verify all users receive appropriate responses'
-    ],
-    expected_result: 'System maintains data integrity under concurrent access',
-    test_data: { scenario: 'concurrent_access' },
-    priority: 'Low'
-  });
+  const resolve = (node, stack) => {
+    if (Array.isArray(node)) {
+      return node.map(item => resolve(item, stack));
+    }
+    if (!node || typeof node !== 'object') {
+      return node;
+    }
+    if (typeof node.$ref === 'string') {
+      // Recursive schemas are cut off at the first repetition
+      if (stack.includes(node.$ref)) {
+        return { type: 'object' };
+      }
+      return resolve(lookup(node.$ref), [...stack, node.$ref]);
+    }
 
-  return testCases;
+    const resolved = {};
+    for (const [key, value] of Object.entries(node)) {
+      resolved[key] = resolve(value, stack);
+    }
+    return resolved;
+  };
+
+  return resolve(doc, []);
 }
 
-function generateRawTextTestCases(textInput, baseId) {
-  const content = textInput.content;
-  const testCases = {
-    positive: [],
-    negative: [],
-    boundary: [],
-    edge: []
-  };
+function sampleFromSchema(schema, depth = 0) {
+  const resolved = mergeAllOf(schema);
 
-  const mainFeature = extractMainFeature(content);
+  if (resolved.example !== undefined) return resolved.example;
+  if (resolved.default !== undefined) return resolved.default;
+  if (Array.isArray(resolved.enum) && resolved.enum.length > 0) return resolved.enum[0];
 
-  // Generate generic test cases based on content analysis
-  testCases.positive.push({
-    id: `${baseId}_POS_001`,
-    title: `Basic functionality - ${mainFeature}`,
-    type: 'positive',
-    precondition: 'System is available and user has necessary access',
-    steps: [
-      'Access the feature/function',
-      'Perform basic operation with valid inputs',
-      'Verify the operation completes successfully',
-      'Verify expected output is displayed'
-    ],
-    expected_result: 'Feature works correctly with valid inputs',
-    test_data: { scenario: 'basic_functionality' },
-    priority: 'High'
-  });
+  const variant = resolved.oneOf?.[0] || resolved.anyOf?.[0];
+  if (variant) {
+    return sampleFromSchema(variant, depth);
+  }
 
-  testCases.negative.push({
-    id: `${baseId}_NEG_001`,
-    title: `Error handling - ${mainFeature}`,
-    type: 'negative',
-    precondition: 'User is accessing the feature',
-    steps: [
-      'Provide invalid or missing inputs',
-      'Attempt to execute the operation',
-      'Verify appropriate error messages are shown',
-      'Verify system remains stable'
-    ],
-    expected_result: 'System handles errors gracefully with clear error messages',
-    test_data: { scenario: 'error_handling' },
-    priority: 'High'
-  });
+  const type = Array.isArray(resolved.type) ? resolved.type.find(t => t !== 'null') : resolved.type;
 
-  testCases.boundary.push({
-    id: `${baseId}_BND_001`,
-    title: `Limit testing - ${mainFeature}`,
-    type: 'boundary',
-    precondition: 'User is accessing the feature',
-    steps: [
-      'Test with minimum allowed values',
-      'Test with maximum allowed values',
-      'Verify system behavior at boundaries',
-      'Verify no crashes or unexpected behavior'
-    ],
-    expected_result: 'System behaves correctly at boundary values',
-    test_data: { scenario: 'boundary_testing' },
-    priority: 'Medium'
-  });
+  if (type === 'object' || resolved.properties) {
+    const sample = {};
+    if (depth < 5) {
+      for (const [name, fieldSchema] of Object.entries(resolved.properties || {})) {
+        sample[name] = sampleFromSchema(fieldSchema, depth + 1);
+      }
+    }
+    return sample;
+  }
 
-  testCases.edge.push({
-    id: `${baseId}_EDGE_001`,
-    title: `Stress testing - ${mainFeature}`,
-    type: 'edge',
-    precondition: 'System is under normal load',
-    steps: [
-      'Execute multiple operations rapidly',
-      'Verify system response time',
-      'Verify system stability under load',
-      'Verify data integrity is maintained'
-    ],
-    expected_result: 'System maintains performance and stability under stress',
-    test_data: { scenario: 'stress_testing' },
-    priority: 'Low'
+  if (type === 'array') {
+    return depth < 5 && resolved.items ? [sampleFromSchema(resolved.items, depth + 1)] : [];
+  }
+
+  if (type === 'integer') {
+    return resolved.minimum !== undefined ? resolved.minimum : 1;
+  }
+
+  if (type === 'number') {
+    return resolved.minimum !== undefined ? resolved.minimum : 1.5;
+  }
+
+  if (type === 'boolean') {
+    return true;
+  }
+
+  switch (resolved.format) {
+    case 'email': return 'user@example.com';
+    case 'date': return '2024-01-01';
+    case 'date-time': return '2024-01-01T00:00:00Z';
+    case 'uuid': return '123e4567-e89b-12d3-a456-426614174000';
+    case 'uri':
+    case 'url': return 'https://example.com';
+    default: return resolved.minLength ? 'a'.repeat(resolved.minLength) : 'string';
+  }
+}
+
+// Postman collection v2.x import
+function isPostmanCollection(doc) {
+  return Boolean(doc && typeof doc === 'object' && Array.isArray(doc.item) &&
+    (doc.info?.schema?.includes('getpostman.com') || doc.info?._postman_id));
+}
+
+function normalizePostmanCollection(collection) {
+  const operations = [];
+
+  // Auth is inherited from the collection and folders unless a request overrides it
+  const walk = (items, folders, inheritedAuth) => {
+    for (const item of items || []) {
+      const auth = item.auth || item.request?.auth || inheritedAuth;
+      if (Array.isArray(item.item)) {
+        walk(item.item, [...folders, item.name || 'Folder'], auth);
+      } else if (item.request) {
+        const operation = normalizePostmanRequest(item, folders);
+        operation.auth = normalizePostmanAuth(auth) || detectAuthFromHeaders(operation.headers);
+        operations.push(operation);
+      }
+    }
+  };
+  walk(collection.item, [], collection.auth);
+
+  // Methods defined for the same path tell which ones are expected to return 405
+  for (const operation of operations) {
+    operation.allowed_methods = [...new Set(operations
+      .filter(other => other.endpoint === operation.endpoint)
+      .map(other => other.method))];
+  }
+
+  return {
+    type: 'postman',
+    title: collection.info?.name || 'Postman Collection',
+    operations
+  };
+}
+
+function normalizePostmanRequest(item, folders) {
+  // A request may be stored as a bare URL string
+  const request = typeof item.request === 'string' ? { url: item.request } : item.request;
+  const url = parsePostmanUrl(request.url);
+  const method = (request.method || 'GET').toUpperCase();
+
+  const headers = {};
+  for (const header of request.header || []) {
+    if (header.key && !header.disabled) {
+      headers[header.key] = header.value ?? '';
+    }
+  }
+
+  return {
+    type: 'api',
+    endpoint: url.path,
+    method,
+    summary: item.name || '',
+    suite: [...folders, item.name || `${method} ${url.path}`].join(' / '),
+    folders,
+    headers,
+    query: url.query,
+    request: parsePostmanBody(request.body),
+    response: parsePostmanExampleResponse(item.response)
+  };
+}
+
+function parsePostmanUrl(url) {
+  if (!url) {
+    return { path: '/', query: {} };
+  }
+
+  const query = {};
+  let path;
+
+  if (typeof url === 'string') {
+    const [base, ...rest] = url.split('?');
+    path = base.replace(/^(\{\{[^}]+\}\}|[a-z]+:\/\/[^/]+)/i, '');
+    // Raw URLs are not always encoded ("?discount=50%"); undecodable parts are kept as written
+    const decode = (part) => {
+      try {
+        return decodeURIComponent(part.replace(/\+/g, ' '));
+      } catch {
+        return part;
+      }
+    };
+    for (const pair of rest.join('?').split('&').filter(Boolean)) {
+      const separator = pair.indexOf('=');
+      const key = separator < 0 ? pair : pair.slice(0, separator);
+      query[decode(key)] = separator < 0 ? '' : decode(pair.slice(separator + 1));
+    }
+  } else {
+    path = Array.isArray(url.path) ? url.path.map(segment => segment.value ?? segment).join('/') :
+      (url.path || parsePostmanUrl(url.raw).path);
+    for (const param of url.query || []) {
+      if (param.key && !param.disabled) {
+        query[param.key] = param.value ?? '';
+      }
+    }
+  }
+
+  return { path: '/' + String(path).replace(/^\/+/, ''), query };
+}
+
+function parsePostmanBody(body) {
+  if (!body || body.disabled) {
+    return {};
+  }
+
+  if (body.mode === 'raw' && body.raw) {
+    try {
+      return JSON.parse(body.raw);
+    } catch {
+      // Unquoted {{variables}} are common in raw bodies; quote them and retry
+      try {
+        return JSON.parse(body.raw.replace(/(:\s*)(\{\{[^}]+\}\})/g, '$1"$2"'));
+      } catch {
+        return { body: body.raw };
+      }
+    }
+  }
+
+  if (body.mode === 'urlencoded' || body.mode === 'formdata') {
+    const fields = {};
+    for (const field of body[body.mode] || []) {
+      if (field.key && !field.disabled) {
+        fields[field.key] = field.type === 'file' ? 'file' : (field.value ?? '');
+      }
+    }
+    return fields;
+  }
+
+  if (body.mode === 'graphql' && body.graphql) {
+    return { query: body.graphql.query, variables: body.graphql.variables || {} };
+  }
+
+  return {};
+}
+
+function parsePostmanExampleResponse(responses) {
+  const example = (responses || []).find(response => response.body);
+  if (!example) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(example.body);
+  } catch {
+    return {};
+  }
+}
+
+// Gherkin (.feature) import
+const GHERKIN_SCENARIO_KEYWORDS = ['Scenario Outline', 'Scenario Template', 'Scenario', 'Example'];
+const GHERKIN_STEP_KEYWORDS = ['Given', 'When', 'Then', 'And', 'But', '*'];
+
+function isGherkinText(text) {
+  return /^\s*Feature:/m.test(text) && /^\s*(Scenario( Outline| Template)?|Example):/m.test(text);
+}
+
+function parseGherkin(text) {
+  const feature = { type: 'gherkin', feature: '', description: '', tags: [], background: [], scenarios: [] };
+  let tags = [];
+  let rule = null;
+  let steps = null;
+  let scenario = null;
+  let examples = null;
+  let docString = null;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+
+    // Doc strings keep their content verbatim until the closing delimiter
+    if (docString) {
+      if (line === docString.delimiter) {
+        docString = null;
+      } else {
+        docString.step.doc_string += (docString.step.doc_string ? '\n' : '') + line;
+      }
+      continue;
+    }
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+
+    if (line.startsWith('@')) {
+      tags.push(...line.split(/\s+/).filter(tag => tag.startsWith('@')).map(tag => tag.slice(1).toLowerCase()));
+      continue;
+    }
+
+    const [, keyword, name = ''] = line.match(/^(Feature|Rule|Background|Scenario Outline|Scenario Template|Scenario|Example|Examples|Scenarios):\s*(.*)$/) || [];
+    if (keyword === 'Feature') {
+      feature.feature = name;
+      feature.tags = tags;
+    } else if (keyword === 'Rule') {
+      rule = { name, tags, background: [] };
+      scenario = null;
+      steps = null;
+      examples = null;
+    } else if (keyword === 'Background') {
+      steps = rule ? rule.background : feature.background;
+      scenario = null;
+      examples = null;
+    } else if (GHERKIN_SCENARIO_KEYWORDS.includes(keyword)) {
+      scenario = {
+        name,
+        rule: rule ? rule.name : undefined,
+        tags: [...feature.tags, ...(rule ? rule.tags : []), ...tags],
+        background: [...feature.background, ...(rule ? rule.background : [])],
+        steps: [],
+        examples: []
+      };
+      feature.scenarios.push(scenario);
+      steps = scenario.steps;
+      examples = null;
+    } else if ((keyword === 'Examples' || keyword === 'Scenarios') && scenario) {
+      examples = { name, tags, headers: null, rows: [] };
+      scenario.examples.push(examples);
+      steps = null;
+    }
+    if (keyword) {
+      tags = [];
+      continue;
+    }
+
+    if (line.startsWith('|')) {
+      const cells = line.replace(/^\||\|$/g, '').split('|').map(cell => cell.trim());
+      if (examples) {
+        if (examples.headers) {
+          examples.rows.push(cells);
+        } else {
+          examples.headers = cells;
+        }
+      } else if (steps && steps.length > 0) {
+        const step = steps[steps.length - 1];
+        step.table = step.table || [];
+        step.table.push(cells);
+      }
+      continue;
+    }
+
+    if ((line.startsWith('"""') || line.startsWith('```')) && steps && steps.length > 0) {
+      docString = { delimiter: line.slice(0, 3), step: steps[steps.length - 1] };
+      docString.step.doc_string = '';
+      continue;
+    }
+
+    const stepKeyword = GHERKIN_STEP_KEYWORDS.find(word => line === word || line.startsWith(`${word} `));
+    if (stepKeyword && steps) {
+      // And / But / * continue the previous Given / When / Then block
+      const previous = steps.length > 0 ? steps[steps.length - 1].keyword : 'Given';
+      steps.push({
+        keyword: ['And', 'But', '*'].includes(stepKeyword) ? previous : stepKeyword,
+        text: line.slice(stepKeyword.length).trim()
+      });
+      continue;
+    }
+
+    // Free text right under Feature: is its description
+    if (feature.feature && !rule && !steps && !scenario) {
+      feature.description += (feature.description ? '\n' : '') + line;
+    }
+  }
+
+  return feature;
+}
+
+// HTML form import
+// Constraint attributes (required, type, min, max, minlength, maxlength, pattern) describe each field;
+// locators use the real data-testid / id / name attributes from the markup
+const HTML_SKIPPED_INPUT_TYPES = ['hidden', 'button', 'reset'];
+const HTML_SUBMIT_INPUT_TYPES = ['submit', 'image'];
+
+function isHtmlFormText(text) {
+  return /^\s*</.test(text) && /<(form|input|select|textarea)\b/i.test(text);
+}
+
+function parseHtmlAttributes(source) {
+  const attributes = {};
+  for (const [, name, doubleQuoted, singleQuoted, bare] of source.matchAll(/([^\s=/>"']+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g)) {
+    attributes[name.toLowerCase()] = decodeXmlEntities(doubleQuoted ?? singleQuoted ?? bare ?? '');
+  }
+  return attributes;
+}
+
+// One html_form input per <form>; markup with several forms becomes a batch with one suite per form
+function parseHtmlForm(html, options = {}) {
+  const forms = [];
+  const looseForm = { attributes: {}, fields: [], submit: null };
+  const labelsFor = {};
+  let form = null;
+  let label = null;
+  let option = null;
+  let select = null;
+  let button = null;
+
+  const addField = (target, tag, type, attributes) => {
+    // Radio buttons sharing a name are one field with several options
+    const existing = type === 'radio' && target.fields.find(field => field.type === 'radio' && field.name === attributes.name);
+    if (existing) {
+      existing.options.push({ value: attributes.value ?? 'on', attributes });
+      existing.required = existing.required || 'required' in attributes;
+      return existing;
+    }
+    const field = {
+      name: attributes.name || attributes.id || attributes['data-testid'] || `${type}_${target.fields.length + 1}`,
+      tag,
+      type,
+      attributes,
+      required: 'required' in attributes,
+      label: '',
+      ...(type === 'radio' ? { options: [{ value: attributes.value ?? 'on', attributes }] } : {})
+    };
+    if (label) {
+      label.fields.push(field);
+    }
+    target.fields.push(field);
+    return field;
+  };
+  const closeOption = () => {
+    if (option && select) {
+      const text = option.text.trim();
+      select.options.push({ value: option.attributes.value ?? text, label: text });
+    }
+    option = null;
+  };
+
+  const tokens = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][\w-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|([^<]+)/g;
+  for (const [, closing, rawName, rawAttributes = '', text] of html.matchAll(tokens)) {
+    if (text !== undefined) {
+      const value = decodeXmlEntities(text).replace(/\s+/g, ' ');
+      for (const target of [option, label, button]) {
+        if (target) {
+          target.text += value;
+        }
+      }
+      continue;
+    }
+    if (!rawName) {
+      continue;
+    }
+
+    const name = rawName.toLowerCase();
+    const attributes = closing ? {} : parseHtmlAttributes(rawAttributes);
+    const target = form || looseForm;
+
+    if (name === 'form') {
+      form = closing ? null : { attributes, fields: [], submit: null };
+      if (form) {
+        forms.push(form);
+      }
+    } else if (name === 'label') {
+      if (!closing) {
+        label = { text: '', for: attributes.for, fields: [] };
+      } else if (label) {
+        const labelText = label.text.trim();
+        if (label.for) {
+          labelsFor[label.for] = labelText;
+        }
+        label.fields.forEach(field => { field.label = field.label || labelText; });
+        label = null;
+      }
+    } else if (name === 'input' && !closing) {
+      const type = (attributes.type || 'text').toLowerCase();
+      if (HTML_SUBMIT_INPUT_TYPES.includes(type)) {
+        target.submit = target.submit || { attributes, text: attributes.value || attributes.alt || '' };
+      } else if (!HTML_SKIPPED_INPUT_TYPES.includes(type)) {
+        addField(target, 'input', type, attributes);
+      }
+    } else if (name === 'select') {
+      closeOption();
+      select = closing ? null : addField(target, 'select', 'select', attributes);
+      if (select) {
+        select.options = [];
+      }
+    } else if (name === 'option') {
+      closeOption();
+      option = closing ? null : { attributes, text: '' };
+    } else if (name === 'textarea' && !closing) {
+      addField(target, 'textarea', 'textarea', attributes);
+    } else if (name === 'button') {
+      // A <button> without a type submits its form
+      if (!closing && (attributes.type || 'submit').toLowerCase() === 'submit') {
+        button = { attributes, text: '' };
+      } else if (closing && button) {
+        button.text = button.text.trim();
+        target.submit = target.submit || button;
+        button = null;
+      }
+    }
+  }
+
+  if (looseForm.fields.length > 0) {
+    forms.push(looseForm);
+  }
+  if (forms.length === 0) {
+    throw new Error('No form fields found in the HTML markup');
+  }
+
+  // Forms sharing an id/name fall back to their position on the page
+  const formLocators = forms.map(parsedForm => getHtmlLocator(parsedForm.attributes, null));
+  const inputs = forms.map((parsedForm, index) => {
+    for (const field of parsedForm.fields) {
+      field.label = field.label || labelsFor[field.attributes.id] || field.attributes['aria-label'] ||
+        field.attributes.placeholder || field.name.replace(/[_-]+/g, ' ');
+    }
+    const unique = formLocators[index] && formLocators.indexOf(formLocators[index]) === formLocators.lastIndexOf(formLocators[index]);
+    return normalizeHtmlForm(parsedForm, forms.length > 1 ? index : null, unique ? formLocators[index] : null, options);
   });
+  if (inputs.length === 1) {
+    return inputs[0];
+  }
+  return {
+    type: 'batch',
+    inputs: inputs.map((input, index) => ({
+      ...input,
+      suite: inputs.findIndex(other => other.name === input.name) === index ? input.name : `${input.name} (${index + 1})`
+    }))
+  };
+}
+
+function normalizeHtmlForm(parsedForm, index, ownLocator, options) {
+  const { attributes } = parsedForm;
+  const formLocator = ownLocator ||
+    (Object.keys(attributes).length > 0 || index !== null ? `page.locator('form')${index !== null ? `.nth(${index})` : ''}` : null);
+  const scope = formLocator;
+  const submit = parsedForm.submit;
+
+  return {
+    type: 'html_form',
+    name: attributes.name || attributes.id || attributes['data-testid'] || attributes['aria-label'] || attributes.action || 'form',
+    action: attributes.action || '',
+    method: (attributes.method || 'get').toUpperCase(),
+    ...(options.url ? { url: options.url } : {}),
+    locator: formLocator,
+    submit: submit
+      ? getHtmlLocator(submit.attributes, scope) ||
+        (submit.text ? `${scope || 'page'}.getByRole('button', { name: ${quoteJs(submit.text)} })` : `${formLocator || 'page'}.locator('[type="submit"]')`)
+      : `${formLocator || 'page'}.locator('[type="submit"]')`,
+    fields: parsedForm.fields.map(field => ({
+      name: field.name,
+      label: field.label,
+      control: getHtmlControl(field.type),
+      input_type: field.type,
+      required: field.required,
+      ...['min', 'max', 'step', 'minlength', 'maxlength', 'pattern', 'accept']
+        .filter(key => field.attributes[key] !== undefined && field.attributes[key] !== '')
+        .reduce((constraints, key) => ({ ...constraints, [key]: field.attributes[key] }), {}),
+      ...(field.options ? { options: field.options.map(entry => entry.value) } : {}),
+      locator: (field.type !== 'radio' && getHtmlLocator(field.attributes, scope)) ||
+        `${scope || 'page'}.locator('[name="${cssEscapeValue(field.name)}"]')`,
+      // Each radio option is checked through its own element
+      ...(field.type === 'radio'
+        ? {
+          locators: Object.fromEntries(field.options.map(entry => [entry.value,
+            getHtmlLocator(entry.attributes, scope, false) ||
+            `${scope || 'page'}.locator('[name="${cssEscapeValue(field.name)}"][value="${cssEscapeValue(entry.value)}"]')`]))
+        }
+        : {})
+    }))
+  };
+}
+
+// data-testid, then id, then name; name lookups are scoped to the form when it has its own locator
+function getHtmlLocator(attributes, scope, useName = true) {
+  if (attributes['data-testid']) {
+    return `page.getByTestId(${quoteJs(attributes['data-testid'])})`;
+  }
+  if (attributes.id) {
+    return /^[A-Za-z][\w-]*$/.test(attributes.id)
+      ? `page.locator('#${attributes.id}')`
+      : `page.locator('[id="${cssEscapeValue(attributes.id)}"]')`;
+  }
+  if (useName && attributes.name) {
+    return `${scope || 'page'}.locator('[name="${cssEscapeValue(attributes.name)}"]')`;
+  }
+  return null;
+}
+
+function getHtmlControl(type) {
+  if (['checkbox', 'radio', 'file', 'select'].includes(type)) {
+    return type;
+  }
+  return 'fill';
+}
+
+function quoteJs(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+function cssEscapeValue(value) {
+  return String(value).replace(/\\/g, '\\\\\\\\').replace(/"/g, '\\\\"').replace(/'/g, "\\'");
+}
+
+// SQL DDL (db_schema) import
+// CREATE TABLE / ALTER TABLE ... ADD statements are read into tables with their columns and constraints
+const SQL_INTEGER_RANGES = {
+  tinyint: [-128, 127],
+  smallint: [-32768, 32767],
+  int2: [-32768, 32767],
+  mediumint: [-8388608, 8388607],
+  int: [-2147483648, 2147483647],
+  integer: [-2147483648, 2147483647],
+  int4: [-2147483648, 2147483647],
+  serial: [1, 2147483647],
+  smallserial: [1, 32767]
+};
+const SQL_REFERENTIAL_ACTION = /ON\s+(DELETE|UPDATE)\s+(SET\s+NULL|SET\s+DEFAULT|CASCADE|RESTRICT|NO\s+ACTION)/gi;
+
+// A line that starts a CREATE TABLE statement, not prose that mentions creating a table
+function isSqlSchemaText(text) {
+  return /^\s*CREATE\s+(?:(?:GLOBAL|LOCAL)\s+)?(?:(?:TEMP|TEMPORARY|UNLOGGED)\s+)?TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?[^\s(]+\s*\(/im.test(text);
+}
+
+function parseSqlSchema(text) {
+  const sql = text.replace(/--[^\n]*/g, '').replace(/\/\*[\s\S]*?\*\//g, '');
+  const tables = [];
+  const findTable = (name) => tables.find(table => table.name.toLowerCase() === name.toLowerCase());
+
+  for (const statement of splitSqlTopLevel(sql, ';')) {
+    const create = statement.match(/^CREATE\s+(?:(?:GLOBAL|LOCAL)\s+)?(?:(?:TEMP|TEMPORARY|UNLOGGED)\s+)?TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?([^\s(]+)\s*\(/i);
+    if (create) {
+      const table = { name: unquoteSqlIdentifier(create[1]), columns: [], primary_key: [], unique: [], checks: [], foreign_keys: [] };
+      const body = readSqlParenthesized(statement, create[0].length - 1);
+      for (const item of splitSqlTopLevel(body, ',')) {
+        if (!addSqlTableConstraint(table, item)) {
+          addSqlColumn(table, item);
+        }
+      }
+      tables.push(table);
+      continue;
+    }
+
+    const alter = statement.match(/^ALTER\s+TABLE\s+(?:ONLY\s+)?(?:IF\s+EXISTS\s+)?([^\s(]+)\s+ADD\s+(?!COLUMN\b)([\s\S]+)$/i);
+    if (alter && findTable(unquoteSqlIdentifier(alter[1]))) {
+      addSqlTableConstraint(findTable(unquoteSqlIdentifier(alter[1])), alter[2]);
+    }
+  }
+
+  if (tables.length === 0) {
+    throw new Error('No CREATE TABLE statement found in the SQL schema');
+  }
+
+  // Key columns are implicitly NOT NULL and unique
+  for (const table of tables) {
+    for (const column of table.columns) {
+      if (table.primary_key.includes(column.name)) {
+        column.nullable = false;
+      }
+    }
+    for (const check of table.checks) {
+      const column = table.columns.find(entry => entry.name === check.column);
+      if (column) {
+        column.checks.push(check);
+      }
+    }
+  }
+
+  return { type: 'db_schema', tables };
+}
+
+function addSqlColumn(table, item) {
+  const match = item.match(/^("[^"]+"|`[^`]+`|\[[^\]]+\]|[\w$]+)\s+([\s\S]*)$/);
+  if (!match) {
+    return;
+  }
+  const name = unquoteSqlIdentifier(match[1]);
+  const rest = match[2];
+  const typeMatch = rest.match(/^([a-z_]\w*(?:\s+(?:varying|precision|unsigned|zerofill))*)\s*(?:\(([^)]*)\))?((?:\s+(?:with|without)\s+time\s+zone)?)/i) || ['', 'text'];
+  const baseType = typeMatch[1].toLowerCase().replace(/\s+/g, ' ');
+  const args = typeMatch[2] ? splitSqlTopLevel(typeMatch[2], ',') : [];
+  const modifiers = rest.slice(typeMatch[0].length);
+
+  const column = {
+    name,
+    type: `${baseType}${typeMatch[2] !== undefined ? `(${typeMatch[2]})` : ''}${typeMatch[3] || ''}`.trim(),
+    base_type: baseType,
+    nullable: !/\bNOT\s+NULL\b/i.test(modifiers),
+    unique: /\bUNIQUE\b/i.test(modifiers),
+    auto: /\b(AUTO_?INCREMENT|IDENTITY)\b/i.test(modifiers) || /serial$/.test(baseType),
+    checks: []
+  };
+  if (/^(var)?char|^character|^nvarchar|^nchar|^varbinary|^binary|^bit/.test(baseType) && /^\d+$/.test(args[0] || '')) {
+    column.length = Number(args[0]);
+  }
+  if (/^(numeric|decimal|number)/.test(baseType) && /^\d+$/.test(args[0] || '')) {
+    column.precision = Number(args[0]);
+    column.scale = Number(args[1] || 0);
+  }
+  if (baseType === 'enum' || baseType === 'set') {
+    column.values = args.map(value => value.replace(/^'|'$/g, '').replace(/''/g, "'"));
+  }
+
+  const defaultValue = modifiers.match(/\bDEFAULT\s+('(?:[^']|'')*'|\((?:[^()]|\([^()]*\))*\)|[^\s,]+(?:\(\))?)/i);
+  if (defaultValue) {
+    column.default = defaultValue[1];
+  }
+  if (/\bPRIMARY\s+KEY\b/i.test(modifiers)) {
+    table.primary_key = [name];
+  }
+
+  const check = modifiers.search(/\bCHECK\s*\(/i);
+  if (check >= 0) {
+    table.checks.push(parseSqlCheck(readSqlParenthesized(modifiers, modifiers.indexOf('(', check)), name));
+  }
+
+  const reference = modifiers.match(/\bREFERENCES\s+([^\s(]+)\s*(?:\(([^)]*)\))?([\s\S]*)$/i);
+  if (reference) {
+    table.foreign_keys.push(buildSqlForeignKey([name], reference[1], reference[2], reference[3]));
+  }
+
+  table.columns.push(column);
+}
+
+// Returns true when the item was a table constraint rather than a column definition
+function addSqlTableConstraint(table, item) {
+  const constraint = item.replace(/^CONSTRAINT\s+("[^"]+"|`[^`]+`|\S+)\s+/i, '');
+  const columnsOf = (list) => splitSqlTopLevel(list, ',').map(entry => unquoteSqlIdentifier(entry.replace(/\s+(ASC|DESC)$/i, '')));
+
+  const primaryKey = constraint.match(/^PRIMARY\s+KEY\s*(?:\w+\s*)?\(([^)]*)\)/i);
+  if (primaryKey) {
+    table.primary_key = columnsOf(primaryKey[1]);
+    return true;
+  }
+  const unique = constraint.match(/^UNIQUE(?:\s+(?:KEY|INDEX))?(?:\s+[^\s(]+)?\s*\(([^)]*)\)/i);
+  if (unique) {
+    table.unique.push(columnsOf(unique[1]));
+    return true;
+  }
+  if (/^CHECK\s*\(/i.test(constraint)) {
+    table.checks.push(parseSqlCheck(readSqlParenthesized(constraint, constraint.indexOf('('))));
+    return true;
+  }
+  const foreignKey = constraint.match(/^FOREIGN\s+KEY\s*(?:[^\s(]+\s*)?\(([^)]*)\)\s*REFERENCES\s+([^\s(]+)\s*(?:\(([^)]*)\))?([\s\S]*)$/i);
+  if (foreignKey) {
+    table.foreign_keys.push(buildSqlForeignKey(columnsOf(foreignKey[1]), foreignKey[2], foreignKey[3], foreignKey[4]));
+    return true;
+  }
+  // Plain indexes (MySQL KEY/INDEX, FULLTEXT, ...) and exclusion constraints carry no testable rule here
+  return /^(?:(?:KEY|INDEX|FULLTEXT|SPATIAL)(?:\s+(?:KEY|INDEX))?\s*(?:[^\s(]+\s*)?\(|(?:EXCLUDE|LIKE|PERIOD)\b)/i.test(constraint);
+}
+
+function buildSqlForeignKey(columns, referencedTable, referencedColumns, tail = '') {
+  const foreignKey = {
+    columns,
+    references: unquoteSqlIdentifier(referencedTable),
+    // Without a column list the parent's primary key is referenced; resolved when cases are generated
+    referenced_columns: referencedColumns ? splitSqlTopLevel(referencedColumns, ',').map(unquoteSqlIdentifier) : [],
+    on_delete: 'no_action',
+    on_update: 'no_action'
+  };
+  for (const [, event, action] of tail.matchAll(SQL_REFERENTIAL_ACTION)) {
+    foreignKey[`on_${event.toLowerCase()}`] = action.toLowerCase().replace(/\s+/g, '_');
+  }
+  return foreignKey;
+}
+
+// Simple checks (comparisons, BETWEEN, IN, length(...)) become limits on one column;
+// anything else is kept as an expression to violate by hand
+function parseSqlCheck(expression, columnName) {
+  const check = { expression: expression.trim() };
+  const identifier = '["`\\[]?([\\w$]+)["`\\]]?';
+  const number = '(-?\\d+(?:\\.\\d+)?)';
+  const limits = {};
+  const clean = expression.trim().replace(/^\((.*)\)$/s, '$1').trim();
+
+  const between = clean.match(new RegExp(`^${identifier}\\s+BETWEEN\\s+${number}\\s+AND\\s+${number}$`, 'i'));
+  const inList = clean.match(new RegExp(`^${identifier}\\s+IN\\s*\\(([^)]*)\\)$`, 'i'));
+  if (between) {
+    Object.assign(limits, { column: between[1], minimum: Number(between[2]), maximum: Number(between[3]) });
+  } else if (inList) {
+    Object.assign(limits, {
+      column: inList[1],
+      values: splitSqlTopLevel(inList[2], ',').map(value => /^'.*'$/.test(value) ? value.slice(1, -1).replace(/''/g, "'") : Number(value))
+    });
+  } else {
+    for (const part of clean.split(/\s+AND\s+/i)) {
+      const term = part.trim().replace(/^\((.*)\)$/s, '$1').trim();
+      const length = term.match(new RegExp(`^(?:char_length|character_length|length|len)\\s*\\(\\s*${identifier}\\s*\\)\\s*(>=|>|<=|<)\\s*(\\d+)$`, 'i'));
+      const comparison = term.match(new RegExp(`^${identifier}\\s*(>=|>|<=|<|<>|!=)\\s*(${number.slice(1, -1)}|'')$`, 'i'));
+      const [, column, operator, rawValue] = length || comparison || [];
+      if (!column || (limits.column && limits.column !== column)) {
+        return { ...check, ...(columnName ? { column: columnName } : {}) };
+      }
+      limits.column = column;
+      if (rawValue === "''") {
+        limits.min_length = 1;
+        continue;
+      }
+      const value = Number(rawValue);
+      if (length) {
+        limits[operator.startsWith('>') ? 'min_length' : 'max_length'] = value + (operator === '>' ? 1 : operator === '<' ? -1 : 0);
+      } else if (operator === '<>' || operator === '!=') {
+        return { ...check, column };
+      } else {
+        const key = operator.startsWith('>') ? 'minimum' : 'maximum';
+        limits[key] = value;
+        if (operator.length === 1) {
+          limits[`exclusive_${key}`] = true;
+        }
+      }
+    }
+  }
+
+  return { ...check, ...limits, ...(columnName && !limits.column ? { column: columnName } : {}) };
+}
+
+function splitSqlTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+  for (const char of text) {
+    if (quote) {
+      quote = char === quote ? null : quote;
+    } else if (char === "'" || char === '"' || char === '`') {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+    } else if (char === separator && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current.trim());
+  return parts.filter(Boolean);
+}
+
+// Text between the parenthesis at openIndex and its matching close
+function readSqlParenthesized(text, openIndex) {
+  let depth = 0;
+  let quote = null;
+  for (let index = openIndex; index < text.length; index++) {
+    const char = text[index];
+    if (quote) {
+      quote = char === quote ? null : quote;
+    } else if (char === "'" || char === '"' || char === '`') {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')' && --depth === 0) {
+      return text.slice(openIndex + 1, index);
+    }
+  }
+  return text.slice(openIndex + 1);
+}
+
+function unquoteSqlIdentifier(name) {
+  return name.trim().split('.').pop().replace(/^["`[]|["`\]]$/g, '');
+}
+
+// GraphQL SDL import
+// Object, input, enum, union and scalar definitions (including `extend`) are read from the SDL;
+// every Query and Mutation field becomes one operation with its arguments and return type
+const GRAPHQL_ROOT_OPERATIONS = ['query', 'mutation'];
+
+function isGraphQLSchemaText(text) {
+  return /(?:^|\n)\s*(?:extend\s+)?type\s+(?:Query|Mutation)\b[^{]*\{/.test(text) ||
+    /(?:^|\n)\s*schema\s*(?:@\w+\s*)*\{\s*(?:query|mutation)\s*:/.test(text);
+}
+
+function tokenizeGraphQL(text) {
+  const tokens = [];
+  const pattern = /[\s,﻿]+|#[^\n]*|("""[\s\S]*?"""|"(?:[^"\\\n]|\\.)*")|(\.\.\.|[!$&()\:=@[\]{|}])|(-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)|([_A-Za-z]\w*)|(\S)/gy;
+  for (const [, string, punctuator, number, name, unknown] of text.matchAll(pattern)) {
+    if (unknown) {
+      throw new Error(`Unexpected character "${unknown}" in GraphQL schema`);
+    }
+    if (string) tokens.push({ kind: 'string', value: string });
+    else if (punctuator) tokens.push({ kind: 'punctuator', value: punctuator });
+    else if (number) tokens.push({ kind: 'number', value: number });
+    else if (name) tokens.push({ kind: 'name', value: name });
+  }
+  return tokens;
+}
+
+function parseGraphQLSchema(text, options = {}) {
+  const tokens = tokenizeGraphQL(text);
+  let position = 0;
+  const peek = () => tokens[position] || { kind: 'eof', value: '' };
+  const next = () => tokens[position++] || { kind: 'eof', value: '' };
+  const skip = (value) => peek().value === value && peek().kind !== 'string' ? (position++, true) : false;
+  const expect = (value) => {
+    const token = next();
+    if (token.value !== value) {
+      throw new Error(`Expected "${value}" but found "${token.value || 'end of schema'}" in GraphQL schema`);
+    }
+  };
+  const name = () => {
+    const token = next();
+    if (token.kind !== 'name') {
+      throw new Error(`Expected a name but found "${token.value || 'end of schema'}" in GraphQL schema`);
+    }
+    return token.value;
+  };
+  const description = () => peek().kind === 'string' && next();
+  // Default values and directive arguments are kept as source text
+  const value = () => {
+    const start = position;
+    let depth = 0;
+    do {
+      const token = next();
+      if (['[', '{', '('].includes(token.value) && token.kind === 'punctuator') depth++;
+      if ([']', '}', ')'].includes(token.value) && token.kind === 'punctuator') depth--;
+    } while (depth > 0 && position < tokens.length);
+    return tokens.slice(start, position).map(token => token.value).join(' ').replace(/\s*([[\]{}():])\s*/g, '$1');
+  };
+  const directives = () => {
+    while (skip('@')) {
+      name();
+      if (peek().value === '(') {
+        value();
+      }
+    }
+  };
+  const typeReference = () => {
+    if (skip('[')) {
+      const inner = typeReference();
+      expect(']');
+      return `[${inner}]${skip('!') ? '!' : ''}`;
+    }
+    return `${name()}${skip('!') ? '!' : ''}`;
+  };
+  const inputValues = (close) => {
+    const values = [];
+    while (!skip(close)) {
+      description();
+      const entry = { name: name() };
+      expect(':');
+      entry.type = typeReference();
+      if (skip('=')) {
+        entry.default = value();
+      }
+      directives();
+      values.push(entry);
+    }
+    return values;
+  };
+
+  const schema = { objects: {}, inputs: {}, enums: {}, unions: {}, scalars: [], roots: { query: 'Query', mutation: 'Mutation' } };
+  while (position < tokens.length) {
+    description();
+    skip('extend');
+    const keyword = name();
+
+    if (keyword === 'schema') {
+      directives();
+      expect('{');
+      while (!skip('}')) {
+        const operation = name();
+        expect(':');
+        schema.roots[operation] = name();
+      }
+    } else if (keyword === 'type' || keyword === 'interface' || keyword === 'input') {
+      const typeName = name();
+      if (skip('implements')) {
+        skip('&');
+        do { name(); } while (skip('&'));
+      }
+      directives();
+      const target = keyword === 'input' ? schema.inputs : schema.objects;
+      target[typeName] = target[typeName] || { name: typeName, kind: keyword, fields: [] };
+      if (!skip('{')) {
+        continue;
+      }
+      if (keyword === 'input') {
+        target[typeName].fields.push(...inputValues('}'));
+        continue;
+      }
+      while (!skip('}')) {
+        description();
+        const field = { name: name(), args: [] };
+        if (skip('(')) {
+          field.args = inputValues(')');
+        }
+        expect(':');
+        field.type = typeReference();
+        directives();
+        target[typeName].fields.push(field);
+      }
+    } else if (keyword === 'enum') {
+      const typeName = name();
+      directives();
+      schema.enums[typeName] = schema.enums[typeName] || [];
+      if (skip('{')) {
+        while (!skip('}')) {
+          description();
+          schema.enums[typeName].push(name());
+          directives();
+        }
+      }
+    } else if (keyword === 'union') {
+      const typeName = name();
+      directives();
+      schema.unions[typeName] = schema.unions[typeName] || [];
+      if (skip('=')) {
+        skip('|');
+        do { schema.unions[typeName].push(name()); } while (skip('|'));
+      }
+    } else if (keyword === 'scalar') {
+      schema.scalars.push(name());
+      directives();
+    } else if (keyword === 'directive') {
+      expect('@');
+      name();
+      if (skip('(')) {
+        inputValues(')');
+      }
+      skip('repeatable');
+      expect('on');
+      skip('|');
+      do { name(); } while (skip('|'));
+    } else {
+      throw new Error(`Unexpected "${keyword}" in GraphQL schema`);
+    }
+  }
+
+  const endpoint = options.endpoint || '/graphql';
+  const operations = GRAPHQL_ROOT_OPERATIONS.flatMap(operation =>
+    (schema.objects[schema.roots[operation]]?.fields || []).map(field => ({
+      type: 'graphql_operation',
+      suite: `${operation} ${field.name}`,
+      endpoint,
+      operation,
+      field: field.name,
+      args: field.args,
+      return_type: field.type,
+      schema
+    })));
+  if (operations.length === 0) {
+    throw new Error('No Query or Mutation fields found in the GraphQL schema');
+  }
+
+  return { type: 'graphql', endpoint, operations };
+}
+
+// "[User!]!" -> { name: 'User', nonNull: true, list: true }
+function unwrapGraphQLType(typeReference) {
+  const nonNull = typeReference.endsWith('!');
+  const inner = nonNull ? typeReference.slice(0, -1) : typeReference;
+  return inner.startsWith('[')
+    ? { name: inner.replace(/[[\]!]/g, ''), nonNull, list: true, item: inner.slice(1, -1) }
+    : { name: inner, nonNull, list: false };
+}
+
+// Decision tables
+// Conditions, actions and rules come from JSON ({ conditions, actions, rules }) or a markdown table: one rule per row
+// with action columns marked "=> Free shipping" / "A: Free shipping", or one rule per column with "C:" / "A:" rows.
+// Rules with the same actions that together cover every value of a condition are merged into a don't-care ("-")
+const DECISION_TABLE_DONT_CARE = ['-', '*', 'any', 'n/a', '—', ''];
+const DECISION_TABLE_ACTION = /^(?:=>|→|->|A\s*:|Actions?\s*:|Then\s+)\s*/i;
+const DECISION_TABLE_CONDITION = /^(?:C\s*:|Conditions?\s*:|If\s+)\s*/i;
+// Conflicts and gaps are checked over every combination of condition values up to this many
+const DECISION_TABLE_MAX_COMBINATIONS = 4096;
+
+function isDecisionTableText(text) {
+  const table = readMarkdownTable(text);
+  return Boolean(table) && (table.rows[0].some(cell => DECISION_TABLE_ACTION.test(cell)) ||
+    (table.rows.some(row => DECISION_TABLE_ACTION.test(row[0])) && table.rows.some(row => DECISION_TABLE_CONDITION.test(row[0]))));
+}
+
+// First pipe table of the text (separator row dropped) and the heading above it
+function readMarkdownTable(text) {
+  const lines = text.split(/\r?\n/);
+  const start = lines.findIndex((line, index) => /^\s*\|.*\|\s*$/.test(line) &&
+    /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(lines[index + 1] || ''));
+  if (start < 0) {
+    return null;
+  }
+  const rows = [];
+  for (const line of lines.slice(start)) {
+    if (!/^\s*\|/.test(line)) {
+      break;
+    }
+    if (!/^\s*\|?\s*:?-{3,}/.test(line)) {
+      rows.push(line.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim()));
+    }
+  }
+  const heading = lines.slice(0, start).reverse().find(line => /^#{1,6}\s+\S/.test(line));
+  return { title: heading ? heading.replace(/^#+\s*/, '').trim() : '', rows };
+}
+
+function parseDecisionTable(source, options = {}) {
+  const definition = typeof source === 'string' ? readDecisionTableMarkdown(source) : source;
+  const name = options.name || definition.name || definition.title || '';
+  const toList = (value) => Array.isArray(value)
+    ? value.map(entry => typeof entry === 'string' ? { name: entry } : entry)
+    : Object.entries(value || {}).map(([key, values]) => ({ name: key, ...(Array.isArray(values) ? { values } : {}) }));
+
+  const conditions = toList(definition.conditions).map(condition => ({
+    name: String(condition.name),
+    ...(Array.isArray(condition.values) ? { values: condition.values.map(parseDecisionCondition) } : {})
+  }));
+  const actions = toList(definition.actions).map(action => String(action.name));
+  if (conditions.length === 0 || !Array.isArray(definition.rules) || definition.rules.length === 0) {
+    throw new Error('A decision table needs at least one condition and one rule');
+  }
+
+  const rules = definition.rules.map((rule, index) => {
+    const when = rule.when || rule.conditions || rule.if || {};
+    const then = rule.then || rule.actions || {};
+    const unknown = [...Object.keys(when).filter(key => !conditions.some(condition => condition.name === key)),
+      ...(Array.isArray(then) ? then : Object.keys(then)).filter(key => !actions.includes(key))];
+    if (unknown.length > 0) {
+      throw new Error(`Rule ${rule.id || index + 1} uses ${unknown.join(', ')}, which is not a condition or action of the decision table`);
+    }
+    return {
+      id: String(rule.id || `R${index + 1}`),
+      when: Object.fromEntries(conditions.map(condition => [condition.name, parseDecisionCondition(when[condition.name])])),
+      then: Object.fromEntries(actions.map(action => [action,
+        Array.isArray(then) ? then.includes(action) : parseDecisionAction(then[action])])),
+      ...(rule.priority ? { priority: rule.priority } : {})
+    };
+  });
+
+  // Values not listed explicitly are the ones the rules use; yes/no conditions always have both
+  for (const condition of conditions) {
+    if (!condition.values) {
+      const used = [...new Set(rules.map(rule => rule.when[condition.name]).filter(value => value !== null))];
+      condition.values = used.length > 0 && used.every(value => typeof value === 'boolean') ? [true, false] : used;
+    }
+  }
+
+  const merged = mergeDecisionRules(rules, conditions);
+  return {
+    type: 'decision_table',
+    name,
+    conditions,
+    actions,
+    rules: merged,
+    warnings: checkDecisionRules(merged, conditions)
+  };
+}
+
+// Rows (or, with "C:" / "A:" in the first column, columns) are rules; an "ID" / "Rule" column names them
+function readDecisionTableMarkdown(text) {
+  const table = readMarkdownTable(text);
+  let rows = table.rows;
+  if (!rows[0].some(cell => DECISION_TABLE_ACTION.test(cell))) {
+    rows = rows[0].map((cell, column) => rows.map(row => row[column] ?? ''));
+  }
+  const [header, ...body] = rows;
+  const idColumn = header.findIndex(cell => /^(?:id|rule|rules|#|)$/i.test(cell));
+  const columns = header.map((cell, index) => index === idColumn ? null : DECISION_TABLE_ACTION.test(cell)
+    ? { kind: 'action', name: cell.replace(DECISION_TABLE_ACTION, '').trim() }
+    : { kind: 'condition', name: cell.replace(DECISION_TABLE_CONDITION, '').trim() });
+
+  return {
+    name: table.title,
+    conditions: columns.filter(column => column && column.kind === 'condition').map(column => column.name),
+    actions: columns.filter(column => column && column.kind === 'action').map(column => column.name),
+    rules: body.filter(row => row.some(Boolean)).map(row => ({
+      ...(idColumn >= 0 && row[idColumn] ? { id: row[idColumn] } : {}),
+      when: Object.fromEntries(columns.map((column, index) => [column, row[index]]).filter(([column]) => column && column.kind === 'condition')
+        .map(([column, value]) => [column.name, value])),
+      then: Object.fromEntries(columns.map((column, index) => [column, row[index]]).filter(([column]) => column && column.kind === 'action')
+        .map(([column, value]) => [column.name, value]))
+    }))
+  };
+}
+
+// Y/N, yes/no and true/false are booleans; "-", "*", "any" or an empty cell mean the condition doesn't matter (null)
+function parseDecisionCondition(value) {
+  if (value === undefined || value === null || typeof value === 'boolean' || typeof value === 'number') {
+    return value ?? null;
+  }
+  const text = String(value).trim();
+  if (DECISION_TABLE_DONT_CARE.includes(text.toLowerCase())) {
+    return null;
+  }
+  if (/^(?:y|yes|t|true)$/i.test(text)) {
+    return true;
+  }
+  if (/^(?:n|no|f|false)$/i.test(text)) {
+    return false;
+  }
+  return text;
+}
+
+// An "X" (or yes/true) marks an action that is taken; empty, "-" and no mean it is not; anything else is its value
+function parseDecisionAction(value) {
+  if (value === undefined || value === null || typeof value === 'boolean' || typeof value === 'number') {
+    return value ?? false;
+  }
+  const text = String(value).trim();
+  if (/^(?:x|✓|✔|y|yes|t|true)$/i.test(text)) {
+    return true;
+  }
+  if (/^(?:|-|—|n|no|f|false)$/i.test(text)) {
+    return false;
+  }
+  return text;
+}
+
+function formatDecisionValue(value) {
+  if (value === null) {
+    return '-';
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'Yes' : 'No';
+  }
+  return String(value);
+}
+
+function mergeDecisionRules(rules, conditions) {
+  let merged = rules.map(rule => ({ ...rule, merged_from: [rule.id] }));
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const condition of conditions) {
+      const groups = new Map();
+      for (const rule of merged) {
+        const others = conditions.filter(other => other !== condition).map(other => rule.when[other.name]);
+        const key = JSON.stringify([others, rule.then]);
+        groups.set(key, [...(groups.get(key) || []), rule]);
+      }
+      for (const group of groups.values()) {
+        const values = group.map(rule => rule.when[condition.name]);
+        if (group.length < 2 || values.includes(null) ||
+          !condition.values.every(value => values.some(candidate => JSON.stringify(candidate) === JSON.stringify(value)))) {
+          continue;
+        }
+        const mergedFrom = group.flatMap(rule => rule.merged_from);
+        const priority = group.map(rule => rule.priority).find(Boolean);
+        const replacement = {
+          id: mergedFrom.join('+'),
+          when: { ...group[0].when, [condition.name]: null },
+          then: group[0].then,
+          ...(priority ? { priority } : {}),
+          merged_from: mergedFrom
+        };
+        merged = merged.flatMap(rule => rule === group[0] ? [replacement] : group.includes(rule) ? [] : [rule]);
+        changed = true;
+      }
+    }
+  }
+  return merged.map(({ merged_from: mergedFrom, ...rule }) => mergedFrom.length > 1 ? { ...rule, merged_from: mergedFrom } : rule);
+}
+
+// Overlapping rules with different actions are conflicts; combinations no rule matches are gaps
+function checkDecisionRules(rules, conditions) {
+  const warnings = [];
+  const total = conditions.reduce((product, condition) => product * Math.max(condition.values.length, 1), 1);
+  if (total > DECISION_TABLE_MAX_COMBINATIONS) {
+    return [`Decision table has ${total} condition combinations; conflicts and gaps were not checked (limit ${DECISION_TABLE_MAX_COMBINATIONS})`];
+  }
+
+  const combinations = conditions.reduce((list, condition) => list.flatMap(combination =>
+    (condition.values.length > 0 ? condition.values : [null]).map(value => ({ ...combination, [condition.name]: value }))), [{}]);
+  const describe = (combination) => conditions.map(condition => `${condition.name}=${formatDecisionValue(combination[condition.name])}`).join(', ');
+  const conflicts = new Set();
+  const uncovered = [];
+
+  for (const combination of combinations) {
+    const matching = rules.filter(rule => conditions.every(condition =>
+      rule.when[condition.name] === null || JSON.stringify(rule.when[condition.name]) === JSON.stringify(combination[condition.name])));
+    if (matching.length === 0) {
+      uncovered.push(describe(combination));
+    }
+    for (const [index, rule] of matching.entries()) {
+      for (const other of matching.slice(index + 1)) {
+        const key = `${rule.id}|${other.id}`;
+        if (!conflicts.has(key) && JSON.stringify(rule.then) !== JSON.stringify(other.then)) {
+          conflicts.add(key);
+          const differences = Object.keys(rule.then).filter(action => rule.then[action] !== other.then[action])
+            .map(action => `${action}: ${formatDecisionValue(rule.then[action])} vs ${formatDecisionValue(other.then[action])}`);
+          warnings.push(`Rules ${rule.id} and ${other.id} conflict for ${describe(combination)} (${differences.join('; ')})`);
+        }
+      }
+    }
+  }
+
+  if (uncovered.length > 0) {
+    const shown = uncovered.slice(0, 10);
+    warnings.push(`No rule covers ${uncovered.length} combination(s): ${shown.join('; ')}${uncovered.length > shown.length ? '; ...' : ''}`);
+  }
+  return warnings;
+}
+
+// State machines
+// { states, initial, events, transitions: [{ from, event, to, guard, action }] }; a transition can also be written
+// "active --login_failed [attempts >= 5]--> locked". States named like lock/block/suspend (or marked `lockout: true`)
+// are the lockout states whose transition sequences get their own cases; without any, terminal states are used
+const STATE_MACHINE_TRANSITION = /^\s*([^\s-][^-]*?)\s*-{1,2}\s*([^[\]>-][^[\]>]*?)\s*(?:\[(.+)\])?\s*-{1,2}>\s*(.+?)\s*$/;
+const STATE_MACHINE_LOCKOUT = /lock|block|suspend|\bban|disabl|frozen|freez|blacklist/i;
+// "attempts >= 5": the counter includes the current event, so the transition fires on the 5th occurrence
+const STATE_MACHINE_THRESHOLD = /^\s*([\w.]+)\s*(>=|==|=|>)\s*(\d+)\s*$/;
+
+function isStateMachineDefinition(value) {
+  return Boolean(value && typeof value === 'object' && Array.isArray(value.transitions) && value.transitions.length > 0 &&
+    value.transitions.every(transition => typeof transition === 'string'
+      ? STATE_MACHINE_TRANSITION.test(transition)
+      : transition && transition.from !== undefined && transition.to !== undefined && (transition.event || transition.on)));
+}
+
+function parseStateMachine(definition, options = {}) {
+  if (!isStateMachineDefinition(definition)) {
+    throw new Error('A state machine needs transitions with from, event and to ("from --event [guard]--> to")');
+  }
+  const transitions = definition.transitions.map(transition => {
+    if (typeof transition === 'string') {
+      const [, from, event, guard, to] = transition.match(STATE_MACHINE_TRANSITION);
+      return { from, event, to, ...(guard ? { guard: guard.trim() } : {}) };
+    }
+    return {
+      from: String(transition.from),
+      event: String(transition.event || transition.on),
+      to: String(transition.to),
+      ...(transition.guard || transition.when ? { guard: String(transition.guard || transition.when) } : {}),
+      ...(transition.action ? { action: String(transition.action) } : {})
+    };
+  });
+
+  const declared = (definition.states || []).map(state => typeof state === 'string' ? { name: state } : { ...state, name: String(state.name) });
+  const unknown = [...new Set(transitions.flatMap(transition => [transition.from, transition.to]))]
+    .filter(name => declared.length > 0 && !declared.some(state => state.name === name));
+  if (unknown.length > 0) {
+    throw new Error(`Transitions use undeclared state(s) ${unknown.join(', ')}`);
+  }
+  const states = declared.length > 0
+    ? declared
+    : [...new Set(transitions.flatMap(transition => [transition.from, transition.to]))].map(name => ({ name }));
+  const events = [...new Set([...(definition.events || []).map(String), ...transitions.map(transition => transition.event)])];
+  const initial = String(definition.initial || states.find(state => state.initial)?.name || transitions[0].from);
+  if (!states.some(state => state.name === initial)) {
+    throw new Error(`Initial state ${initial} is not one of the states`);
+  }
+
+  const terminal = states.filter(state => !transitions.some(transition => transition.from === state.name && transition.to !== state.name));
+  const lockout = states.filter(state => state.lockout === true ||
+    (state.lockout !== false && STATE_MACHINE_LOCKOUT.test(state.name) && !/unlock/i.test(state.name)));
+  const machine = {
+    type: 'state_machine',
+    name: options.name || definition.name || definition.title || '',
+    initial,
+    states: states.map(state => state.name),
+    events,
+    transitions,
+    lockout_states: (lockout.length > 0 ? lockout : terminal).map(state => state.name).filter(name => name !== initial)
+  };
+
+  const warnings = [];
+  const reachable = new Set(Object.keys(findStatePaths(machine)));
+  const unreachable = machine.states.filter(state => !reachable.has(state));
+  if (unreachable.length > 0) {
+    warnings.push(`State(s) ${unreachable.join(', ')} cannot be reached from ${initial}`);
+  }
+  for (const [index, transition] of transitions.entries()) {
+    const duplicate = transitions.slice(index + 1).find(other => other.from === transition.from &&
+      other.event === transition.event && other.to !== transition.to && !other.guard && !transition.guard);
+    if (duplicate) {
+      warnings.push(`${transition.event} in ${transition.from} leads to both ${transition.to} and ${duplicate.to} without a guard`);
+    }
+  }
+
+  return { ...machine, ...(warnings.length > 0 ? { warnings } : {}) };
+}
+
+// Shortest event sequence from the initial state to every reachable state (breadth-first)
+function findStatePaths(machine) {
+  const paths = { [machine.initial]: [] };
+  const queue = [machine.initial];
+  while (queue.length > 0) {
+    const state = queue.shift();
+    for (const transition of machine.transitions.filter(candidate => candidate.from === state)) {
+      if (!paths[transition.to]) {
+        paths[transition.to] = [...paths[state], ...expandCounterGuard(machine, transition).steps];
+        queue.push(transition.to);
+      }
+    }
+  }
+  return paths;
+}
+
+// A counter guard on top of a self-loop with the same event needs that many events in a row to fire
+function expandCounterGuard(machine, transition) {
+  const [, counter, operator, limit] = (transition.guard || '').match(STATE_MACHINE_THRESHOLD) || [];
+  const selfLoop = transition.from !== transition.to && machine.transitions.find(other =>
+    other.from === transition.from && other.to === transition.from && other.event === transition.event);
+  const repeats = counter && selfLoop ? Math.max(Number(limit) - (operator === '>' ? 0 : 1), 0) : 0;
+  return { counter: repeats > 0 ? counter : null, repeats, steps: [...Array(repeats).fill(selfLoop), transition] };
+}
+
+// Permission matrices
+// Roles and what each may do per resource, by resource ({ roles, resources: { document: { create: ['admin'], read: '*' } } })
+// or by role ({ roles: { admin: { document: ['create', 'delete'] }, viewer: { document: ['read'] } } }).
+// A role can carry its own account and data: { name: 'editor', user: 'editor@example.com', data: { team: 'news' } }
+const PERMISSION_ALL_ROLES = ['*', 'all', 'any', 'everyone'];
+const PERMISSION_READ_ACTIONS = /^(?:read|view|list|get|show|search|export|download)\b/i;
+
+function isPermissionMatrixDefinition(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return false;
+  }
+  const byResource = value.roles && (value.resources || value.matrix) && typeof (value.resources || value.matrix) === 'object';
+  const byRole = value.roles && !Array.isArray(value.roles) && typeof value.roles === 'object' &&
+    Object.values(value.roles).length > 0 && Object.values(value.roles).every(grants => grants && typeof grants === 'object' &&
+      Object.values(grants.permissions || grants).every(actions => Array.isArray(actions) || typeof actions === 'string' || (actions && typeof actions === 'object')));
+  return Boolean(byResource || byRole);
+}
+
+function parsePermissionMatrix(definition, options = {}) {
+  if (!isPermissionMatrixDefinition(definition)) {
+    throw new Error('A permission matrix needs roles and resources: { roles: [...], resources: { document: { create: ["admin"] } } }');
+  }
+  const roleEntries = Array.isArray(definition.roles)
+    ? definition.roles.map(role => typeof role === 'string' ? { name: role } : { ...role, name: String(role.name) })
+    : Object.entries(definition.roles).map(([name, role]) => ({ ...role, name }));
+  const roles = roleEntries.map(({ permissions, ...role }) => {
+    const grants = permissions || (Array.isArray(definition.roles) ? null : role);
+    return {
+      name: role.name,
+      ...(role.user || role.username || role.email ? { user: String(role.user || role.username || role.email) } : {}),
+      ...(role.precondition ? { precondition: String(role.precondition) } : {}),
+      ...(role.data || role.test_data ? { data: role.data || role.test_data } : {}),
+      grants: grants ? Object.fromEntries(Object.entries(grants)
+        .filter(([key, actions]) => !['name', 'user', 'username', 'email', 'password', 'precondition', 'data', 'test_data'].includes(key) &&
+          (Array.isArray(actions) || typeof actions === 'string'))
+        .map(([resource, actions]) => [resource, [].concat(actions).map(String)])) : {}
+    };
+  });
+  const roleNames = roles.map(role => role.name);
+  const toRoles = (value, where) => {
+    const list = [].concat(value ?? []).map(String);
+    if (list.some(entry => PERMISSION_ALL_ROLES.includes(entry.toLowerCase()))) {
+      return roleNames;
+    }
+    const unknown = list.filter(entry => !roleNames.includes(entry) && !/^(?:none|nobody)$/i.test(entry));
+    if (unknown.length > 0) {
+      throw new Error(`${where} allows unknown role(s) ${unknown.join(', ')} (roles: ${roleNames.join(', ')})`);
+    }
+    return list.filter(entry => roleNames.includes(entry));
+  };
+
+  // Every action is listed under its resource with the roles allowed to perform it
+  const resources = new Map();
+  const addAction = (resource, action, allowed) => {
+    const actions = resources.get(resource) || new Map();
+    actions.set(action, [...new Set([...(actions.get(action) || []), ...allowed])]);
+    resources.set(resource, actions);
+  };
+  for (const [resource, actions] of Object.entries(definition.resources || definition.matrix || {})) {
+    for (const [action, allowed] of Array.isArray(actions) ? actions.map(name => [name, []]) : Object.entries(actions || {})) {
+      addAction(resource, String(action), toRoles(allowed && typeof allowed === 'object' && !Array.isArray(allowed) ? allowed.roles : allowed,
+        `${resource}.${action}`));
+    }
+  }
+  for (const role of roles) {
+    for (const [resource, actions] of Object.entries(role.grants)) {
+      for (const action of actions) {
+        if (PERMISSION_ALL_ROLES.includes(action.toLowerCase())) {
+          for (const known of resources.get(resource)?.keys() || []) {
+            addAction(resource, known, [role.name]);
+          }
+        } else {
+          addAction(resource, action, [role.name]);
+        }
+      }
+    }
+  }
+  if (resources.size === 0) {
+    throw new Error('The permission matrix lists no resource actions');
+  }
+
+  return {
+    type: 'permission_matrix',
+    name: options.name || definition.name || definition.title || '',
+    roles: roles.map(({ grants, ...role }) => role),
+    resources: [...resources].map(([name, actions]) => ({
+      name,
+      actions: [...actions].map(([action, allowed]) => ({ name: action, allowed }))
+    }))
+  };
+}
+
+// Requirement documents (markdown / text with headings and bullet lists)
+const REQUIREMENT_LIST_ITEM = /^(\s*)(?:[-*+•◦▪]|\d+[.)])\s+(?:\[[ xX]\]\s+)?(.+)$/;
+const REQUIREMENT_PAGE_MARKER = /^--- Page (\d+) ---$/;
+const REQUIREMENT_EXPLICIT_ID = /^\**([A-Z][A-Z0-9]*-\d+)\s*[:.)\-–]?\**\s*[:.)\-–]?\s+/;
+
+function isRequirementDocument(text) {
+  const items = text.match(/^\s*(?:[-*+•◦▪]|\d+[.)])\s+\S/gm) || [];
+  const tableRows = text.match(/^\s*\|.+\|\s*$/gm) || [];
+  return items.length >= 2 || (/^#{1,6}\s+\S/m.test(text) && (items.length > 0 || tableRows.length > 2)) ||
+    /^--- Page \d+ ---$/m.test(text);
+}
+
+// One story whose only lists are its acceptance criteria stays a user story, so the criteria keep its role;
+// "Requirements:" lists, headings or a second story make it a requirement document
+function isSingleUserStory(text) {
+  const labels = text.match(/^\s*[^.!?\n]{1,60}:\s*$/gm) || [];
+  return /^\s*As an?\s/i.test(text) && /\bI\s+(want|need|would like)\b/i.test(text) &&
+    (text.match(/^\s*As an?\s/gim) || []).length === 1 && !/^#{1,6}\s+\S/m.test(text) &&
+    labels.every(label => /acceptance criteri|^\s*AC\b/i.test(label));
+}
+
+// Headings, user stories and list items become requirements with stable IDs (explicit "FR-12:" prefixes are kept)
+function parseRequirementDocument(text) {
+  const doc = { type: 'requirements', title: '', content: text.replace(/^--- Page \d+ ---$/gm, '').trim(), requirements: [] };
+  const headings = [];
+  let label = '';
+  let story = null;
+  let counter = 0;
+  let lastStoryId = null;
+  let page = null;
+
+  const nextId = () => {
+    let id;
+    do {
+      counter++;
+      id = `REQ-${String(counter).padStart(3, '0')}`;
+    } while (doc.requirements.some(requirement => requirement.id === id));
+    return id;
+  };
+  const currentHeading = () => [...headings.filter(Boolean), label].filter(Boolean).join(' > ');
+  const addRequirement = (kind, rawText) => {
+    const [, explicitId] = rawText.match(REQUIREMENT_EXPLICIT_ID) || [];
+    const requirementText = rawText.replace(REQUIREMENT_EXPLICIT_ID, '').replace(/\*\*|__/g, '').trim();
+    const isCriterion = kind !== 'user_story' && /acceptance criteri|\bAC\b/i.test(currentHeading());
+    const requirement = {
+      id: explicitId || nextId(),
+      kind: isCriterion ? 'acceptance_criterion' : kind,
+      text: requirementText,
+      heading: currentHeading(),
+      details: [],
+      ...(isCriterion && lastStoryId ? { story_id: lastStoryId } : {}),
+      ...(page ? { page } : {})
+    };
+    doc.requirements.push(requirement);
+    return requirement;
+  };
+  const closeStory = () => {
+    if (story) {
+      lastStoryId = addRequirement('user_story', story.join(' ')).id;
+      story = null;
+    }
+  };
+
+  let lastItem = null;
+  let tableHeader = null;
+  for (const line of text.split(/\r?\n/)) {
+    const trimmed = line.trim();
+
+    if (!trimmed) {
+      closeStory();
+      tableHeader = null;
+      continue;
+    }
+
+    const pageMarker = trimmed.match(REQUIREMENT_PAGE_MARKER);
+    if (pageMarker) {
+      closeStory();
+      page = Number(pageMarker[1]);
+      lastItem = null;
+      continue;
+    }
+
+    // Table rows are requirements; ID and description columns are picked by their header
+    if (/^\|.*\|$/.test(trimmed)) {
+      closeStory();
+      const cells = trimmed.slice(1, -1).split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+      if (!tableHeader) {
+        tableHeader = cells.map(cell => cell.toLowerCase());
+      } else if (!cells.every(cell => /^:?-+:?$/.test(cell))) {
+        const idColumn = tableHeader.findIndex(name => /^(id|req(uirement)?\s*id|#)$/.test(name));
+        const textColumn = tableHeader.findIndex(name => /requirement|description|criteri|title|summary/.test(name));
+        const rowText = textColumn >= 0 ? cells[textColumn] : cells.filter((cell, index) => index !== idColumn).join(' - ');
+        const id = idColumn >= 0 && /^[A-Z][A-Z0-9]*-\d+$/.test(cells[idColumn]) ? `${cells[idColumn]}: ` : '';
+        if (rowText) {
+          lastItem = addRequirement('requirement', id + rowText);
+        }
+      }
+      continue;
+    }
+    tableHeader = null;
+
+    const heading = trimmed.match(/^(#{1,6})\s+(.+?)\s*#*$/);
+    if (heading) {
+      closeStory();
+      const level = heading[1].length;
+      headings.length = level;
+      headings[level - 1] = heading[2];
+      doc.title = doc.title || heading[2];
+      label = '';
+      lastItem = null;
+      continue;
+    }
+
+    // "As a ... / I want ... / So that ..." may span several lines
+    if (/^As an?\s/i.test(trimmed)) {
+      closeStory();
+      story = [trimmed];
+      continue;
+    }
+    if (story && /^(I want|I need|So that|In order to)\b/i.test(trimmed)) {
+      story.push(trimmed);
+      continue;
+    }
+    closeStory();
+
+    const item = line.match(REQUIREMENT_LIST_ITEM);
+    if (item) {
+      // Indented items refine the requirement above them
+      if (item[1].length > 0 && lastItem) {
+        lastItem.details.push(item[2].trim());
+      } else {
+        lastItem = addRequirement('requirement', item[2]);
+      }
+      continue;
+    }
+
+    // A short line ending in ":" ("Requirements:", "Acceptance Criteria:") labels the list below it
+    if (/^[^.!?]{1,60}:$/.test(trimmed)) {
+      label = trimmed.slice(0, -1).replace(/\*\*|__/g, '').trim();
+      lastItem = null;
+      continue;
+    }
+
+    if (/\b(must|shall|should)\b/i.test(trimmed)) {
+      lastItem = addRequirement('requirement', trimmed);
+    }
+  }
+  closeStory();
+
+  return doc;
+}
+
+// Structured requirement lists (JSON / YAML): { title, requirements: [...], user_stories: [...] } or a bare list
+const REQUIREMENT_LIST_KEYS = ['requirements', 'user_stories', 'userStories', 'stories'];
+const REQUIREMENT_TEXT_KEYS = ['text', 'requirement', 'story', 'title', 'summary', 'description'];
+const REQUIREMENT_PRIORITIES = [
+  { pattern: /^(high|critical|blocker|urgent|highest|p[01]|must)/i, priority: 'High' },
+  { pattern: /^(medium|normal|major|moderate|p2|should)/i, priority: 'Medium' },
+  { pattern: /^(low|minor|trivial|lowest|p[3-5]|could|won'?t)/i, priority: 'Low' }
+];
+
+// Only YAML that describes something we generate from is accepted; plain prose and bullet lists also load as YAML
+function parseStructuredYaml(text) {
+  let doc;
+  try {
+    doc = yaml.load(text);
+  } catch {
+    return null;
+  }
+  if (!doc || typeof doc !== 'object') {
+    return null;
+  }
+  const isStructured = Array.isArray(doc)
+    ? isRequirementList(doc) || (doc.length > 0 && doc.every(isSpecObject))
+    : isSpecObject(doc) || isBatchInput(doc);
+  return isStructured ? doc : null;
+}
+
+// Any YAML mapping or list is handed over as an object; scalars and invalid YAML stay text
+function loadYamlContent(text) {
+  try {
+    const doc = yaml.load(text);
+    return doc && typeof doc === 'object' ? doc : text;
+  } catch {
+    return text;
+  }
+}
+
+function isRequirementList(doc) {
+  if (Array.isArray(doc)) {
+    return doc.length > 0 && doc.every(entry => entry && typeof entry === 'object' && !entry.endpoint &&
+      (getStoryText(entry) || REQUIREMENT_TEXT_KEYS.some(key => typeof entry[key] === 'string')));
+  }
+  return Boolean(doc && typeof doc === 'object' && REQUIREMENT_LIST_KEYS.some(key => Array.isArray(doc[key])));
+}
+
+// { as, i_want, so_that } (or role/goal/benefit) -> "As a ..., I want ..., so that ..."
+function getStoryText(entry) {
+  const role = entry.as || entry.role;
+  const goal = entry.iWant || entry.i_want || entry.want || entry.goal;
+  const benefit = entry.soThat || entry.so_that || entry.benefit;
+  if (typeof goal !== 'string') {
+    return '';
+  }
+  return [
+    typeof role === 'string' && `As ${withArticle(role.replace(/^as\s+/i, ''))}`,
+    `I want ${goal.replace(/^I want\s+/i, '')}`,
+    typeof benefit === 'string' && `so that ${benefit.replace(/^so that\s+/i, '')}`
+  ].filter(Boolean).join(', ');
+}
+
+function normalizeRequirementPriority(value) {
+  const match = REQUIREMENT_PRIORITIES.find(entry => entry.pattern.test(String(value ?? '').trim()));
+  return match ? match.priority : undefined;
+}
+
+function normalizeRequirementList(doc) {
+  const list = Array.isArray(doc) ? { requirements: doc } : doc;
+  const result = { type: 'requirements', title: String(list.title || list.name || list.feature || ''), content: '', requirements: [] };
+  const entries = [
+    ...(list.user_stories || list.userStories || list.stories || []).map(entry => ({ entry, story: true })),
+    ...(list.requirements || []).map(entry => ({ entry, story: false }))
+  ];
+  let counter = 0;
+  const nextId = () => {
+    let id;
+    do {
+      counter++;
+      id = `REQ-${String(counter).padStart(3, '0')}`;
+    } while (entries.some(({ entry }) => entry && String(entry.id ?? entry.key) === id) ||
+      result.requirements.some(requirement => requirement.id === id));
+    return id;
+  };
+
+  for (const { entry, story } of entries) {
+    const item = entry && typeof entry === 'object' ? entry : { text: String(entry ?? '') };
+    const storyText = getStoryText(item);
+    const text = (storyText || REQUIREMENT_TEXT_KEYS.map(key => item[key]).find(value => typeof value === 'string') || '').trim();
+    if (!text) {
+      continue;
+    }
+    const isStory = Boolean(storyText) || ((story || /^As an?\s/i.test(text)) && /\bI\s+(want|need|would like)\b/i.test(text));
+    const criteria = item.acceptance_criteria || item.acceptanceCriteria || item.criteria;
+    const description = typeof item.description === 'string' && item.description.trim() !== text ? [item.description.trim()] : [];
+    const priority = normalizeRequirementPriority(item.priority);
+
+    result.requirements.push({
+      id: String(item.id ?? item.key ?? nextId()),
+      kind: isStory ? 'user_story' : 'requirement',
+      text,
+      heading: [list.title, item.feature || item.module || item.epic || item.section].filter(Boolean).join(' > '),
+      // Stories hand their criteria to the user-story generator; other requirements verify them as details
+      details: isStory ? description : [...description, ...[].concat(criteria || [])],
+      ...(isStory && criteria ? { acceptance_criteria: [].concat(criteria).join('\n') } : {}),
+      ...(priority ? { priority } : {})
+    });
+  }
+
+  result.content = result.requirements.map(requirement => requirement.text).join('\n');
+  return result;
+}
+
+// Spreadsheet requirement import (.xlsx / .xls / .csv)
+// Each row becomes one requirement of a structured requirement list; columns are found by their
+// header (aliases below) or set explicitly with a column mapping: { "id": "Req #", "title": "B" }
+const REQUIREMENT_COLUMNS = {
+  id: ['id', 'req id', 'requirement id', 'req #', 'req no', 'key', 'issue key', 'ticket', 'no', '#'],
+  title: ['title', 'summary', 'name', 'requirement', 'user story', 'story'],
+  description: ['description', 'details', 'requirement text', 'desc'],
+  acceptance_criteria: ['acceptance criteria', 'acceptance criterion', 'ac', 'criteria'],
+  priority: ['priority', 'prio', 'moscow', 'severity', 'importance'],
+  feature: ['feature', 'module', 'epic', 'component', 'area']
+};
+
+function readRequirementSpreadsheet(buffer, extension, options = {}) {
+  const workbook = extension === '.csv'
+    ? XLSX.read(buffer.toString('utf-8').replace(/^\uFEFF/, ''), { type: 'string' })
+    : XLSX.read(buffer, { type: 'buffer' });
+  const unknownKeys = Object.keys(options.columnMapping || {}).filter(key => !REQUIREMENT_COLUMNS[key]);
+  if (unknownKeys.length > 0) {
+    throw new Error(`Unknown column_mapping key ${unknownKeys.join(', ')} (use ${Object.keys(REQUIREMENT_COLUMNS).join(', ')})`);
+  }
+  const sheetNames = options.sheet ? [options.sheet] : workbook.SheetNames;
+  if (options.sheet && !workbook.Sheets[options.sheet]) {
+    throw new Error(`Sheet "${options.sheet}" not found (sheets: ${workbook.SheetNames.join(', ')})`);
+  }
+
+  const sheets = [];
+  for (const sheetName of sheetNames) {
+    const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, defval: '', raw: false });
+    const header = findRequirementHeader(rows, options.columnMapping);
+    if (header) {
+      sheets.push({ name: sheetName, rows, ...header });
+    }
+  }
+  if (sheets.length === 0) {
+    const firstRow = XLSX.utils.sheet_to_json(workbook.Sheets[sheetNames[0]], { header: 1, defval: '', raw: false })[0] || [];
+    throw new Error(`No requirement columns found (columns: ${firstRow.filter(Boolean).join(', ') || 'none'}); ` +
+      'name a title or description column, or pass column_mapping, e.g. { "title": "Summary", "id": "Key" }');
+  }
+
+  const requirements = [];
+  for (const sheet of sheets) {
+    for (const row of sheet.rows.slice(sheet.headerIndex + 1)) {
+      const cell = (key) => sheet.columns[key] !== undefined ? String(row[sheet.columns[key]] ?? '').trim() : '';
+      const title = cell('title');
+      const description = cell('description');
+      if (!title && !description) {
+        continue;
+      }
+      const criteria = cell('acceptance_criteria').split(/\r?\n/)
+        .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim()).filter(Boolean);
+      // The description is the requirement (or story) itself; a title next to it becomes part of the heading
+      const text = description || title;
+      const heading = [cell('feature') || (sheets.length > 1 ? sheet.name : ''), text !== title ? title : ''].filter(Boolean).join(' > ');
+      requirements.push({
+        ...(cell('id') ? { id: cell('id') } : {}),
+        text,
+        ...(heading ? { feature: heading } : {}),
+        ...(criteria.length > 0 ? { acceptance_criteria: criteria } : {}),
+        ...(cell('priority') ? { priority: cell('priority') } : {})
+      });
+    }
+  }
+
+  return {
+    sheets: sheets.map(sheet => sheet.name),
+    column_mapping: Object.fromEntries(Object.entries(sheets[0].columns)
+      .map(([key, index]) => [key, sheets[0].rows[sheets[0].headerIndex][index] || XLSX.utils.encode_col(index)])),
+    requirements
+  };
+}
+
+// The header is the first of the top rows with a title or description column
+function findRequirementHeader(rows, columnMapping = {}) {
+  const normalize = (value) => String(value ?? '').toLowerCase().replace(/[^a-z0-9#]+/g, ' ').trim();
+  for (let headerIndex = 0; headerIndex < Math.min(rows.length, 10); headerIndex++) {
+    const headers = rows[headerIndex].map(normalize);
+    const columns = {};
+    for (const [key, aliases] of Object.entries(REQUIREMENT_COLUMNS)) {
+      const mapped = columnMapping[key];
+      if (mapped !== undefined && mapped !== null && mapped !== '') {
+        const byHeader = headers.indexOf(normalize(mapped));
+        const index = byHeader >= 0 ? byHeader : /^[A-Z]{1,3}$/.test(String(mapped)) ? XLSX.utils.decode_col(String(mapped)) : -1;
+        if (index >= 0) {
+          columns[key] = index;
+        }
+        continue;
+      }
+      const index = headers.findIndex(header => aliases.includes(header));
+      if (index >= 0) {
+        columns[key] = index;
+      }
+    }
+    if (columns.title !== undefined || columns.description !== undefined) {
+      const missing = Object.keys(columnMapping).filter(key => columns[key] === undefined);
+      if (missing.length > 0) {
+        throw new Error(`Mapped column ${missing.map(key => `"${columnMapping[key]}" (${key})`).join(', ')} not found ` +
+          `(columns: ${rows[headerIndex].filter(Boolean).join(', ')})`);
+      }
+      return { headerIndex, columns };
+    }
+  }
+  return null;
+}
+
+// Batch input: an array of inputs or an object of named specs ({ "login": {...}, "register": {...} })
+// Each entry is normalized on its own and becomes one suite of the combined result
+function isSpecObject(value) {
+  return Boolean(value && typeof value === 'object' && !Array.isArray(value) && (value.type ||
+    (value.endpoint && value.method) || isOpenApiDocument(value) || isPostmanCollection(value) ||
+    isRequirementList(value) || typeof value.html === 'string' || typeof value.sql === 'string' || typeof value.graphql === 'string' ||
+    value.decision_table || (value.conditions && Array.isArray(value.rules)) || value.state_machine || isStateMachineDefinition(value) ||
+    value.permissions || isPermissionMatrixDefinition(value) || value.story || value.userStory || getStoryText(value)));
+}
+
+function isBatchInput(parsed) {
+  if (Array.isArray(parsed)) {
+    return parsed.length > 0 && !isRequirementList(parsed);
+  }
+  const values = Object.values(parsed);
+  return values.length > 0 && values.every(isSpecObject);
+}
+
+function normalizeBatchInput(parsed) {
+  const entries = Array.isArray(parsed) ? parsed.map(entry => [null, entry]) : Object.entries(parsed);
+  const usedSuites = new Set();
+
+  const inputs = entries.map(([name, entry], index) => {
+    const input = normalizeInput(entry);
+    const label = name || entry?.name || getSuiteName(input) || `Input ${index + 1}`;
+    let suite = label;
+    for (let n = 2; usedSuites.has(suite); n++) {
+      suite = `${label} (${n})`;
+    }
+    usedSuites.add(suite);
+    return { ...input, suite };
+  });
+
+  return { type: 'batch', inputs };
+}
+
+function getSuiteName(input) {
+  if (input.suite) {
+    return input.suite;
+  }
+  if (input.type === 'api') {
+    return `${String(input.method).toUpperCase()} ${input.endpoint}`;
+  }
+  return input.title || input.feature || '';
+}
+
+// Generate test cases based on input type
+function generateTestCases(normalizedInput, options = {}) {
+  const baseId = generateBaseId(normalizedInput);
+  
+  switch (normalizedInput.type) {
+    case 'api': {
+      const testCases = addAuthTestCases(generateApiTestCases(normalizedInput, baseId), normalizedInput, baseId);
+      if (options.includeSecurity) {
+        addSecurityTestCases(testCases, normalizedInput, baseId, options.securityPayloads);
+      }
+      return options.combinatorial
+        ? addCombinatorialTestCases(testCases, normalizedInput, baseId, options.combinatorial)
+        : testCases;
+    }
+    case 'user_story':
+      return generateUserStoryTestCases(normalizedInput, baseId);
+    case 'raw_text':
+      return generateRawTextTestCases(normalizedInput, baseId);
+    case 'gherkin':
+      return generateGherkinTestCases(normalizedInput, baseId);
+    case 'html_form':
+      return generateHtmlFormTestCases(normalizedInput, baseId);
+    case 'requirements':
+      return generateRequirementTestCases(normalizedInput, baseId);
+    case 'openapi':
+    case 'postman':
+    case 'graphql':
+      return generateSuiteTestCases(normalizedInput.operations, options);
+    case 'batch':
+      return generateSuiteTestCases(normalizedInput.inputs, options);
+    case 'db_schema':
+      return generateSuiteTestCases(normalizedInput.tables.map(table => ({
+        type: 'db_table',
+        suite: table.name,
+        table,
+        tables: normalizedInput.tables
+      })), options);
+    case 'db_table':
+      return generateDbTableTestCases(normalizedInput, baseId);
+    case 'graphql_operation':
+      return generateGraphQLTestCases(normalizedInput, baseId);
+    case 'decision_table':
+      return generateDecisionTableTestCases(normalizedInput, baseId);
+    case 'state_machine':
+      return generateStateMachineTestCases(normalizedInput, baseId);
+    case 'permission_matrix':
+      return generatePermissionMatrixTestCases(normalizedInput, baseId);
+    default:
+      throw new Error(`Unsupported input type: ${normalizedInput.type}`);
+  }
+}
+
+// Generate one suite per input and merge them, tagging each case with its suite
+function generateSuiteTestCases(inputs, options = {}) {
+  const testCases = {
+    positive: [],
+    negative: [],
+    boundary: [],
+    edge: []
+  };
+  // Shared with nested suites (an OpenAPI document inside a batch) so IDs stay unique across the whole run
+  const usedIds = options.usedIds || new Set();
+
+  for (const input of inputs) {
+    let baseId = generateBaseId(input);
+    if (usedIds.has(baseId) && input.method) {
+      baseId = `${baseId}_${input.method.toUpperCase()}`;
+    }
+    for (let n = 2; usedIds.has(baseId); n++) {
+      baseId = `${baseId.replace(/_\d+$/, '')}_${n}`;
+    }
+    usedIds.add(baseId);
+
+    const suiteCases = generateTestCases({ ...input, baseId }, { ...options, usedIds });
+    for (const [section, cases] of Object.entries(suiteCases)) {
+      testCases[section] = testCases[section] || [];
+      testCases[section].push(...cases.map(({ suite, ...testCase }) => ({
+        suite: suite && input.suite && suite !== input.suite ? `${input.suite} / ${suite}` : suite || input.suite,
+        ...testCase
+      })));
+    }
+  }
+
+  return testCases;
+}
+
+const CASE_ID_PREFIXES = {
+  positive: 'POS',
+  negative: 'NEG',
+  boundary: 'BND',
+  edge: 'EDGE',
+  security: 'SEC',
+  combinatorial: 'CMB'
+};
+
+// Every section a generator may emit; `security` and `combinatorial` are only present when requested
+const TEST_SECTIONS = ['positive', 'negative', 'boundary', 'edge', 'security', 'combinatorial'];
+
+function nextCaseId(testCases, section, baseId) {
+  testCases[section] = testCases[section] || [];
+  return `${baseId}_${CASE_ID_PREFIXES[section]}_${String(testCases[section].length + 1).padStart(3, '0')}`;
+}
+
+function generateBaseId(input) {
+  if (input.baseId) {
+    return input.baseId;
+  }
+
+  if (input.type === 'api') {
+    const name = input.operation_id || input.endpoint;
+    return `TC_${name.replace(/[^a-zA-Z0-9]/g, '_').toUpperCase()}`;
+  }
+
+  if (input.type === 'requirements' && input.title) {
+    return `TC_${input.title.replace(/[^a-zA-Z0-9]+/g, '_').replace(/^_|_$/g, '').toUpperCase()}`;
+  }
+
+  if (input.type === 'gherkin' && input.feature) {
+    return `TC_${input.feature.replace(/[^a-zA-Z0-9]+/g, '_').replace(/^_|_$/g, '').toUpperCase()}`;
+  }
+
+  if (input.type === 'graphql_operation') {
+    return `TC_${input.operation.toUpperCase()}_${input.field.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase()}`;
+  }
+
+  if (input.type === 'db_table') {
+    return `TC_${input.table.name.replace(/[^a-zA-Z0-9]+/g, '_').replace(/^_|_$/g, '').toUpperCase() || 'TABLE'}`;
+  }
+
+  if (input.type === 'permission_matrix') {
+    return `TC_${(input.name || input.suite || '').replace(/[^a-zA-Z0-9]+/g, '_').replace(/^_|_$/g, '').toUpperCase() || 'PERMISSIONS'}`;
+  }
+
+  if (input.type === 'state_machine') {
+    return `TC_${(input.name || input.suite || '').replace(/[^a-zA-Z0-9]+/g, '_').replace(/^_|_$/g, '').toUpperCase() || 'STATE_MACHINE'}`;
+  }
+
+  if (input.type === 'decision_table') {
+    return `TC_${(input.name || input.suite || '').replace(/[^a-zA-Z0-9]+/g, '_').replace(/^_|_$/g, '').toUpperCase() || 'DECISION_TABLE'}`;
+  }
+
+  if (input.type === 'html_form') {
+    return `TC_${input.name.replace(/[^a-zA-Z0-9]+/g, '_').replace(/^_|_$/g, '').toUpperCase() || 'FORM'}_FORM`;
+  }
+  
+  // Extract key words from content for ID
+  const content = input.content || '';
+  const words = content.match(/\b\w{3,}\b/g) || [];
+  const keyWords = words.slice(0, 3).map(w => w.toUpperCase());
+  return `TC_${keyWords.join('_')}` || 'TC_GENERIC';
+}
+
+function generateApiTestCases(apiInput, baseId) {
+  const endpoint = apiInput.endpoint;
+  const method = apiInput.method;
+  const fields = buildFieldModel(apiInput);
+  const validData = getValidTestData(fields);
+  const statusCodes = getStatusCodes(apiInput);
+  const successStatus = statusCodes.success;
+  const errorStatus = statusCodes.validation;
+  
+  const testCases = {
+    positive: [],
+    negative: [],
+    boundary: [],
+    edge: []
+  };
+
+  // Positive Test Cases
+  testCases.positive.push({
+    id: `${baseId}_POS_001`,
+    title: `${method} ${endpoint} with valid request`,
+    type: 'positive',
+    precondition: `API endpoint ${endpoint} is available and accessible`,
+    steps: [
+      `Prepare valid request data for ${endpoint}`,
+      `Send ${method} request to ${endpoint}`,
+      `Verify response status is ${successStatus}`,
+      `Verify response structure matches expected format`
+    ],
+    expected_result: `API returns ${successStatus} status with valid response data`,
+    test_data: validData,
+    priority: 'High'
+  });
+
+  // Negative Test Cases: one field and one fault per case
+  addFieldFaultCases(testCases, fields, validData, { baseId, method, endpoint, errorStatus });
+
+  // Boundary Test Cases: min-1 / min / min+1 / max-1 / max / max+1 for every declared (or assumed length) limit
+  addBoundaryValueCases(testCases, fields, validData, { baseId, method, endpoint, successStatus, errorStatus });
+
+  // Inputs with no string field and no declared limit keep the generic max/min length cases
+  if (testCases.boundary.length === 0) {
+    testCases.boundary.push({
+      id: nextCaseId(testCases, 'boundary', baseId),
+      title: `${method} ${endpoint} with maximum length values`,
+      type: 'boundary',
+      precondition: `API endpoint ${endpoint} is available`,
+      steps: [
+        `Send ${method} request to ${endpoint} with max length string values`,
+        `Verify response status is ${successStatus}`,
+        `Verify data is processed correctly`
+      ],
+      expected_result: `API processes max length values successfully`,
+      test_data: getBoundaryTestData(fields, 'max'),
+      priority: 'Medium'
+    });
+
+    testCases.boundary.push({
+      id: nextCaseId(testCases, 'boundary', baseId),
+      title: `${method} ${endpoint} with minimum length values`,
+      type: 'boundary',
+      precondition: `API endpoint ${endpoint} is available`,
+      steps: [
+        `Send ${method} request to ${endpoint} with min length values`,
+        `Verify response status is ${successStatus}`,
+        `Verify data is processed correctly`
+      ],
+      expected_result: `API processes min length values successfully`,
+      test_data: getBoundaryTestData(fields, 'min'),
+      priority: 'Medium'
+    });
+  }
+
+  // Edge Test Cases
+  // Required fields keep valid values, so the null case needs at least one optional field to null
+  if (flattenFields(fields).some(field => !field.required)) {
+    testCases.edge.push({
+      id: nextCaseId(testCases, 'edge', baseId),
+      title: `${method} ${endpoint} with null values`,
+      type: 'edge',
+      precondition: `API endpoint ${endpoint} is available`,
+      steps: [
+        `Send ${method} request to ${endpoint} with null values for optional fields`,
+        `Verify response status is ${successStatus}`,
+        `Verify null values are handled appropriately`
+      ],
+      expected_result: `API handles null values without errors`,
+      test_data: getEdgeTestData(fields, 'null'),
+      priority: 'Low'
+    });
+  }
+
+  testCases.edge.push({
+    id: nextCaseId(testCases, 'edge', baseId),
+    title: `${method} ${endpoint} with special characters`,
+    type: 'edge',
+    precondition: `API endpoint ${endpoint} is available`,
+    steps: [
+      `Send ${method} request to ${endpoint} with special characters`,
+      `Verify response status is ${successStatus}`,
+      `Verify special characters are processed correctly`
+    ],
+    expected_result: `API handles special characters appropriately`,
+    test_data: getEdgeTestData(fields, 'special'),
+    priority: 'Low'
+  });
+
+  addArraySizeCases(testCases, fields, validData, { baseId, method, endpoint, successStatus, errorStatus });
+
+  addMethodSpecificCases(testCases, fields, validData, { apiInput, baseId, method, endpoint, statusCodes });
+
+  addResponseContractCases(testCases, fields, validData, { apiInput, baseId, method, endpoint, statusCodes });
+
+  return testCases;
+}
+
+// Step that leaves a field out, worded by where it travels: the declared location (OpenAPI/Postman),
+// a path placeholder, the query string for methods without a body, otherwise the body
+function getOmitFieldStep(field, method, endpoint) {
+  const rootName = field.path.split(/[.[]/)[0];
+  const location = field.in || (getPathParams(endpoint).includes(rootName) ? 'path' :
+    ['GET', 'DELETE', 'HEAD'].includes(method.toUpperCase()) ? 'query' : 'body');
+
+  if (location === 'body') {
+    return `Remove ${field.path} from the request body`;
+  }
+  return `Omit the ${field.path} ${location === 'header' ? 'header' : `${location} parameter`}`;
+}
+
+// Each case breaks exactly one field (at any nesting depth) and keeps the rest of the request valid
+function addFieldFaultCases(testCases, fields, validData, context) {
+  const { baseId, method, endpoint, errorStatus } = context;
+
+  for (const field of flattenFields(fields)) {
+    const isItem = field.name === '[]';
+    const faults = [];
+
+    if (field.required && !isItem) {
+      faults.push({
+        fault: 'missing',
+        label: `${field.path} missing`,
+        step: getOmitFieldStep(field, method, endpoint),
+        request: deleteAtPath(structuredClone(validData), field.path)
+      });
+    }
+
+    if ((field.required || isItem) && !field.nullable) {
+      faults.push({ fault: 'null', label: `${field.path} set to null`, value: null });
+    }
+
+    const wrongType = getWrongTypeValue(field);
+    faults.push({ fault: 'wrong_type', label: `${field.path} of wrong type (expected ${field.type})`, value: wrongType });
+
+    if (field.type === 'string' && !field.enum && !['date', 'date-time', 'uuid'].includes(field.format)) {
+      const tooLong = getTooLongString(field);
+      faults.push({ fault: 'too_long', label: `${field.path} too long (${tooLong.length} chars)`, value: tooLong });
+    }
+
+    if (VALIDATED_FORMATS.includes(field.format) || field.pattern || Array.isArray(field.enum)) {
+      const rule = field.enum ? `one of [${field.enum.join(', ')}]` :
+        VALIDATED_FORMATS.includes(field.format) ? `${field.format} format` : `pattern ${field.pattern}`;
+      faults.push({ fault: 'invalid_format', label: `${field.path} not matching ${rule}`, value: getInvalidFormatValue(field) });
+    }
+
+    for (const fault of faults) {
+      const request = fault.request || setAtPath(structuredClone(validData), field.path, fault.value);
+      const valueText = fault.value === undefined ? '' : JSON.stringify(fault.value);
+
+      testCases.negative.push({
+        id: nextCaseId(testCases, 'negative', baseId),
+        title: `${method} ${endpoint} with ${fault.label}`,
+        type: 'negative',
+        precondition: `API endpoint ${endpoint} is available`,
+        steps: [
+          `Prepare valid request data for ${endpoint}`,
+          fault.step || `Set ${field.path} to ${valueText.length > 40 ? `${valueText.slice(0, 40)}...` : valueText}`,
+          `Send ${method} request to ${endpoint}`,
+          `Verify response status is ${errorStatus}`,
+          `Verify error message references ${field.path}`
+        ],
+        expected_result: `API returns ${errorStatus} status with validation error for ${field.path}`,
+        test_data: { field: field.path, fault: fault.fault, request },
+        priority: field.required && ['missing', 'wrong_type'].includes(fault.fault) ? 'High' : 'Medium'
+      });
+    }
+  }
+}
+
+// Classic boundary value analysis: each declared limit is probed just inside, on and just outside it.
+// Values inside the range expect success, values outside it the validation error
+function addBoundaryValueCases(testCases, fields, validData, context) {
+  const { baseId, method, endpoint, successStatus, errorStatus } = context;
+
+  for (const field of flattenFields(fields)) {
+    const points = getBoundaryValuePoints(field);
+
+    for (const point of points) {
+      const status = point.valid ? successStatus : errorStatus;
+      const label = point.length !== undefined
+        ? `${field.path} length ${point.name} (${point.length} char${point.length === 1 ? '' : 's'}${point.assumed ? ', assumed limit' : ''})`
+        : `${field.path} at ${point.name} (${point.value})`;
+      const assumption = point.assumed ? '; the length limit is a QA assumption, confirm it against the specification' : '';
+
+      testCases.boundary.push({
+        id: nextCaseId(testCases, 'boundary', baseId),
+        title: `${method} ${endpoint} with ${label}`,
+        type: 'boundary',
+        precondition: `API endpoint ${endpoint} is available`,
+        steps: [
+          `Prepare valid request data for ${endpoint}`,
+          point.length !== undefined
+            ? `Set ${field.path} to a ${point.length}-character value`
+            : `Set ${field.path} to ${point.value}`,
+          `Send ${method} request to ${endpoint}`,
+          `Verify response status is ${status}`
+        ],
+        expected_result: (point.valid
+          ? `API returns ${status} status and accepts ${field.path} at ${point.name}`
+          : `API returns ${status} status with validation error for ${field.path} (${point.name} is outside the allowed range)`) + assumption,
+        test_data: {
+          method,
+          endpoint,
+          field: field.path,
+          boundary: point.name,
+          value: point.value,
+          ...(point.assumed ? { assumed_limit: true } : {}),
+          request: setAtPath(structuredClone(validData), field.path, point.value),
+          expected_status: status
+        },
+        priority: point.valid ? 'Medium' : 'High'
+      });
+    }
+  }
+}
+
+// Declared limits are probed (a one-sided limit gives three points); a string without any length limit is probed
+// at the QA_ASSUMPTIONS lengths instead, and those points are marked `assumed`
+function getBoundaryValuePoints(field) {
+  const points = [];
+  const add = (name, value, valid, length, assumed) => {
+    if (!points.some(point => JSON.stringify(point.value) === JSON.stringify(value))) {
+      points.push({ name, value, valid, ...(length !== undefined ? { length } : {}), ...(assumed ? { assumed } : {}) });
+    }
+  };
+
+  if (Array.isArray(field.enum)) {
+    return points;
+  }
+
+  if (field.type === 'integer' || field.type === 'number') {
+    const { min, max, step } = getNumericLimits(field);
+    const round = (value) => Number(value.toFixed(6));
+    const hasMin = field.minimum !== undefined || field.exclusiveMinimum !== undefined;
+    const hasMax = field.maximum !== undefined || field.exclusiveMaximum !== undefined;
+    const inRange = (value) => value >= min && value <= max;
+    if (hasMin) {
+      add('min-1', round(min - step), false);
+      add('min', round(min), true);
+      add('min+1', round(min + step), inRange(round(min + step)));
+    }
+    if (hasMax) {
+      add('max-1', round(max - step), inRange(round(max - step)));
+      add('max', round(max), true);
+      add('max+1', round(max + step), false);
+    }
+  } else if (field.type === 'string' && !['date', 'date-time', 'uuid'].includes(field.format)) {
+    const { min, max, declared } = getLengthLimits(field);
+    const inRange = (length) => length >= min && length <= max;
+    const lengths = [];
+    // Assumed limits only for values that stay well-formed at any length: plain text, passwords, and emails at the max end
+    const assumed = !declared && (!field.format || ['password', 'email'].includes(field.format));
+    if (field.minLength !== undefined || (assumed && field.format !== 'email')) {
+      lengths.push(['min-1', min - 1], ['min', min], ['min+1', min + 1]);
+    }
+    if (field.maxLength !== undefined || assumed) {
+      lengths.push(['max-1', max - 1], ['max', max], ['max+1', max + 1]);
+    }
+    for (const [name, length] of lengths.filter(([, length]) => length >= 0)) {
+      const value = getStringOfLength(field, length);
+      // A pattern that rejects the generated text would make the case fail for another reason
+      if (!inRange(length) || matchesPattern(field, value)) {
+        add(name, value, inRange(length), length, assumed);
+      }
+    }
+  }
+
+  return points;
+}
+
+// Empty and oversized cases for every array, one per JSON path
+function addArraySizeCases(testCases, fields, validData, context) {
+  const { baseId, method, endpoint, successStatus, errorStatus } = context;
+  const arrayFields = flattenFields(fields).filter(field => field.type === 'array');
+  const withValue = (path, value) => setAtPath(structuredClone(validData), path, value);
+
+  for (const field of arrayFields) {
+    const item = field.itemField ? getValidValue(field.itemField) : 'item';
+    const emptyRejected = (field.minItems || 0) > 0;
+
+    testCases[emptyRejected ? 'negative' : 'boundary'].push({
+      id: nextCaseId(testCases, emptyRejected ? 'negative' : 'boundary', baseId),
+      title: `${method} ${endpoint} with empty array ${field.path}[]`,
+      type: emptyRejected ? 'negative' : 'boundary',
+      precondition: `API endpoint ${endpoint} is available`,
+      steps: [
+        `Prepare valid request data for ${endpoint}`,
+        `Set ${field.path} to an empty array`,
+        `Send ${method} request to ${endpoint}`,
+        `Verify response status is ${emptyRejected ? errorStatus : successStatus}`
+      ],
+      expected_result: emptyRejected
+        ? `API returns ${errorStatus} status because ${field.path} requires at least ${field.minItems} item(s)`
+        : `API returns ${successStatus} status and accepts an empty ${field.path}`,
+      test_data: { field: `${field.path}[]`, fault: 'empty', request: withValue(field.path, []) },
+      priority: emptyRejected ? 'High' : 'Medium'
+    });
+
+    if (field.maxItems !== undefined) {
+      testCases.negative.push({
+        id: nextCaseId(testCases, 'negative', baseId),
+        title: `${method} ${endpoint} with oversized array ${field.path}[] (${field.maxItems + 1} items)`,
+        type: 'negative',
+        precondition: `API endpoint ${endpoint} is available`,
+        steps: [
+          `Prepare valid request data for ${endpoint}`,
+          `Set ${field.path} to ${field.maxItems + 1} items (max ${field.maxItems})`,
+          `Send ${method} request to ${endpoint}`,
+          `Verify response status is ${errorStatus}`
+        ],
+        expected_result: `API returns ${errorStatus} status because ${field.path} exceeds ${field.maxItems} items`,
+        test_data: { field: `${field.path}[]`, fault: 'oversized', request: withValue(field.path, Array.from({ length: field.maxItems + 1 }, () => item)) },
+        priority: 'Medium'
+      });
+    } else {
+      const count = QA_ASSUMPTIONS.array.maxItems + 1;
+      testCases.edge.push({
+        id: nextCaseId(testCases, 'edge', baseId),
+        title: `${method} ${endpoint} with oversized array ${field.path}[] (${count} items)`,
+        type: 'edge',
+        precondition: `API endpoint ${endpoint} is available`,
+        steps: [
+          `Prepare valid request data for ${endpoint}`,
+          `Set ${field.path} to ${count} items`,
+          `Send ${method} request to ${endpoint}`,
+          `Verify the response is not a 5xx error`
+        ],
+        expected_result: `API processes ${count} items in ${field.path} or rejects them with a clear limit error, without a server error`,
+        test_data: { field: `${field.path}[]`, fault: 'oversized', request: withValue(field.path, Array.from({ length: count }, () => item)) },
+        priority: 'Low'
+      });
+    }
+  }
+}
+
+// POSTs to these endpoints perform an action rather than create a resource
+const ACTION_ENDPOINT_SEGMENTS = ['login', 'logout', 'signin', 'signout', 'auth', 'authenticate', 'token', 'refresh',
+  'search', 'query', 'verify', 'validate', 'reset', 'reset-password', 'forgot-password', 'send', 'check', 'calculate'];
+
+const PAGINATION_PARAMS = ['page', 'limit', 'offset', 'size', 'per_page', 'page_size', 'pageSize', 'cursor'];
+
+// Status codes come from the input's status_codes config first, then the spec's responses, then method defaults
+function getStatusCodes(apiInput) {
+  const method = (apiInput.method || 'GET').toUpperCase();
+  const codes = Object.keys(apiInput.responses || {});
+  const config = apiInput.status_codes || {};
+  const fromSpec = (candidates) => Number(candidates.find(code => codes.includes(code))) || null;
+
+  const creates = method === 'POST' && (codes.includes('201') || config.success === 201 ||
+    (codes.length === 0 && isCollectionEndpoint(apiInput.endpoint) && !isActionEndpoint(apiInput.endpoint)));
+  const defaultSuccess = { POST: creates ? 201 : 200, DELETE: 204 }[method] || 200;
+
+  return {
+    success: config.success || Number(codes.find(code => /^2\d\d$/.test(code))) || defaultSuccess,
+    validation: config.validation || fromSpec(['400', '422']) ||
+      Number(codes.find(code => /^4\d\d$/.test(code) && !['401', '403', '404', '405'].includes(code))) || 400,
+    not_found: config.not_found || 404,
+    method_not_allowed: config.method_not_allowed || 405,
+    unauthorized: config.unauthorized || fromSpec(['401']) || 401,
+    forbidden: config.forbidden || fromSpec(['403']) || 403,
+    creates
+  };
+}
+
+function getPathParams(endpoint) {
+  return [...endpoint.matchAll(/\{([^}]+)\}|:([A-Za-z_]\w*)/g)].map(match => match[1] || match[2]);
+}
+
+function isCollectionEndpoint(endpoint) {
+  const lastSegment = endpoint.split('/').filter(Boolean).pop() || '';
+  return !/^\{.+\}$|^:/.test(lastSegment);
+}
+
+function isActionEndpoint(endpoint) {
+  const lastSegment = (endpoint.split('/').filter(Boolean).pop() || '').toLowerCase();
+  return ACTION_ENDPOINT_SEGMENTS.includes(lastSegment);
+}
+
+function getUnknownIdValue(field) {
+  if (field?.format === 'uuid') {
+    return '00000000-0000-0000-0000-000000000000';
+  }
+  return field && ['integer', 'number'].includes(field.type) ? 999999999 : 'non-existent-id';
+}
+
+// Templates that depend on the HTTP method (pagination, 404, idempotency, 201 + Location, 405)
+function addMethodSpecificCases(testCases, fields, validData, context) {
+  const { apiInput, baseId, method, endpoint, statusCodes } = context;
+  const upperMethod = method.toUpperCase();
+  const pathParams = getPathParams(endpoint);
+  const fieldByName = Object.fromEntries(fields.map(field => [field.name, field]));
+  const pushCase = (section, testCase) => testCases[section].push({
+    id: nextCaseId(testCases, section, baseId),
+    type: section,
+    precondition: `API endpoint ${endpoint} is available`,
+    ...testCase
+  });
+
+  const unknownIdData = { ...validData };
+  pathParams.forEach(param => { unknownIdData[param] = getUnknownIdValue(fieldByName[param]); });
+
+  if (pathParams.length > 0 && ['GET', 'PUT', 'PATCH', 'DELETE'].includes(upperMethod)) {
+    pushCase('negative', {
+      title: `${upperMethod} ${endpoint} with unknown ${pathParams.join(', ')}`,
+      steps: [
+        `Set ${pathParams.join(', ')} to an identifier that does not exist`,
+        `Send ${upperMethod} request to ${endpoint}`,
+        `Verify response status is ${statusCodes.not_found}`
+      ],
+      expected_result: `API returns ${statusCodes.not_found} status for a resource that does not exist`,
+      test_data: unknownIdData,
+      priority: 'High'
+    });
+  }
+
+  if (upperMethod === 'GET' && isCollectionEndpoint(endpoint)) {
+    const declared = fields.filter(field => PAGINATION_PARAMS.includes(field.name));
+    const pageParam = declared.find(field => ['page', 'offset', 'cursor'].includes(field.name))?.name || 'page';
+    const limitParam = declared.find(field => !['page', 'offset', 'cursor'].includes(field.name))?.name || 'limit';
+    const firstPage = pageParam === 'offset' ? 0 : 1;
+
+    pushCase('positive', {
+      title: `GET ${endpoint} first page with ${pageParam} and ${limitParam}`,
+      steps: [
+        `Send GET request to ${endpoint} with ${pageParam}=${firstPage}&${limitParam}=10`,
+        `Verify response status is ${statusCodes.success}`,
+        `Verify at most 10 items are returned`,
+        `Verify pagination metadata (total/next) is consistent`
+      ],
+      expected_result: `API returns ${statusCodes.success} status with the first page of at most 10 items`,
+      test_data: { ...validData, [pageParam]: firstPage, [limitParam]: 10 },
+      priority: 'Medium'
+    });
+
+    pushCase('boundary', {
+      title: `GET ${endpoint} with ${pageParam} beyond the last page`,
+      steps: [
+        `Send GET request to ${endpoint} with ${pageParam}=999999`,
+        `Verify response status is ${statusCodes.success}`,
+        `Verify the returned list is empty`
+      ],
+      expected_result: `API returns ${statusCodes.success} status with an empty list`,
+      test_data: { ...validData, [pageParam]: 999999, [limitParam]: 10 },
+      priority: 'Medium'
+    });
+
+    pushCase('negative', {
+      title: `GET ${endpoint} with invalid ${limitParam}`,
+      steps: [
+        `Send GET request to ${endpoint} with ${limitParam}=-1`,
+        `Verify response status is ${statusCodes.validation}`
+      ],
+      expected_result: `API returns ${statusCodes.validation} status for a negative ${limitParam}`,
+      test_data: { ...validData, [pageParam]: firstPage, [limitParam]: -1 },
+      priority: 'Medium'
+    });
+  }
+
+  if (upperMethod === 'POST' && statusCodes.creates) {
+    pushCase('positive', {
+      title: `POST ${endpoint} creates a resource and returns its Location`,
+      steps: [
+        `Send POST request to ${endpoint} with valid data`,
+        `Verify response status is ${statusCodes.success}`,
+        `Verify the Location header points to the new resource`,
+        `Send GET request to the Location URL`,
+        `Verify the returned resource matches the submitted data`
+      ],
+      expected_result: `API returns ${statusCodes.success} status with a Location header for the created resource`,
+      test_data: validData,
+      priority: 'High'
+    });
+  }
+
+  if (upperMethod === 'PUT') {
+    const [keptField] = fields.filter(field => field.in !== 'path' && !pathParams.includes(field.name));
+    const partialData = { ...validData };
+    fields.filter(field => field.required && field !== keptField && field.in !== 'path' && !pathParams.includes(field.name))
+      .forEach(field => delete partialData[field.name]);
+
+    if (keptField && Object.keys(partialData).length < Object.keys(validData).length) {
+      pushCase('negative', {
+        title: `PUT ${endpoint} with a partial body`,
+        steps: [
+          `Send PUT request to ${endpoint} with only ${keptField.name}`,
+          `Verify response status is ${statusCodes.validation}`,
+          `Verify the stored resource is unchanged`
+        ],
+        expected_result: `API returns ${statusCodes.validation} status because PUT requires the full resource`,
+        test_data: partialData,
+        priority: 'Medium'
+      });
+    }
+
+    pushCase('edge', {
+      title: `PUT ${endpoint} is idempotent`,
+      steps: [
+        `Send PUT request to ${endpoint} with valid data`,
+        `Send the same PUT request again`,
+        `Verify both responses have status ${statusCodes.success}`,
+        `Verify the resource state after the second request equals the state after the first`
+      ],
+      expected_result: `Repeating the PUT request returns ${statusCodes.success} and leaves the resource unchanged`,
+      test_data: validData,
+      priority: 'Medium'
+    });
+  }
+
+  if (upperMethod === 'PATCH') {
+    const [patchedField] = fields.filter(field => field.in !== 'path' && !pathParams.includes(field.name));
+
+    if (patchedField) {
+      const partialData = Object.fromEntries(Object.entries(validData)
+        .filter(([name]) => name === patchedField.name || pathParams.includes(name) || fieldByName[name]?.in === 'path'));
+
+      pushCase('positive', {
+        title: `PATCH ${endpoint} updates only ${patchedField.name}`,
+        steps: [
+          `Send PATCH request to ${endpoint} with only ${patchedField.name}`,
+          `Verify response status is ${statusCodes.success}`,
+          `Verify ${patchedField.name} is updated`,
+          `Verify all other fields keep their previous values`
+        ],
+        expected_result: `API returns ${statusCodes.success} status and changes only ${patchedField.name}`,
+        test_data: partialData,
+        priority: 'High'
+      });
+    }
+
+    pushCase('edge', {
+      title: `PATCH ${endpoint} with an empty body`,
+      steps: [
+        `Send PATCH request to ${endpoint} with an empty JSON object`,
+        `Verify the response is ${statusCodes.success} or ${statusCodes.validation}`,
+        `Verify the resource is unchanged`
+      ],
+      expected_result: `API does not modify the resource when the PATCH body is empty`,
+      test_data: Object.fromEntries(Object.entries(validData).filter(([name]) => pathParams.includes(name))),
+      priority: 'Low'
+    });
+  }
+
+  if (upperMethod === 'DELETE') {
+    pushCase('negative', {
+      title: `DELETE ${endpoint} twice`,
+      steps: [
+        `Send DELETE request to ${endpoint} for an existing resource`,
+        `Verify response status is ${statusCodes.success}`,
+        `Send the same DELETE request again`,
+        `Verify response status is ${statusCodes.not_found}`
+      ],
+      expected_result: `First DELETE returns ${statusCodes.success}, the repeated DELETE returns ${statusCodes.not_found}`,
+      test_data: validData,
+      priority: 'Medium'
+    });
+
+    pushCase('positive', {
+      title: `DELETE ${endpoint} removes the resource`,
+      steps: [
+        `Send DELETE request to ${endpoint} for an existing resource`,
+        `Verify response status is ${statusCodes.success}`,
+        `Send GET request to ${endpoint}`,
+        `Verify response status is ${statusCodes.not_found}`
+      ],
+      expected_result: `Resource can no longer be retrieved after DELETE`,
+      test_data: validData,
+      priority: 'High'
+    });
+  }
+
+  // Without a full list of the path's methods, pick the one least likely to be supported
+  const allowedMethods = (apiInput.allowed_methods || [upperMethod]).map(m => m.toUpperCase());
+  const candidates = apiInput.allowed_methods ? ['DELETE', 'PUT', 'PATCH', 'POST', 'GET'] :
+    isCollectionEndpoint(endpoint) ? ['DELETE', 'PUT'] : ['POST', 'PUT'];
+  const unsupported = candidates.find(m => !allowedMethods.includes(m));
+  if (unsupported) {
+    pushCase('negative', {
+      title: `${unsupported} ${endpoint} is not allowed`,
+      steps: [
+        `Send ${unsupported} request to ${endpoint}`,
+        `Verify response status is ${statusCodes.method_not_allowed}`,
+        `Verify the Allow header lists ${allowedMethods.join(', ')}`
+      ],
+      expected_result: `API returns ${statusCodes.method_not_allowed} status for unsupported method ${unsupported}`,
+      test_data: validData,
+      priority: 'Low'
+    });
+  }
+}
+
+// Response contract
+// The response shape is a spec schema, type descriptors ({ "id": "number" }) or a sample body
+function buildResponseFieldModel(response) {
+  if (!response || typeof response !== 'object' || Object.keys(response).length === 0) {
+    return [];
+  }
+
+  // Collection responses describe their items under "[]"
+  if (response.type === 'array' && response.items) {
+    const items = mergeAllOf(response.items);
+    return items.properties ? describeChildren(items, true, undefined, '[]', 1) : [];
+  }
+  if (Array.isArray(response)) {
+    return response.length > 0 ? describeChildren(response[0], false, undefined, '[]', 1) : [];
+  }
+
+  const isSchema = isJsonSchema(response) && Boolean(response.properties);
+  return describeChildren(response, isSchema, undefined, '', 0);
+}
+
+function getResponseSchema(apiInput, statusCode) {
+  const declared = apiInput.responses?.[String(statusCode)]?.schema;
+  return declared || null;
+}
+
+// Required fields nested under optional objects can't be asserted unconditionally
+function getContractFields(fields) {
+  const contract = [];
+  for (const field of fields) {
+    if (!field.required) {
+      continue;
+    }
+    contract.push(field);
+    if (field.fields) {
+      contract.push(...getContractFields(field.fields));
+    }
+    if (field.itemField?.fields) {
+      contract.push(...getContractFields(field.itemField.fields));
+    }
+  }
+  return contract;
+}
+
+function getContractTypes(fields) {
+  const types = {};
+  for (const field of fields) {
+    types[field.path] = field.type === 'integer' ? 'number' : field.type;
+  }
+  return types;
+}
+
+function addResponseContractCases(testCases, fields, validData, context) {
+  const { apiInput, baseId, method, endpoint, statusCodes } = context;
+  const responseFields = buildResponseFieldModel(getResponseSchema(apiInput, statusCodes.success) || apiInput.response);
+  const pushCase = (section, testCase) => testCases[section].push({
+    id: nextCaseId(testCases, section, baseId),
+    type: section,
+    precondition: `API endpoint ${endpoint} is available`,
+    ...testCase
+  });
+
+  if (responseFields.length > 0) {
+    const contractFields = getContractFields(responseFields);
+    const declared = new Set(flattenFields(responseFields).map(field => field.name));
+    const sensitive = QA_ASSUMPTIONS.response.sensitiveFields.filter(name => !declared.has(name));
+    const required = contractFields.map(field => field.path);
+
+    pushCase('positive', {
+      title: `${method} ${endpoint} response contains all required fields`,
+      steps: [
+        `Send ${method} request to ${endpoint} with valid data`,
+        `Verify response status is ${statusCodes.success}`,
+        `Verify the response body contains ${required.join(', ')}`
+      ],
+      expected_result: `Response body contains every required field of the contract`,
+      test_data: { method, endpoint, request: validData, contract: { status: statusCodes.success, required } },
+      priority: 'High'
+    });
+
+    const types = getContractTypes(contractFields);
+    pushCase('positive', {
+      title: `${method} ${endpoint} response field types match the contract`,
+      steps: [
+        `Send ${method} request to ${endpoint} with valid data`,
+        `Verify response status is ${statusCodes.success}`,
+        ...Object.entries(types).map(([path, type]) => `Verify ${path} is of type ${type}`)
+      ],
+      expected_result: `Every response field has the type declared in the contract`,
+      test_data: { method, endpoint, request: validData, contract: { status: statusCodes.success, types } },
+      priority: 'High'
+    });
+
+    pushCase('positive', {
+      title: `${method} ${endpoint} response does not expose sensitive fields`,
+      steps: [
+        `Send ${method} request to ${endpoint} with valid data`,
+        `Verify response status is ${statusCodes.success}`,
+        `Verify the response body has no ${sensitive.join(', ')} fields at any level`
+      ],
+      expected_result: `Response body contains no sensitive fields outside the contract`,
+      test_data: { method, endpoint, request: validData, contract: { status: statusCodes.success, forbidden: sensitive } },
+      priority: 'High'
+    });
+  }
+
+  // The error body is checked with a request that breaks a single field
+  const pathParams = getPathParams(endpoint);
+  const invalidField = flattenFields(fields)
+    .find(field => field.required && field.name !== '[]' && field.in !== 'path' && !pathParams.includes(field.path));
+  if (!invalidField) {
+    return;
+  }
+  const errorFields = getContractFields(buildResponseFieldModel(
+    getResponseSchema(apiInput, statusCodes.validation) || QA_ASSUMPTIONS.response.errorShape));
+  const errorRequired = errorFields.map(field => field.path);
+
+  pushCase('negative', {
+    title: `${method} ${endpoint} error response matches the error contract`,
+    steps: [
+      getOmitFieldStep(invalidField, method, endpoint),
+      `Send ${method} request to ${endpoint}`,
+      `Verify response status is ${statusCodes.validation}`,
+      `Verify the error body contains ${errorRequired.join(', ')}`,
+      'Verify the error body has no stack trace or internal details'
+    ],
+    expected_result: `API returns ${statusCodes.validation} with a body matching the error response shape`,
+    test_data: {
+      method,
+      endpoint,
+      request: deleteAtPath(structuredClone(validData), invalidField.path),
+      contract: { status: statusCodes.validation, required: errorRequired, types: getContractTypes(errorFields) }
+    },
+    priority: 'Medium'
+  });
+}
+
+// Authentication & authorization
+// Schemes are normalized to { type: 'bearer' | 'apiKey' | 'basic', name, in, scopes, required_role }
+function normalizeAuthScheme(auth) {
+  if (!auth) {
+    return null;
+  }
+
+  const scheme = typeof auth === 'string' ? { type: auth } : { ...auth };
+  const type = String(scheme.type || scheme.scheme || '').toLowerCase();
+
+  if (['bearer', 'jwt', 'oauth2', 'openidconnect', 'token'].includes(type)) {
+    return { ...scheme, type: 'bearer', name: scheme.name || 'Authorization', in: 'header' };
+  }
+  if (['apikey', 'api_key', 'api-key'].includes(type)) {
+    return { ...scheme, type: 'apiKey', name: scheme.name || 'X-API-Key', in: scheme.in || 'header' };
+  }
+  if (type === 'basic') {
+    return { ...scheme, type: 'basic', name: 'Authorization', in: 'header' };
+  }
+  return null;
+}
+
+function resolveOpenApiAuth(spec, security) {
+  const schemes = spec.components?.securitySchemes || spec.securityDefinitions || {};
+
+  // An empty requirement ({}) marks the operation as optionally public
+  if (!Array.isArray(security) || security.length === 0 || security.some(req => Object.keys(req).length === 0)) {
+    return null;
+  }
+
+  for (const requirement of security) {
+    for (const [name, scopes] of Object.entries(requirement)) {
+      const definition = schemes[name];
+      if (!definition) {
+        continue;
+      }
+
+      const type = definition.type === 'http' ? definition.scheme : definition.type;
+      const scheme = normalizeAuthScheme({ type, name: definition.name, in: definition.in });
+      if (scheme) {
+        return { ...scheme, scheme_name: name, scopes: scopes || [] };
+      }
+    }
+  }
+  return null;
+}
+
+function normalizePostmanAuth(auth) {
+  if (!auth || auth.type === 'noauth') {
+    return null;
+  }
+
+  const options = Object.fromEntries((auth[auth.type] || []).map(option => [option.key, option.value]));
+  if (auth.type === 'apikey') {
+    return normalizeAuthScheme({ type: 'apiKey', name: options.key, in: options.in || 'header' });
+  }
+  return normalizeAuthScheme({ type: auth.type });
+}
+
+function detectAuthFromHeaders(headers = {}) {
+  for (const [name, value] of Object.entries(headers)) {
+    if (name.toLowerCase() === 'authorization') {
+      return normalizeAuthScheme(/^basic\s/i.test(value) ? 'basic' : 'bearer');
+    }
+    if (/^x-api-key$|^api-key$/i.test(name)) {
+      return normalizeAuthScheme({ type: 'apiKey', name, in: 'header' });
+    }
+  }
+  return null;
+}
+
+function getAuthCredentials(scheme, variant) {
+  // Expired JWT: valid structure, exp set to 2020-01-01
+  const expiredJwt = [
+    Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url'),
+    Buffer.from(JSON.stringify({ sub: 'test-user', exp: 1577836800 })).toString('base64url'),
+    'expired-signature'
+  ].join('.');
+
+  const values = {
+    bearer: {
+      valid: 'Bearer <valid_token>',
+      expired: `Bearer ${expiredJwt}`,
+      malformed: 'Bearer not.a.valid-token',
+      other_user: 'Bearer <token_of_user_a>',
+      low_role: 'Bearer <token_of_user_without_required_role>'
+    },
+    apiKey: {
+      valid: '<valid_api_key>',
+      expired: '<revoked_api_key>',
+      malformed: 'invalid-api-key-!@#',
+      other_user: '<api_key_of_user_a>',
+      low_role: '<api_key_without_required_permission>'
+    },
+    basic: {
+      valid: `Basic ${Buffer.from('valid_user:valid_password').toString('base64')}`,
+      expired: `Basic ${Buffer.from('valid_user:wrong_password').toString('base64')}`,
+      malformed: 'Basic not-base64!!',
+      other_user: `Basic ${Buffer.from('user_a:password_a').toString('base64')}`,
+      low_role: `Basic ${Buffer.from('basic_user:basic_password').toString('base64')}`
+    }
+  };
+
+  return { scheme: scheme.type, in: scheme.in, name: scheme.name, value: variant === 'missing' ? null : values[scheme.type][variant] };
+}
+
+// Adds 401/403 cases on top of the generated API suite when the endpoint is protected
+function addAuthTestCases(testCases, apiInput, baseId) {
+  const scheme = normalizeAuthScheme(apiInput.auth);
+  if (!scheme) {
+    return testCases;
+  }
+
+  const { method, endpoint } = apiInput;
+  const statusCodes = getStatusCodes(apiInput);
+  const validData = getValidTestData(buildFieldModel(apiInput));
+  const credentialName = scheme.type === 'apiKey' ? `API key (${scheme.name} ${scheme.in})` : `${scheme.type} credentials`;
+  const requiredRole = scheme.required_role || apiInput.roles?.[0] || (scheme.scopes?.length ? `scope ${scheme.scopes.join(' ')}` : null);
+  const pushCase = (section, variant, testCase) => testCases[section].push({
+    id: nextCaseId(testCases, section, baseId),
+    type: section,
+    ...testCase,
+    test_data: { auth: getAuthCredentials(scheme, variant), request: validData },
+    priority: 'High'
+  });
+
+  pushCase('positive', 'valid', {
+    title: `${method} ${endpoint} with valid ${credentialName}`,
+    precondition: `User is authenticated with valid ${credentialName}`,
+    steps: [
+      `Send ${method} request to ${endpoint} with valid ${credentialName}`,
+      `Verify response status is ${statusCodes.success}`
+    ],
+    expected_result: `API returns ${statusCodes.success} status for an authenticated request`
+  });
+
+  pushCase('negative', 'missing', {
+    title: `${method} ${endpoint} without ${credentialName}`,
+    precondition: `API endpoint ${endpoint} requires ${credentialName}`,
+    steps: [
+      `Send ${method} request to ${endpoint} without ${scheme.name} ${scheme.in === 'query' ? 'parameter' : 'header'}`,
+      `Verify response status is ${statusCodes.unauthorized}`,
+      `Verify no resource data is returned`
+    ],
+    expected_result: `API returns ${statusCodes.unauthorized} status for an unauthenticated request`
+  });
+
+  pushCase('negative', 'expired', {
+    title: scheme.type === 'basic'
+      ? `${method} ${endpoint} with wrong basic auth password`
+      : `${method} ${endpoint} with expired or revoked ${credentialName}`,
+    precondition: `API endpoint ${endpoint} requires ${credentialName}`,
+    steps: [
+      `Send ${method} request to ${endpoint} with ${scheme.type === 'basic' ? 'a wrong password' : 'an expired credential'}`,
+      `Verify response status is ${statusCodes.unauthorized}`,
+      `Verify error message does not reveal which part of the credential is wrong`
+    ],
+    expected_result: `API returns ${statusCodes.unauthorized} status and rejects the credential`
+  });
+
+  pushCase('negative', 'malformed', {
+    title: `${method} ${endpoint} with malformed ${credentialName}`,
+    precondition: `API endpoint ${endpoint} requires ${credentialName}`,
+    steps: [
+      `Send ${method} request to ${endpoint} with a malformed credential`,
+      `Verify response status is ${statusCodes.unauthorized}`
+    ],
+    expected_result: `API returns ${statusCodes.unauthorized} status for a malformed credential`
+  });
+
+  pushCase('negative', 'low_role', {
+    title: `${method} ${endpoint} with insufficient ${requiredRole ? requiredRole.startsWith('scope') ? requiredRole : `role (requires ${requiredRole})` : 'permissions'}`,
+    precondition: `User is authenticated but lacks ${requiredRole || 'the permission required for this operation'}`,
+    steps: [
+      `Authenticate as a user without ${requiredRole || 'the required permission'}`,
+      `Send ${method} request to ${endpoint}`,
+      `Verify response status is ${statusCodes.forbidden}`,
+      `Verify the resource is not changed`
+    ],
+    expected_result: `API returns ${statusCodes.forbidden} status for a user without sufficient permissions`
+  });
+
+  // IDOR: the endpoint addresses a specific resource or carries an owner id
+  const ownerFields = Object.keys(validData).filter(name => /^(user|owner|account|customer)_?id$/i.test(name));
+  const pathParams = getPathParams(endpoint);
+  if (pathParams.length > 0 || ownerFields.length > 0) {
+    const target = [...new Set([...pathParams, ...ownerFields])].join(', ');
+    pushCase('negative', 'other_user', {
+      title: `${method} ${endpoint} accessing another user's resource (${target})`,
+      precondition: `User A and user B exist; the resource identified by ${target} belongs to user B`,
+      steps: [
+        `Authenticate as user A`,
+        `Set ${target} to the identifier of user B's resource`,
+        `Send ${method} request to ${endpoint}`,
+        `Verify response status is ${statusCodes.forbidden} or ${statusCodes.not_found}`,
+        `Verify user B's data is not returned or modified`
+      ],
+      expected_result: `API returns ${statusCodes.forbidden} (or ${statusCodes.not_found}) and never exposes user B's resource to user A`
+    });
+  }
+
+  return testCases;
+}
+
+// Combinatorial mode
+// Every request field is split into equivalence classes (valid and invalid); an n-wise covering set
+// (all pairs by default) is built over them. As in PICT, invalid classes are never combined with each
+// other, so each failing case has exactly one cause; tuples pairing two invalid classes are not required.
+const COMBINATORIAL_DEFAULTS = {
+  strength: 2,
+  maxCases: 200,
+  // Every t-tuple is held in memory while the set is built, so both the strength and the tuple count are capped
+  maxStrength: 3,
+  maxTuples: 500000
+};
+
+// Tool argument `combinatorial`: true or { strength, max_cases }; coverage reports are collected in `reports`
+function getCombinatorialOptions(value, reports) {
+  if (!value) {
+    return null;
+  }
+  const settings = typeof value === 'object' ? value : {};
+  const strength = Number(settings.strength ?? COMBINATORIAL_DEFAULTS.strength);
+  if (!Number.isInteger(strength) || strength < 1 || strength > COMBINATORIAL_DEFAULTS.maxStrength) {
+    throw new Error(`combinatorial.strength must be an integer from 1 to ${COMBINATORIAL_DEFAULTS.maxStrength}`);
+  }
+  return {
+    strength,
+    maxCases: settings.max_cases || COMBINATORIAL_DEFAULTS.maxCases,
+    reports
+  };
+}
+
+function addCombinatorialTestCases(testCases, apiInput, baseId, options = {}) {
+  const { method, endpoint } = apiInput;
+  const statusCodes = getStatusCodes(apiInput);
+  const fields = buildFieldModel(apiInput);
+  const validData = getValidTestData(fields);
+  const parameters = flattenFields(fields)
+    .filter(field => !field.fields && !field.itemField && !field.path.includes('[]'))
+    .map(field => ({ field, classes: getEquivalenceClasses(field) }));
+  if (parameters.length === 0) {
+    return testCases;
+  }
+
+  const strength = Math.min(Math.max(Number(options.strength) || COMBINATORIAL_DEFAULTS.strength, 1), parameters.length);
+  const maxCases = Number(options.maxCases) || COMBINATORIAL_DEFAULTS.maxCases;
+  const { rows, totalTuples, coveredTuples } = buildCoveringArray(parameters.map(parameter => parameter.classes), strength, maxCases);
+
+  testCases.combinatorial = testCases.combinatorial || [];
+  for (const row of rows) {
+    const request = structuredClone(validData);
+    const combination = {};
+    let invalid = null;
+    row.forEach((classIndex, parameterIndex) => {
+      const { field, classes } = parameters[parameterIndex];
+      const equivalenceClass = classes[classIndex];
+      combination[field.path] = equivalenceClass.name;
+      if (equivalenceClass.omit) {
+        deleteAtPath(request, field.path);
+      } else {
+        setAtPath(request, field.path, equivalenceClass.value);
+      }
+      if (!equivalenceClass.valid) {
+        invalid = { path: field.path, name: equivalenceClass.name };
+      }
+    });
+    const status = invalid ? statusCodes.validation : statusCodes.success;
+    const description = Object.entries(combination).map(([path, name]) => `${path}=${name}`).join(', ');
+
+    testCases.combinatorial.push({
+      id: nextCaseId(testCases, 'combinatorial', baseId),
+      title: `${method} ${endpoint} with ${description}`,
+      type: 'combinatorial',
+      precondition: `API endpoint ${endpoint} is available`,
+      steps: [
+        ...Object.entries(combination).map(([path, name]) => `Set ${path} to its "${name}" class`),
+        `Send ${method} request to ${endpoint}`,
+        `Verify response status is ${status}`
+      ],
+      expected_result: invalid
+        ? `API returns ${status} and reports ${invalid.path} (${invalid.name}); the other values are accepted`
+        : `API returns ${status} for a combination of valid classes`,
+      test_data: {
+        method,
+        endpoint,
+        request,
+        combination,
+        expected_status: status
+      },
+      priority: invalid ? 'Medium' : 'High'
+    });
+  }
+
+  if (options.reports) {
+    const exhaustive = parameters.reduce((product, parameter) => product * parameter.classes.length, 1);
+    options.reports.push({
+      ...(apiInput.suite ? { suite: apiInput.suite } : {}),
+      endpoint: `${method} ${endpoint}`,
+      strength,
+      parameters: Object.fromEntries(parameters.map(({ field, classes }) => [field.path, classes.map(entry => `${entry.valid ? '' : '~'}${entry.name}`)])),
+      cases: rows.length,
+      exhaustive_cases: exhaustive,
+      tuples_total: totalTuples,
+      tuples_covered: coveredTuples,
+      coverage: `${totalTuples === 0 ? 100 : Math.floor((coveredTuples / totalTuples) * 1000) / 10}%`
+    });
+  }
+
+  return testCases;
+}
+
+// Valid classes first; `valid: false` marks the classes that must be rejected
+function getEquivalenceClasses(field) {
+  const classes = [];
+  const add = (name, value, valid = true) => {
+    if (!classes.some(entry => entry.valid === valid && JSON.stringify(entry.value) === JSON.stringify(value))) {
+      classes.push({ name, value, valid });
+    }
+  };
+
+  if (Array.isArray(field.enum) && field.enum.length > 0) {
+    field.enum.forEach(value => add(String(value), value));
+  } else if (field.type === 'boolean') {
+    add('true', true);
+    add('false', false);
+  } else if (field.type === 'integer' || field.type === 'number') {
+    const { min, max } = getNumericLimits(field);
+    add('min', min);
+    add('typical', getValidValue(field));
+    add('max', max);
+  } else if (field.type === 'string') {
+    add('typical', getValidValue(field));
+    if (!field.format && !field.pattern) {
+      const { min, max } = getLengthLimits(field);
+      add(`${min} chars`, getBoundaryString(field, 'min'));
+      add(`${max} chars`, getBoundaryString(field, 'max'));
+    }
+  } else {
+    add('typical', getValidValue(field));
+  }
+  if (!field.required) {
+    classes.push({ name: 'omitted', omit: true, valid: true });
+  }
+
+  if (field.required) {
+    classes.push({ name: 'missing', omit: true, valid: false });
+  }
+  if (Array.isArray(field.enum) && field.enum.length > 0) {
+    add('not in enum', getInvalidFormatValue(field), false);
+  } else if (field.type === 'integer' || field.type === 'number') {
+    const { min, max, step } = getNumericLimits(field);
+    add('below min', Number((min - step).toFixed(6)), false);
+    add('above max', Number((max + step).toFixed(6)), false);
+  } else if (field.type === 'string') {
+    if (getLengthLimits(field).min > 0) {
+      add('empty', '', false);
+    }
+    add('too long', getTooLongString(field), false);
+    if (field.format || field.pattern) {
+      add('invalid format', getInvalidFormatValue(field), false);
+    }
+  }
+  if (field.type !== 'string') {
+    add('wrong type', getWrongTypeValue(field), false);
+  }
+  return classes;
+}
+
+// Greedy covering array: each row starts from an uncovered tuple and every other parameter takes the
+// class that covers the most uncovered tuples (valid classes win ties); at most one invalid class per row
+function buildCoveringArray(domains, strength, maxCases) {
+  // Upper bound on the tuple count (sum over parameter sets of their class products), known before any tuple is built
+  const bound = domains.reduce((sums, domain) => sums.map((sum, size) => size === 0 ? sum : sum + sums[size - 1] * domain.length),
+    [1, ...new Array(strength).fill(0)])[strength];
+  if (bound > COMBINATORIAL_DEFAULTS.maxTuples) {
+    throw new Error(`Combinatorial strength ${strength} over ${domains.length} fields needs up to ${bound} tuples ` +
+      `(limit ${COMBINATORIAL_DEFAULTS.maxTuples}); use a lower strength`);
+  }
+  const uncovered = new Set();
+  const combinations = (items, size, start = 0, prefix = []) => size === 0
+    ? [prefix]
+    : items.slice(start).flatMap((item, offset) => combinations(items, size - 1, start + offset + 1, [...prefix, item]));
+  const isInvalid = (parameter, value) => !domains[parameter][value].valid;
+  const tupleKey = (parameters, row) => parameters.map(parameter => `${parameter}=${row[parameter]}`).join('|');
+
+  const parameterIndexes = domains.map((domain, index) => index);
+  for (const parameters of combinations(parameterIndexes, strength)) {
+    const addTuples = (position, row) => {
+      if (position === parameters.length) {
+        if (parameters.filter(parameter => isInvalid(parameter, row[parameter])).length <= 1) {
+          uncovered.add(tupleKey(parameters, row));
+        }
+        return;
+      }
+      domains[parameters[position]].forEach((entry, value) => addTuples(position + 1, { ...row, [parameters[position]]: value }));
+    };
+    addTuples(0, {});
+  }
+  const totalTuples = uncovered.size;
+  const rows = [];
+
+  while (uncovered.size > 0 && rows.length < maxCases) {
+    const seed = [...uncovered][0].split('|').map(part => part.split('=').map(Number));
+    const row = new Array(domains.length).fill(null);
+    seed.forEach(([parameter, value]) => { row[parameter] = value; });
+
+    for (const parameter of parameterIndexes.filter(index => row[index] === null)) {
+      const hasInvalid = row.some((value, index) => value !== null && isInvalid(index, value));
+      let best = null;
+      domains[parameter].forEach((entry, value) => {
+        if (hasInvalid && !entry.valid) {
+          return;
+        }
+        const candidate = [...row];
+        candidate[parameter] = value;
+        const assigned = parameterIndexes.filter(index => index !== parameter && candidate[index] !== null);
+        const gain = combinations(assigned, strength - 1)
+          .filter(others => others.length === strength - 1)
+          .filter(others => uncovered.has(tupleKey([...others, parameter].sort((a, b) => a - b), candidate))).length;
+        const score = gain * 2 + (entry.valid ? 1 : 0);
+        if (!best || score > best.score) {
+          best = { value, score };
+        }
+      });
+      row[parameter] = best.value;
+    }
+
+    for (const parameters of combinations(parameterIndexes, strength)) {
+      uncovered.delete(tupleKey(parameters, row));
+    }
+    rows.push(row);
+  }
+
+  return { rows, totalTuples, coveredTuples: totalTuples - uncovered.size };
+}
+
+// Security payload tests
+const SECURITY_CATEGORIES = {
+  sql_injection: 'SQL injection',
+  nosql_injection: 'NoSQL injection',
+  xss: 'XSS',
+  command_injection: 'command injection',
+  path_traversal: 'path traversal'
+};
+
+function getSecurityPayloads(extraPayloads = {}) {
+  const payloads = {};
+  for (const [category, values] of Object.entries(QA_ASSUMPTIONS.security)) {
+    payloads[category] = Array.isArray(values) ? [...values] : values;
+  }
+
+  // The generic invalid strings double as SQL / XSS probes
+  for (const value of QA_ASSUMPTIONS.string.invalidFormats) {
+    const category = /select|union|drop|insert/i.test(value) ? 'sql_injection' : 'xss';
+    if (!payloads[category].includes(value)) {
+      payloads[category].push(value);
+    }
+  }
+
+  for (const [category, values] of Object.entries(extraPayloads || {})) {
+    if (values === undefined) {
+      continue;
+    }
+    if (category === 'oversized_payload_bytes') {
+      if (!Number.isInteger(values) || values < 1) {
+        throw new Error('security_payloads.oversized_payload_bytes must be a positive integer');
+      }
+      payloads[category] = values;
+    } else {
+      // Every other category is a payload list; a single payload may be given without the array
+      payloads[category] = [...(payloads[category] || []), ...(Array.isArray(values) ? values : [values])];
+    }
+  }
+  return payloads;
+}
+
+function addSecurityTestCases(testCases, apiInput, baseId, extraPayloads) {
+  const { method, endpoint } = apiInput;
+  const statusCodes = getStatusCodes(apiInput);
+  const fields = buildFieldModel(apiInput);
+  const validData = getValidTestData(fields);
+  const payloads = getSecurityPayloads(extraPayloads);
+  const pushCase = (testCase) => testCases.security.push({
+    id: nextCaseId(testCases, 'security', baseId),
+    type: 'security',
+    precondition: `API endpoint ${endpoint} is available`,
+    priority: 'High',
+    ...testCase
+  });
+
+  testCases.security = testCases.security || [];
+  const safeResponse = `Verify the response is ${statusCodes.validation} or ${statusCodes.success} with the payload treated as plain data`;
+  const noLeak = 'Verify the response contains no stack trace, database error or reflected unescaped payload';
+
+  // Custom categories added through security_payloads are injected into fields as well
+  const fieldCategories = Object.keys(payloads).filter(category =>
+    Array.isArray(payloads[category]) && category !== 'header_injection');
+
+  for (const field of flattenFields(fields).filter(field => field.type === 'string')) {
+    for (const category of fieldCategories) {
+      const values = payloads[category];
+      if (values.length === 0) {
+        continue;
+      }
+      const label = SECURITY_CATEGORIES[category] || category.replace(/_/g, ' ');
+
+      pushCase({
+        title: `${method} ${endpoint} with ${label} in ${field.path}`,
+        steps: [
+          `Prepare valid request data for ${endpoint}`,
+          `Set ${field.path} to each ${label} payload in turn`,
+          `Send ${method} request to ${endpoint}`,
+          safeResponse,
+          noLeak
+        ],
+        expected_result: `API rejects or safely handles ${label} in ${field.path} without executing it or leaking data`,
+        test_data: {
+          field: field.path,
+          category,
+          payloads: values,
+          method,
+          endpoint,
+          request: setAtPath(structuredClone(validData), field.path, values[0])
+        }
+      });
+    }
+  }
+
+  const bodyField = flattenFields(fields).find(field => field.type === 'string' && field.in !== 'path' && field.in !== 'query');
+  if (bodyField && !['GET', 'DELETE', 'HEAD'].includes(method.toUpperCase())) {
+    const size = payloads.oversized_payload_bytes;
+    pushCase({
+      title: `${method} ${endpoint} with oversized payload (${size} bytes in ${bodyField.path})`,
+      steps: [
+        `Prepare valid request data for ${endpoint}`,
+        `Set ${bodyField.path} to a string of ${size} characters`,
+        `Send ${method} request to ${endpoint}`,
+        `Verify response status is 413 or ${statusCodes.validation}`,
+        'Verify the service stays responsive for the next request'
+      ],
+      expected_result: `API rejects the ${size}-byte payload with 413 or ${statusCodes.validation} without crashing`,
+      // The string itself is built at run time to keep the output small
+      test_data: {
+        field: bodyField.path,
+        category: 'oversized_payload',
+        payload_size: size,
+        expected_statuses: [413, statusCodes.validation],
+        method,
+        endpoint,
+        request: setAtPath(structuredClone(validData), bodyField.path, `<${size} characters>`)
+      }
+    });
+  }
+
+  const headerNames = Object.keys(apiInput.headers || {})
+    .filter(name => !/^(content-type|accept|authorization)$/i.test(name));
+  const hasRawLineBreak = (value) => /[\r\n]/.test(String(value));
+  const encodedHeaderPayloads = payloads.header_injection.filter(value => !hasRawLineBreak(value));
+  const rawHeaderPayloads = payloads.header_injection.filter(hasRawLineBreak);
+  for (const headerName of headerNames.length > 0 ? headerNames : ['X-Request-Id']) {
+    pushCase({
+      title: `${method} ${endpoint} with header injection in ${headerName}`,
+      steps: [
+        `Set the ${headerName} header to a value containing CR/LF sequences`,
+        `Send ${method} request to ${endpoint}`,
+        `Verify response status is ${statusCodes.validation} or the header is sanitized`,
+        'Verify the response has no injected headers (X-Injected, Set-Cookie)',
+        ...(rawHeaderPayloads.length > 0
+          ? ['Send the raw CR/LF payloads manually over a raw socket (e.g. netcat); HTTP clients refuse them before sending']
+          : [])
+      ],
+      expected_result: `API does not reflect injected header lines from ${headerName}`,
+      test_data: {
+        field: headerName,
+        category: 'header_injection',
+        payloads: encodedHeaderPayloads,
+        manual_payloads: rawHeaderPayloads,
+        headers: { [headerName]: encodedHeaderPayloads[0] ?? rawHeaderPayloads[0] },
+        method,
+        endpoint,
+        request: validData
+      }
+    });
+  }
+
+  return testCases;
+}
+
+// User stories whose goal is signing in or signing up start from a logged-out user
+const USER_STORY_SIGN_IN_GOAL = /\b(?:log\s*-?\s*in|sign\s*-?\s*in|authenticate|reset (?:my |the )?password|recover (?:my |the )?(?:password|account))\b/i;
+const USER_STORY_SIGN_UP_GOAL = /\b(?:register|sign\s*-?\s*up|create (?:an? |my )?(?:new )?account|enroll)\b/i;
+
+function generateUserStoryTestCases(storyInput, baseId) {
+  const content = storyInput.content;
+  const testCases = {
+    positive: [],
+    negative: [],
+    boundary: [],
+    edge: []
+  };
+
+  // Role, goal and benefit drive the wording; missing parts fall back to the old keyword guess
+  const story = parseUserStory(content, storyInput.acceptance_criteria);
+  const role = story.role || 'user';
+  const goal = story.goal || extractMainAction(content);
+  // Logging in or signing up is the feature itself, so there is no session to start from
+  const isSignIn = USER_STORY_SIGN_IN_GOAL.test(goal);
+  const isSignUp = USER_STORY_SIGN_UP_GOAL.test(goal);
+  const rolePrecondition = isSignUp
+    ? `No ${role} account exists yet for the test data`
+    : isSignIn
+      ? `${capitalize(role)} account exists`
+      : `User is logged in as ${withArticle(role)} with access to the feature`;
+  // Supplied roles replace the generic-role cases below; acceptance criteria are kept for the story's role
+  const genericRole = !storyInput.permissions;
+  const pushCase = (section, testCase) => testCases[section].push({
+    id: nextCaseId(testCases, section, baseId),
+    type: section,
+    ...testCase
+  });
+
+  // Positive Test Cases
+  if (genericRole) {
+    pushCase('positive', {
+      title: `Happy path - ${role} can ${goal}`,
+      precondition: rolePrecondition,
+      steps: [
+        ...(isSignIn || isSignUp ? [] : [`Log in as ${withArticle(role)}`]),
+        `Navigate to the page used to ${goal}`,
+        `${capitalize(goal)} with valid data`,
+        'Verify the action completes successfully'
+      ],
+      expected_result: story.benefit
+        ? `${capitalize(role)} can ${goal}, so that ${story.benefit}`
+        : `${capitalize(role)} can ${goal} and see expected result`,
+      test_data: { scenario: 'happy_path', role, goal },
+      priority: 'High'
+    });
+  }
+
+  // One case per acceptance criterion: Given -> precondition, When -> steps, Then -> expected result
+  story.criteria.forEach((criterion, index) => {
+    const label = criterion.label || `AC${index + 1}`;
+    if (criterion.then.length === 0 && criterion.when.length === 0) {
+      pushCase('positive', {
+        title: `${label}: ${criterion.text}`,
+        precondition: rolePrecondition,
+        steps: [
+          `${capitalize(goal)} as ${withArticle(role)}`,
+          `Verify ${criterion.text}`
+        ],
+        expected_result: criterion.text,
+        test_data: { scenario: 'acceptance_criterion', criterion: label, role },
+        priority: 'High'
+      });
+      return;
+    }
+
+    const section = getGherkinSection([], `${criterion.name || ''} ${criterion.then.join(' ')}`);
+    pushCase(section, {
+      title: `${label}: ${criterion.name || criterion.then[0] || criterion.when[0]}`,
+      precondition: [rolePrecondition, ...criterion.given].join('; '),
+      steps: criterion.when.length > 0 ? criterion.when : [`${capitalize(goal)} as ${withArticle(role)}`],
+      expected_result: criterion.then.length > 0 ? criterion.then.join('; ') : `${capitalize(role)} can ${goal}`,
+      test_data: { scenario: 'acceptance_criterion', criterion: label, role },
+      priority: getGherkinPriority([], section)
+    });
+  });
+
+  // Negative Test Cases
+  if (genericRole) {
+    pushCase('negative', {
+      title: `Invalid input - ${role} tries to ${goal}`,
+      precondition: rolePrecondition,
+      steps: [
+        'Enter invalid or missing required information',
+        `Attempt to ${goal}`,
+        'Verify validation error messages appear',
+        'Verify action cannot be completed'
+      ],
+      expected_result: 'System displays appropriate error messages and prevents invalid action',
+      test_data: { scenario: 'invalid_input', role, goal },
+      priority: 'High'
+    });
+  }
+
+  // Boundary Test Cases
+  if (genericRole) {
+    pushCase('boundary', {
+      title: `Maximum limits - ${goal}`,
+      precondition: rolePrecondition,
+      steps: [
+        'Enter data at maximum allowed limits',
+        `Attempt to ${goal}`,
+        'Verify system handles maximum limits correctly',
+        'Verify action completes or shows appropriate limit message'
+      ],
+      expected_result: 'System handles maximum boundary values appropriately',
+      test_data: { scenario: 'max_limits', role, goal },
+      priority: 'Medium'
+    });
+  }
+
+  // Edge Test Cases
+  if (genericRole) {
+    pushCase('edge', {
+      title: `Concurrent access - several ${role} accounts ${goal} at once`,
+      precondition: `Multiple users with the ${role} role have access to the system`,
+      steps: [
+        `Multiple users attempt to ${goal} simultaneously`,
+        'Verify system handles concurrent requests',
+        'Verify data integrity is maintained',
+        'Verify all users receive appropriate responses'
+      ],
+      expected_result: story.benefit
+        ? `Every user can still ${goal}, so that ${story.benefit}, without data corruption`
+        : 'System maintains data integrity under concurrent access',
+      test_data: { scenario: 'concurrent_access', role, goal },
+      priority: 'Low'
+    });
+  }
+
+  // Every role × action gets its own allow/deny case
+  // A story passed with an explicit type skips normalizeInput, so its matrix may still be the raw definition
+  if (storyInput.permissions) {
+    addPermissionTestCases(testCases, storyInput.permissions.type === 'permission_matrix'
+      ? storyInput.permissions
+      : parsePermissionMatrix(storyInput.permissions), baseId);
+  }
+
+  return testCases;
+}
+
+// "As a <role>, I want <goal>, so that <benefit>" followed by optional acceptance criteria
+function parseUserStory(content, acceptanceCriteria) {
+  const text = String(content || '');
+  const clean = (value) => value ? value.replace(/\s+/g, ' ').replace(/^[,\s]+|[,.\s]+$/g, '') : undefined;
+  const [storyPart] = text.split(/\n\s*(?=(?:Acceptance criteria|Scenario|AC\s*\d*\b|Given\b|[-*]\s|\d+[.)]\s))/i);
+
+  const role = storyPart.match(/\bAs an?\s+(.+?)(?=,?\s*\bI\s+(?:want|need|would like|can)\b|$)/is);
+  const goal = storyPart.match(/\bI\s+(?:want|need|would like)(?:\s+to)?\s+(.+?)(?=,?\s*\b(?:so that|in order to)\b|$)/is);
+  const benefit = storyPart.match(/\b(?:so that|in order to)\s+(.+)$/is);
+
+  const criteriaText = Array.isArray(acceptanceCriteria)
+    ? acceptanceCriteria.join('\n')
+    : [text.slice(storyPart.length), acceptanceCriteria || ''].join('\n');
+
+  return {
+    role: clean(role?.[1]),
+    goal: clean(goal?.[1]),
+    benefit: clean(benefit?.[1]),
+    criteria: parseAcceptanceCriteria(criteriaText)
+  };
+}
+
+// Criteria are Given/When/Then blocks (multi-line or on one line) or plain bullet points
+function parseAcceptanceCriteria(text) {
+  const criteria = [];
+  let current = null;
+  let keyword = null;
+  const start = (name, label) => {
+    current = { name, label, text: '', given: [], when: [], then: [] };
+    criteria.push(current);
+    keyword = null;
+  };
+
+  for (const rawLine of String(text).split(/\r?\n/)) {
+    let line = rawLine.trim().replace(/^(?:[-*+]|\d+[.)])\s+/, '');
+    if (!line || /^acceptance criteria:?$/i.test(line)) {
+      continue;
+    }
+
+    const label = line.match(/^(Scenario|AC\s*\d+|Criteri(?:on|a)\s*\d*)\s*[:.-]\s*(.*)$/i);
+    if (label) {
+      const inlineSteps = /^given\b/i.test(label[2]);
+      start(label[2] && !inlineSteps ? label[2] : null, /^AC/i.test(label[1]) ? label[1].replace(/\s+/g, '') : null);
+      line = inlineSteps ? label[2] : '';
+      if (!line) {
+        continue;
+      }
+    }
+
+    // "Given ..., when ..., then ..." on a single line
+    const parts = /^given\s/i.test(line) ? line.split(/,?\s+(?=\b(?:when|then|and|but)\s)/i) : [line];
+    for (const part of parts) {
+      const [, word, rest] = part.match(/^(given|when|then|and|but)\s+(.+)$/i) || [];
+      if (!word) {
+        if (!current || current.text || keyword) {
+          start(null);
+        }
+        current.text = part;
+        continue;
+      }
+
+      const lower = word.toLowerCase();
+      if (lower === 'given' && (!current || keyword === 'then' || current.text)) {
+        start(null);
+      }
+      if (!current) {
+        start(null);
+      }
+      keyword = ['and', 'but'].includes(lower) ? keyword || 'given' : lower;
+      current[keyword].push(rest);
+    }
+  }
+
+  return criteria.map(criterion => ({
+    ...criterion,
+    text: criterion.text || [...criterion.given, ...criterion.when, ...criterion.then].join(', ')
+  }));
+}
+
+function withArticle(noun) {
+  return /^(a|an|the)\s/i.test(noun) ? noun : `${/^([aeio]|u[^s])/i.test(noun) ? 'an' : 'a'} ${noun}`;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function generateRawTextTestCases(textInput, baseId) {
+  const content = textInput.content;
+  const testCases = {
+    positive: [],
+    negative: [],
+    boundary: [],
+    edge: []
+  };
+
+  const mainFeature = extractMainFeature(content);
+
+  // Generate generic test cases based on content analysis
+  testCases.positive.push({
+    id: `${baseId}_POS_001`,
+    title: `Basic functionality - ${mainFeature}`,
+    type: 'positive',
+    precondition: 'System is available and user has necessary access',
+    steps: [
+      'Access the feature/function',
+      'Perform basic operation with valid inputs',
+      'Verify the operation completes successfully',
+      'Verify expected output is displayed'
+    ],
+    expected_result: 'Feature works correctly with valid inputs',
+    test_data: { scenario: 'basic_functionality' },
+    priority: 'High'
+  });
+
+  testCases.negative.push({
+    id: `${baseId}_NEG_001`,
+    title: `Error handling - ${mainFeature}`,
+    type: 'negative',
+    precondition: 'User is accessing the feature',
+    steps: [
+      'Provide invalid or missing inputs',
+      'Attempt to execute the operation',
+      'Verify appropriate error messages are shown',
+      'Verify system remains stable'
+    ],
+    expected_result: 'System handles errors gracefully with clear error messages',
+    test_data: { scenario: 'error_handling' },
+    priority: 'High'
+  });
+
+  testCases.boundary.push({
+    id: `${baseId}_BND_001`,
+    title: `Limit testing - ${mainFeature}`,
+    type: 'boundary',
+    precondition: 'User is accessing the feature',
+    steps: [
+      'Test with minimum allowed values',
+      'Test with maximum allowed values',
+      'Verify system behavior at boundaries',
+      'Verify no crashes or unexpected behavior'
+    ],
+    expected_result: 'System behaves correctly at boundary values',
+    test_data: { scenario: 'boundary_testing' },
+    priority: 'Medium'
+  });
+
+  testCases.edge.push({
+    id: `${baseId}_EDGE_001`,
+    title: `Stress testing - ${mainFeature}`,
+    type: 'edge',
+    precondition: 'System is under normal load',
+    steps: [
+      'Execute multiple operations rapidly',
+      'Verify system response time',
+      'Verify system stability under load',
+      'Verify data integrity is maintained'
+    ],
+    expected_result: 'System maintains performance and stability under stress',
+    test_data: { scenario: 'stress_testing' },
+    priority: 'Low'
+  });
+
+  return testCases;
+}
+
+// Edge scenarios suggested by what a requirement talks about
+const REQUIREMENT_EDGE_HINTS = [
+  { pattern: /session|remember me|logged in|timeout|expir/i, scenario: 'after session timeout, browser restart and in a second tab' },
+  { pattern: /role|permission|admin|access/i, scenario: 'for every role and for a user without any role' },
+  { pattern: /lockout|locked|failed attempts?/i, scenario: 'with attempts spread across devices and after the lockout period ends' },
+  { pattern: /\blink\b|notification|verification email/i, scenario: 'when the link is reused, expired or opened on another device' },
+  { pattern: /password|credential/i, scenario: 'with copy-paste, leading/trailing spaces and non-ASCII characters' },
+  { pattern: /upload|file|import/i, scenario: 'with an empty file, a very large file and an unsupported type' }
+];
+
+const REQUIREMENT_LIMIT = /\b(\d+)\b|\b(multiple|maximum|minimum|max|min|at least|at most|up to|limit|within|after)\b/i;
+
+// Every requirement gets its own cases, each tagged with the requirement's ID
+function generateRequirementTestCases(documentInput, baseId) {
+  const testCases = {
+    positive: [],
+    negative: [],
+    boundary: [],
+    edge: []
+  };
+  const pushCase = (section, requirement, testCase) => testCases[section].push({
+    id: nextCaseId(testCases, section, baseId),
+    type: section,
+    ...testCase,
+    test_data: { requirement: requirement.text, ...testCase.test_data },
+    // A priority given with the requirement outranks the per-template default
+    priority: requirement.priority || testCase.priority,
+    requirement_id: requirement.id,
+    ...(requirement.page ? { page: requirement.page } : {})
+  });
+
+  for (const requirement of documentInput.requirements) {
+    if (requirement.kind === 'user_story') {
+      const storyCases = generateUserStoryTestCases({
+        type: 'user_story',
+        content: requirement.text,
+        ...(requirement.acceptance_criteria ? { acceptance_criteria: requirement.acceptance_criteria } : {})
+      }, baseId);
+      for (const [section, cases] of Object.entries(storyCases)) {
+        for (const testCase of cases) {
+          const { id, ...rest } = testCase;
+          pushCase(section, requirement, rest);
+        }
+      }
+      continue;
+    }
+
+    const text = requirement.text;
+    const context = requirement.heading ? ` (${requirement.heading})` : '';
+
+    // Given/When/Then criteria already describe their own scenario
+    const [criterion] = parseAcceptanceCriteria(text);
+    if (criterion && (criterion.when.length > 0 || criterion.then.length > 0)) {
+      const section = getGherkinSection([], criterion.then.join(' '));
+      pushCase(section, requirement, {
+        title: `${requirement.id}: ${criterion.then[0] || criterion.when[0]}`,
+        precondition: criterion.given.length > 0 ? criterion.given.join('; ') : `System is available${context}`,
+        steps: criterion.when.length > 0 ? criterion.when : [`Perform the action covered by the requirement: ${text}`],
+        expected_result: criterion.then.length > 0 ? criterion.then.join('; ') : `System satisfies ${requirement.id}`,
+        test_data: { scenario: 'acceptance_criterion' },
+        priority: getGherkinPriority([], section)
+      });
+      continue;
+    }
+    const details = requirement.details.map(detail => `Verify ${detail}`);
+
+    pushCase('positive', requirement, {
+      title: `${requirement.id}: ${text}`,
+      precondition: `System is available and the scenario for ${requirement.id} is set up${context}`,
+      steps: [
+        `Perform the action covered by the requirement: ${text}`,
+        ...details,
+        'Verify the observed behaviour matches the requirement'
+      ],
+      expected_result: `System satisfies ${requirement.id}: ${text}`,
+      test_data: { scenario: 'requirement_met' },
+      priority: 'High'
+    });
+
+    pushCase('negative', requirement, {
+      title: `${requirement.id}: violation handling - ${text}`,
+      precondition: `System is available${context}`,
+      steps: [
+        `Attempt an action that does not meet the requirement: ${text}`,
+        'Verify the system blocks or rejects the action',
+        'Verify a clear error or warning is shown and no data is changed'
+      ],
+      expected_result: `System enforces ${requirement.id} and reports the violation clearly`,
+      test_data: { scenario: 'requirement_violated' },
+      priority: 'High'
+    });
+
+    const limit = text.match(REQUIREMENT_LIMIT);
+    if (limit) {
+      const threshold = limit[1] ? Number(limit[1]) : null;
+      pushCase('boundary', requirement, {
+        title: `${requirement.id}: limit - ${text}`,
+        precondition: `System is available${context}`,
+        steps: threshold !== null
+          ? [`Exercise the requirement with ${threshold - 1}, ${threshold} and ${threshold + 1}`, 'Verify behaviour changes exactly at the limit']
+          : ['Confirm the exact limit with the product owner (not specified)', 'Exercise the requirement just below, at and just above the limit', 'Verify behaviour changes exactly at the limit'],
+        expected_result: `${requirement.id} is applied exactly at its limit`,
+        test_data: threshold !== null
+          ? { threshold, values: [threshold - 1, threshold, threshold + 1] }
+          : { threshold: 'unspecified' },
+        priority: 'Medium'
+      });
+    }
+
+    const edge = REQUIREMENT_EDGE_HINTS.find(hint => hint.pattern.test(text));
+    if (edge) {
+      pushCase('edge', requirement, {
+        title: `${requirement.id}: ${text} ${edge.scenario}`,
+        precondition: `System is available${context}`,
+        steps: [
+          `Exercise the requirement ${edge.scenario}`,
+          'Verify the behaviour stays consistent with the requirement'
+        ],
+        expected_result: `${requirement.id} holds ${edge.scenario}`,
+        test_data: { scenario: 'requirement_edge' },
+        priority: 'Low'
+      });
+    }
+  }
+
+  return testCases;
+}
+
+// Each scenario (or Examples row of an outline) becomes one case:
+// Given -> precondition, When -> steps, Then -> expected result
+function generateGherkinTestCases(gherkinInput, baseId) {
+  const testCases = {
+    positive: [],
+    negative: [],
+    boundary: [],
+    edge: []
+  };
+
+  for (const scenario of gherkinInput.scenarios) {
+    const runs = scenario.examples.length > 0
+      ? scenario.examples.flatMap(block => block.rows.map(row => ({
+        tags: [...scenario.tags, ...block.tags],
+        data: Object.fromEntries((block.headers || []).map((header, index) => [header, row[index] ?? '']))
+      })))
+      : [{ tags: scenario.tags, data: null }];
+
+    for (const run of runs) {
+      const fill = (value) => run.data
+        ? value.replace(/<([^>]+)>/g, (match, key) => Object.hasOwn(run.data, key) ? run.data[key] : match)
+        : value;
+      const allSteps = [...scenario.background, ...scenario.steps];
+      const byKeyword = (keyword) => allSteps.filter(step => step.keyword === keyword).map(step => fill(step.text));
+      const givens = byKeyword('Given');
+      const whens = byKeyword('When');
+      const thens = byKeyword('Then');
+
+      // Outline names without placeholders get the row values appended so titles stay unique
+      const title = run.data && !/<[^>]+>/.test(scenario.name)
+        ? `${scenario.name} (${Object.entries(run.data).map(([key, value]) => `${key}=${value}`).join(', ')})`
+        : fill(scenario.name);
+      const section = getGherkinSection(run.tags, `${scenario.name} ${thens.join(' ')}`);
+
+      const testData = { ...(run.data || {}) };
+      const tables = allSteps.filter(step => step.table)
+        .map(step => ({ step: fill(step.text), rows: step.table.map(row => row.map(fill)) }));
+      const docStrings = allSteps.filter(step => step.doc_string !== undefined)
+        .map(step => ({ step: fill(step.text), content: fill(step.doc_string) }));
+      if (tables.length > 0) {
+        testData.tables = tables;
+      }
+      if (docStrings.length > 0) {
+        testData.doc_strings = docStrings;
+      }
+
+      testCases[section].push({
+        id: nextCaseId(testCases, section, baseId),
+        title,
+        type: section,
+        precondition: givens.length > 0 ? givens.join('; ') : 'None',
+        steps: whens.length > 0 ? whens : [`Execute scenario: ${title}`],
+        expected_result: thens.length > 0 ? thens.join('; ') : `Scenario "${title}" completes as described`,
+        test_data: testData,
+        priority: getGherkinPriority(run.tags, section),
+        ...(scenario.rule ? { suite: scenario.rule } : {})
+      });
+    }
+  }
+
+  return testCases;
+}
+
+// Tags decide the section; untagged scenarios are classified from their name and Then steps
+function getGherkinSection(tags, text) {
+  const sectionTags = {
+    positive: ['positive', 'happy', 'happy-path', 'smoke'],
+    negative: ['negative', 'error', 'invalid'],
+    boundary: ['boundary', 'bva', 'limit'],
+    edge: ['edge', 'edge-case', 'corner']
+  };
+  for (const [section, names] of Object.entries(sectionTags)) {
+    if (tags.some(tag => names.includes(tag))) {
+      return section;
+    }
+  }
+
+  if (/\b(invalid|error|fail(s|ed|ure)?|reject(s|ed)?|denied|locked|wrong|incorrect|cannot|not allowed|unauthori[sz]ed|forbidden)\b/i.test(text)) {
+    return 'negative';
+  }
+  if (/\b(boundary|limit|maximum|minimum|exactly)\b/i.test(text)) {
+    return 'boundary';
+  }
+  if (/\b(edge|empty|blank|special characters?|concurrent|timeout)\b/i.test(text)) {
+    return 'edge';
+  }
+  return 'positive';
+}
+
+function getGherkinPriority(tags, section) {
+  if (tags.some(tag => ['critical', 'blocker', 'high', 'p1'].includes(tag))) {
+    return 'High';
+  }
+  if (tags.some(tag => ['medium', 'p2'].includes(tag))) {
+    return 'Medium';
+  }
+  if (tags.some(tag => ['low', 'minor', 'p3'].includes(tag))) {
+    return 'Low';
+  }
+  return { positive: 'High', negative: 'High', boundary: 'Medium', edge: 'Low' }[section];
+}
+
+// Field-level validation cases from HTML constraints; values come from the test data engine.
+// `expect` tells the automation what to check: the form submits, the browser blocks it with a
+// validity flag, the browser truncates the value, or the server has to reject it
+function generateHtmlFormTestCases(formInput, baseId) {
+  const testCases = {
+    positive: [],
+    negative: [],
+    boundary: [],
+    edge: []
+  };
+  const formName = formInput.name;
+  const precondition = `The ${formName} form is open${formInput.url ? ` at ${formInput.url}` : ''}`;
+  const fields = formInput.fields.map(field => ({ ...field, model: describeField(field.name, getHtmlFieldSchema(field), field.required) }));
+  const validValues = Object.fromEntries(fields.map(field => [field.name, getHtmlFieldValue(field)]));
+  const form = {
+    name: formName,
+    ...(formInput.url ? { url: formInput.url } : {}),
+    action: formInput.action,
+    method: formInput.method,
+    locator: formInput.locator,
+    submit: formInput.submit,
+    fields: Object.fromEntries(fields.map(field => [field.name, {
+      control: field.control,
+      locator: field.locator,
+      ...(field.locators ? { locators: field.locators } : {})
+    }]))
+  };
+
+  const pushCase = (section, testCase, values, outcome) => {
+    const steps = [
+      ...Object.entries(values).map(([name, value]) => describeHtmlFillStep(fields.find(field => field.name === name), value)),
+      ...(testCase.steps || ['Submit the form'])
+    ];
+    testCases[section].push({
+      id: nextCaseId(testCases, section, baseId),
+      title: `${formName}: ${testCase.title}`,
+      type: section,
+      precondition,
+      steps,
+      expected_result: testCase.expected_result,
+      test_data: { ...testCase.test_data, values, expect: outcome, form },
+      priority: testCase.priority
+    });
+  };
+  const withValue = (field, value) => ({ ...validValues, [field.name]: value });
+
+  // Positive Test Cases
+  pushCase('positive', {
+    title: 'submit with all fields valid',
+    expected_result: 'Form passes browser validation and is submitted',
+    test_data: { scenario: 'all_valid' },
+    priority: 'High'
+  }, validValues, 'submitted');
+
+  const requiredOnly = fields.filter(field => field.required);
+  if (requiredOnly.length > 0 && requiredOnly.length < fields.length) {
+    pushCase('positive', {
+      title: 'submit with only required fields',
+      expected_result: 'Optional fields can be left empty and the form is submitted',
+      test_data: { scenario: 'required_only' },
+      priority: 'Medium'
+    }, Object.fromEntries(requiredOnly.map(field => [field.name, validValues[field.name]])), 'submitted');
+  }
+
+  for (const field of fields.filter(field => (field.options || []).filter(Boolean).length > 1)) {
+    const choices = field.options.filter(Boolean);
+    const last = choices[choices.length - 1];
+    pushCase('positive', {
+      title: `${field.label} accepts "${last}"`,
+      expected_result: `Form is submitted with ${field.label} = "${last}"`,
+      test_data: { scenario: 'option', field: field.name, options: choices },
+      priority: 'Medium'
+    }, withValue(field, last), 'submitted');
+  }
+
+  for (const field of fields) {
+    const { model } = field;
+    const negative = (title, value, validity, priority = 'High') => pushCase('negative', {
+      title,
+      steps: ['Submit the form', `Verify ${field.label} is flagged as invalid (${validity})`],
+      expected_result: `Browser blocks the submission and flags ${field.label} (${validity})`,
+      test_data: { scenario: validity, field: field.name, value, validity },
+      priority
+    }, withValue(field, value), 'blocked');
+
+    // Negative Test Cases
+    if (field.required) {
+      negative(field.control === 'checkbox' ? `${field.label} left unchecked` : `${field.label} left empty`,
+        field.control === 'checkbox' ? false : '', 'valueMissing');
+    }
+    if (['email', 'url'].includes(field.input_type)) {
+      negative(`${field.label} with invalid ${field.input_type} format`, getInvalidFormatValue(model), 'typeMismatch');
+    }
+    if (field.pattern) {
+      negative(`${field.label} not matching pattern ${field.pattern}`, getInvalidFormatValue({ ...model, format: undefined }), 'patternMismatch');
+    }
+
+    // Boundary Test Cases
+    if (model.type === 'integer' || model.type === 'number') {
+      const step = Number(field.step) > 0 ? Number(field.step) : getNumericLimits(model).step;
+      for (const [key, direction, validity] of [['min', -1, 'rangeUnderflow'], ['max', 1, 'rangeOverflow']]) {
+        if (field[key] === undefined || Number.isNaN(Number(field[key]))) {
+          continue;
+        }
+        const limit = Number(field[key]);
+        pushCase('boundary', {
+          title: `${field.label} at ${key} (${limit})`,
+          expected_result: `${field.label} = ${limit} is accepted and the form is submitted`,
+          test_data: { scenario: `at_${key}`, field: field.name, value: String(limit) },
+          priority: 'Medium'
+        }, withValue(field, String(limit)), 'submitted');
+        negative(`${field.label} ${direction < 0 ? 'below min' : 'above max'} (${limit + direction * step})`,
+          String(Number((limit + direction * step).toFixed(6))), validity, 'Medium');
+      }
+    }
+
+    if (field.control === 'fill' && model.type === 'string') {
+      if (field.maxlength !== undefined) {
+        const max = Number(field.maxlength);
+        pushCase('boundary', {
+          title: `${field.label} at maxlength (${max} chars)`,
+          expected_result: `${field.label} accepts exactly ${max} characters and the form is submitted`,
+          test_data: { scenario: 'at_maxlength', field: field.name, length: max },
+          priority: 'Medium'
+        }, withValue(field, getBoundaryString(model, 'max')), 'submitted');
+        pushCase('boundary', {
+          title: `${field.label} typed past maxlength (${max + 1} chars)`,
+          steps: [`Verify ${field.label} keeps only the first ${max} characters`],
+          expected_result: `Browser stops input at ${max} characters`,
+          test_data: { scenario: 'over_maxlength', field: field.name, length: max },
+          priority: 'Medium'
+        }, withValue(field, getTooLongString(model)), 'truncated');
+      }
+      if (field.minlength !== undefined && Number(field.minlength) > 0) {
+        const min = Number(field.minlength);
+        pushCase('boundary', {
+          title: `${field.label} at minlength (${min} chars)`,
+          expected_result: `${field.label} accepts ${min} characters and the form is submitted`,
+          test_data: { scenario: 'at_minlength', field: field.name, length: min },
+          priority: 'Medium'
+        }, withValue(field, getBoundaryString(model, 'min')), 'submitted');
+        if (min > 1) {
+          negative(`${field.label} shorter than minlength (${min - 1} chars)`, getBoundaryString(model, 'min').slice(0, min - 1), 'tooShort', 'Medium');
+        }
+      }
+    }
+  }
+
+  // Edge Test Cases
+  const freeTextFields = fields.filter(field => field.control === 'fill' && field.model.type === 'string' &&
+    !field.pattern && !['email', 'url', 'date', 'time', 'datetime-local', 'month', 'week', 'color'].includes(field.input_type));
+  const requiredText = freeTextFields.filter(field => field.required);
+  if (requiredText.length > 0) {
+    pushCase('edge', {
+      title: 'required text fields filled with spaces only',
+      steps: ['Submit the form', 'Verify the server rejects the blank values'],
+      expected_result: 'The browser accepts whitespace for `required`, so the server must reject blank values and show an error',
+      test_data: { scenario: 'whitespace_only', fields: requiredText.map(field => field.name) },
+      priority: 'Medium'
+    }, { ...validValues, ...Object.fromEntries(requiredText.map(field => [field.name, '   '])) }, 'rejected');
+  }
+  if (freeTextFields.length > 0) {
+    const unicode = 'Zoë Ñúñez 测试 <b>&amp;</b> \' "';
+    pushCase('edge', {
+      title: 'text fields with unicode and HTML special characters',
+      expected_result: 'Values are submitted and shown back exactly as entered, without being interpreted as markup',
+      test_data: { scenario: 'special_characters' },
+      priority: 'Low'
+    }, {
+      ...validValues,
+      ...Object.fromEntries(freeTextFields.map(field => [field.name,
+        unicode.slice(0, field.maxlength !== undefined ? Number(field.maxlength) : unicode.length)]))
+    }, 'submitted');
+  }
+  pushCase('edge', {
+    title: 'double-click on submit',
+    steps: ['Double-click the submit button', 'Verify only one submission is processed'],
+    expected_result: 'The form is submitted once; no duplicate record or request is created',
+    test_data: { scenario: 'double_submit' },
+    priority: 'Low'
+  }, validValues, 'submitted_once');
+
+  return testCases;
+}
+
+// HTML constraint attributes expressed as the JSON Schema keywords the data engine understands
+function getHtmlFieldSchema(field) {
+  const schema = { type: 'string' };
+  const byType = { email: 'email', url: 'uri', date: 'date', password: 'password' };
+  if (byType[field.input_type]) {
+    schema.format = byType[field.input_type];
+  }
+  if (['number', 'range'].includes(field.input_type)) {
+    schema.type = field.step === undefined || Number.isInteger(Number(field.step)) ? 'integer' : 'number';
+    if (field.min !== undefined && !Number.isNaN(Number(field.min))) schema.minimum = Number(field.min);
+    if (field.max !== undefined && !Number.isNaN(Number(field.max))) schema.maximum = Number(field.max);
+  }
+  if (field.input_type === 'checkbox') {
+    schema.type = 'boolean';
+  }
+  if (field.options) {
+    schema.enum = field.options.filter(Boolean);
+  }
+  if (field.maxlength !== undefined) schema.maxLength = Number(field.maxlength);
+  if (field.minlength !== undefined) schema.minLength = Number(field.minlength);
+  // The pattern attribute must match the whole value
+  if (field.pattern) schema.pattern = `^(?:${field.pattern})$`;
+  return schema;
+}
+
+// Inputs that only accept one textual shape (Playwright refuses to fill anything else)
+const HTML_SAMPLE_VALUES = {
+  time: '10:30',
+  'datetime-local': '2024-01-15T10:30',
+  month: '2024-01',
+  week: '2024-W03',
+  color: '#336699',
+  tel: '+15551234567'
+};
+
+function getHtmlFieldValue(field) {
+  if (field.control === 'file') {
+    const extension = (field.accept || '').split(',').map(entry => entry.trim()).find(entry => entry.startsWith('.'));
+    return `fixtures/sample${extension || '.pdf'}`;
+  }
+  if (field.control === 'checkbox') {
+    return true;
+  }
+  if (HTML_SAMPLE_VALUES[field.input_type] && !field.pattern) {
+    return HTML_SAMPLE_VALUES[field.input_type];
+  }
+  const value = getValidValue(field.model);
+  return field.model.type === 'boolean' ? value : String(value);
+}
+
+function describeHtmlFillStep(field, value) {
+  switch (field.control) {
+    case 'checkbox':
+      return `${value ? 'Check' : 'Uncheck'} ${field.label}`;
+    case 'select':
+    case 'radio':
+      return value === '' ? `Leave ${field.label} unselected` : `Select "${value}" for ${field.label}`;
+    case 'file':
+      return value === '' ? `Leave ${field.label} empty` : `Attach ${value} to ${field.label}`;
+    default:
+      return value === '' ? `Leave ${field.label} empty` : `Enter "${value}" in ${field.label}`;
+  }
+}
+
+// Constraint violations are reported with their standard SQLSTATE codes
+const SQL_CONSTRAINT_ERRORS = {
+  not_null: { sqlstate: '23502', name: 'not_null_violation' },
+  unique: { sqlstate: '23505', name: 'unique_violation' },
+  foreign_key: { sqlstate: '23503', name: 'foreign_key_violation' },
+  check: { sqlstate: '23514', name: 'check_violation' },
+  length: { sqlstate: '22001', name: 'string_data_right_truncation' },
+  range: { sqlstate: '22003', name: 'numeric_value_out_of_range' },
+  type: { sqlstate: '22P02', name: 'invalid_text_representation' },
+  datetime: { sqlstate: '22007', name: 'invalid_datetime_format' }
+};
+
+// One suite per table; rows are built with the test data engine from each column's type and checks
+function generateDbTableTestCases(tableInput, baseId) {
+  const { table, tables } = tableInput;
+  const testCases = {
+    positive: [],
+    negative: [],
+    boundary: [],
+    edge: []
+  };
+  const columns = table.columns.map(column => ({
+    ...column,
+    model: describeField(column.name, getSqlColumnSchema(column), !column.nullable)
+  }));
+  const columnNamed = (name) => columns.find(column => column.name === name);
+
+  const validRow = {};
+  for (const column of columns.filter(column => !column.auto)) {
+    validRow[column.name] = getValidValue(column.model);
+  }
+  const foreignKeys = table.foreign_keys.map(foreignKey => resolveSqlForeignKey(foreignKey, tables)).filter(Boolean);
+  for (const foreignKey of foreignKeys) {
+    foreignKey.columns.forEach((name, index) => {
+      const selfReference = foreignKey.parent === table && columnNamed(name)?.nullable;
+      validRow[name] = selfReference ? null : getValidValue(foreignKey.parentColumns[index].model);
+    });
+  }
+
+  const parentRows = foreignKeys
+    .filter(foreignKey => foreignKey.parent !== table && foreignKey.columns.some(name => validRow[name] !== null))
+    .map(foreignKey => `${foreignKey.references} has a row with ${describeSqlValues(foreignKey.referenced_columns,
+      foreignKey.columns.map(name => validRow[name]))}`);
+  const precondition = [`Table ${table.name} exists with the schema under test`, ...parentRows].join('; ');
+  const error = (kind) => `Statement fails with ${SQL_CONSTRAINT_ERRORS[kind].name} (SQLSTATE ${SQL_CONSTRAINT_ERRORS[kind].sqlstate}) and no row is changed`;
+
+  // Unique sets: the primary key (unless generated), UNIQUE columns and UNIQUE (a, b) constraints
+  const uniqueSets = [
+    ...(table.primary_key.length > 0 && !table.primary_key.every(name => columnNamed(name)?.auto) ? [table.primary_key] : []),
+    ...columns.filter(column => column.unique).map(column => [column.name]),
+    ...table.unique
+  ].filter((set, index, sets) => sets.findIndex(other => other.join() === set.join()) === index);
+  // A second row that collides on nothing (every unique value changed)
+  const otherRow = { ...validRow };
+  for (const name of uniqueSets.flat()) {
+    if (otherRow[name] !== undefined && otherRow[name] !== null && !foreignKeys.some(foreignKey => foreignKey.columns.includes(name))) {
+      otherRow[name] = getSqlVariantValue(columnNamed(name).model, otherRow[name]);
+    }
+  }
+  const rowKey = (row) => {
+    const keys = table.primary_key.filter(name => row[name] !== undefined);
+    const unique = uniqueSets.find(set => set.every(name => row[name] !== undefined && row[name] !== null));
+    const names = keys.length === table.primary_key.length && keys.length > 0 ? keys : unique || Object.keys(row);
+    return names.map(name => `${name} = ${toSqlLiteral(row[name])}`).join(' AND ');
+  };
+
+  const pushCase = (section, testCase) => testCases[section].push({
+    id: nextCaseId(testCases, section, baseId),
+    type: section,
+    ...testCase,
+    precondition: testCase.precondition || precondition,
+    test_data: { table: table.name, ...testCase.test_data }
+  });
+  const insertCase = (section, title, row, expected, extra = {}) => pushCase(section, {
+    title: `${table.name}: ${title}`,
+    steps: [
+      ...(extra.setup || []),
+      `Run: ${buildSqlInsert(table.name, row)}`,
+      expected.kind ? `Verify the statement is rejected with SQLSTATE ${SQL_CONSTRAINT_ERRORS[expected.kind].sqlstate}` : 'Read the row back and compare every column'
+    ],
+    expected_result: expected.kind ? error(expected.kind) : expected.text,
+    test_data: {
+      operation: 'insert',
+      row,
+      ...extra.test_data,
+      ...(expected.kind ? { expected_error: SQL_CONSTRAINT_ERRORS[expected.kind] } : {}),
+      sql: buildSqlInsert(table.name, row)
+    },
+    priority: extra.priority || (expected.kind ? 'High' : 'Medium'),
+    ...(extra.precondition ? { precondition: extra.precondition } : {})
+  });
+
+  // Positive Test Cases
+  const generated = columns.filter(column => column.auto).map(column => column.name);
+  insertCase('positive', 'insert a valid row', validRow, {
+    text: `Row is inserted${generated.length > 0 ? ` with generated ${generated.join(', ')}` : ''} and every stored value matches the input`
+  }, { priority: 'High' });
+
+  const optional = columns.filter(column => !column.auto && (column.nullable || column.default !== undefined));
+  if (optional.length > 0) {
+    const requiredRow = Object.fromEntries(Object.entries(validRow).filter(([name]) => !optional.some(column => column.name === name)));
+    const defaults = optional.filter(column => column.default !== undefined).map(column => `${column.name} = ${column.default}`);
+    const nulls = optional.filter(column => column.default === undefined).map(column => column.name);
+    insertCase('positive', 'insert with only required columns', requiredRow, {
+      text: [
+        'Row is inserted',
+        defaults.length > 0 && `defaults are applied (${defaults.join(', ')})`,
+        nulls.length > 0 && `${nulls.join(', ')} ${nulls.length === 1 ? 'is' : 'are'} NULL`
+      ].filter(Boolean).join('; ')
+    }, { test_data: { scenario: 'required_only' } });
+  }
+
+  const updatable = columns.find(column => !column.auto && !uniqueSets.flat().includes(column.name) &&
+    !foreignKeys.some(foreignKey => foreignKey.columns.includes(column.name)) && validRow[column.name] !== undefined);
+  if (updatable) {
+    const value = getSqlVariantValue(updatable.model, validRow[updatable.name]);
+    const sql = `UPDATE ${table.name} SET ${updatable.name} = ${toSqlLiteral(value)} WHERE ${rowKey(validRow)};`;
+    pushCase('positive', {
+      title: `${table.name}: update ${updatable.name} to another valid value`,
+      precondition: `${precondition}; the valid row is already inserted`,
+      steps: [`Run: ${sql}`, `Read the row back and verify ${updatable.name} = ${toSqlLiteral(value)}`],
+      expected_result: 'Exactly one row is updated and the other columns keep their values',
+      test_data: { operation: 'update', column: updatable.name, value, sql },
+      priority: 'Medium'
+    });
+  }
+
+  for (const set of uniqueSets.filter(set => set.length > 1)) {
+    const partial = { ...validRow, [set[set.length - 1]]: otherRow[set[set.length - 1]] ?? getSqlVariantValue(columnNamed(set[set.length - 1]).model, validRow[set[set.length - 1]]) };
+    insertCase('positive', `UNIQUE (${set.join(', ')}) allows a row that repeats only part of the key`, partial, {
+      text: `Row is inserted because (${set.join(', ')}) as a whole is still unique`
+    }, { setup: [`Run: ${buildSqlInsert(table.name, validRow)}`], test_data: { constraint: `UNIQUE (${set.join(', ')})` } });
+  }
+
+  // Negative Test Cases
+  for (const column of columns.filter(column => !column.nullable && !column.auto && column.default === undefined)) {
+    insertCase('negative', `NULL in NOT NULL column ${column.name}`, { ...validRow, [column.name]: null }, { kind: 'not_null' },
+      { test_data: { column: column.name, constraint: 'NOT NULL' } });
+  }
+
+  for (const set of uniqueSets) {
+    const duplicate = { ...otherRow, ...Object.fromEntries(set.map(name => [name, validRow[name]])) };
+    const label = table.primary_key.join() === set.join() ? `PRIMARY KEY (${set.join(', ')})` : `UNIQUE (${set.join(', ')})`;
+    insertCase('negative', `duplicate value for ${label}`, duplicate, { kind: 'unique' }, {
+      precondition: `${precondition}; a row with ${describeSqlValues(set, set.map(name => validRow[name]))} already exists`,
+      setup: [`Run: ${buildSqlInsert(table.name, validRow)}`],
+      test_data: { constraint: label, columns: set }
+    });
+  }
+
+  for (const foreignKey of foreignKeys) {
+    const orphanRow = { ...validRow };
+    foreignKey.columns.forEach((name, index) => {
+      orphanRow[name] = getSqlMissingValue(foreignKey.parentColumns[index].model);
+    });
+    const label = `FOREIGN KEY (${foreignKey.columns.join(', ')}) REFERENCES ${foreignKey.references}`;
+    insertCase('negative', `orphan ${foreignKey.columns.join(', ')} not present in ${foreignKey.references}`, orphanRow, { kind: 'foreign_key' },
+      { test_data: { constraint: label } });
+
+    if (['no_action', 'restrict'].includes(foreignKey.on_delete) && foreignKey.parent !== table) {
+      const sql = `DELETE FROM ${foreignKey.references} WHERE ${foreignKey.referenced_columns.map((name, index) =>
+        `${name} = ${toSqlLiteral(validRow[foreignKey.columns[index]])}`).join(' AND ')};`;
+      pushCase('negative', {
+        title: `${table.name}: delete a ${foreignKey.references} row that is still referenced`,
+        precondition: `${precondition}; a ${table.name} row references it`,
+        steps: [`Run: ${buildSqlInsert(table.name, validRow)}`, `Run: ${sql}`, 'Verify the parent row is still present'],
+        expected_result: `${error('foreign_key')} (ON DELETE ${foreignKey.on_delete.replace('_', ' ').toUpperCase()})`,
+        test_data: { operation: 'delete', constraint: label, expected_error: SQL_CONSTRAINT_ERRORS.foreign_key, sql },
+        priority: 'High'
+      });
+    }
+  }
+
+  for (const column of columns.filter(column => validRow[column.name] !== undefined)) {
+    const listCheck = column.checks.find(check => check.values);
+    if (listCheck || column.values) {
+      insertCase('negative', `${column.name} outside the allowed values`, { ...validRow, [column.name]: getInvalidFormatValue(column.model) },
+        { kind: listCheck ? 'check' : 'type' }, { test_data: { column: column.name, allowed: column.model.enum, constraint: listCheck ? `CHECK (${listCheck.expression})` : column.type } });
+    } else if (['integer', 'number', 'boolean'].includes(column.model.type) || ['date', 'date-time', 'uuid'].includes(column.model.format)) {
+      const isDate = ['date', 'date-time'].includes(column.model.format);
+      const value = column.model.format ? getInvalidFormatValue(column.model) : getWrongTypeValue(column.model);
+      insertCase('negative', `${column.name} with a value that is not ${withArticle(column.type)}`, { ...validRow, [column.name]: value },
+        { kind: isDate ? 'datetime' : 'type' }, { test_data: { column: column.name }, priority: 'Medium' });
+    }
+  }
+
+  // Checks that could not be turned into limits are still listed so they get a hand-written violation
+  for (const check of table.checks.filter(check => !check.values && !['minimum', 'maximum', 'min_length', 'max_length'].some(key => key in check))) {
+    pushCase('negative', {
+      title: `${table.name}: row violating CHECK (${check.expression})`,
+      steps: [`Insert a row that breaks CHECK (${check.expression})`, `Verify the statement is rejected with SQLSTATE ${SQL_CONSTRAINT_ERRORS.check.sqlstate}`],
+      expected_result: error('check'),
+      test_data: { operation: 'insert', constraint: `CHECK (${check.expression})`, expected_error: SQL_CONSTRAINT_ERRORS.check },
+      priority: 'High'
+    });
+  }
+
+  // Boundary Test Cases
+  for (const column of columns.filter(column => validRow[column.name] !== undefined && validRow[column.name] !== null &&
+    !foreignKeys.some(foreignKey => foreignKey.columns.includes(column.name)))) {
+    const { model } = column;
+    const lengthCheck = column.checks.find(check => check.max_length !== undefined || check.min_length !== undefined);
+
+    if (model.type === 'string' && [undefined, 'email'].includes(model.format) && !model.enum && model.maxLength !== undefined) {
+      const byCheck = column.length === undefined || model.maxLength < column.length;
+      insertCase('boundary', `${column.name} at its maximum length (${model.maxLength})`, { ...validRow, [column.name]: getBoundaryString(model, 'max') },
+        { text: `Row is inserted and ${column.name} keeps all ${model.maxLength} characters` }, { test_data: { column: column.name, length: model.maxLength } });
+      insertCase('boundary', `${column.name} one character over the limit (${model.maxLength + 1})`, { ...validRow, [column.name]: getTooLongString(model) },
+        { kind: byCheck ? 'check' : 'length' }, { test_data: { column: column.name, length: model.maxLength + 1 }, priority: 'Medium' });
+    }
+    if (model.type === 'string' && lengthCheck && lengthCheck.min_length > 0) {
+      const min = lengthCheck.min_length;
+      insertCase('boundary', `${column.name} at its minimum length (${min})`, { ...validRow, [column.name]: getBoundaryString(model, 'min') },
+        { text: `Row is inserted with a ${min}-character ${column.name}` }, { test_data: { column: column.name, length: min } });
+      insertCase('boundary', `${column.name} shorter than the minimum (${min - 1})`, { ...validRow, [column.name]: 'a'.repeat(min - 1) },
+        { kind: 'check' }, { test_data: { column: column.name, length: min - 1 }, priority: 'Medium' });
+    }
+
+    if (model.type === 'integer' || model.type === 'number') {
+      const limits = getNumericLimits(model);
+      const step = column.scale ? 10 ** -column.scale : limits.step;
+      const round = (value) => Number(value.toFixed(column.scale || (model.type === 'integer' ? 0 : 2)));
+      const typeOnly = getSqlColumnSchema({ ...column, checks: [] });
+      for (const [side, limit, outside] of [['min', limits.min, limits.min - step], ['max', limits.max, limits.max + step]]) {
+        const declared = side === 'min'
+          ? model.minimum !== undefined || model.exclusiveMinimum !== undefined
+          : model.maximum !== undefined || model.exclusiveMaximum !== undefined;
+        if (!declared) {
+          continue;
+        }
+        // When a CHECK and the column type share a limit, the type conversion fails first
+        const typeLimit = side === 'min' ? typeOnly.minimum : typeOnly.maximum;
+        const byCheck = typeLimit === undefined || round(limit) !== round(typeLimit);
+        insertCase('boundary', `${column.name} at ${side} (${round(limit)})`, { ...validRow, [column.name]: round(limit) },
+          { text: `Row is inserted with ${column.name} = ${round(limit)}` }, { test_data: { column: column.name, value: round(limit) } });
+        insertCase('boundary', `${column.name} just ${side === 'min' ? 'below min' : 'above max'} (${round(outside)})`, { ...validRow, [column.name]: round(outside) },
+          { kind: byCheck ? 'check' : 'range' }, { test_data: { column: column.name, value: round(outside) }, priority: 'Medium' });
+      }
+    }
+  }
+
+  // Edge Test Cases
+  for (const foreignKey of foreignKeys.filter(foreignKey => foreignKey.parent !== table)) {
+    const where = foreignKey.referenced_columns.map((name, index) => `${name} = ${toSqlLiteral(validRow[foreignKey.columns[index]])}`).join(' AND ');
+    const childWhere = foreignKey.columns.map(name => `${name} = ${toSqlLiteral(validRow[name])}`).join(' AND ');
+    const outcomes = {
+      cascade: `the ${table.name} rows referencing it are deleted too`,
+      set_null: `${foreignKey.columns.join(', ')} of the referencing ${table.name} rows become NULL`,
+      set_default: `${foreignKey.columns.join(', ')} of the referencing ${table.name} rows fall back to their default`
+    };
+    if (outcomes[foreignKey.on_delete]) {
+      const sql = `DELETE FROM ${foreignKey.references} WHERE ${where};`;
+      pushCase('edge', {
+        title: `${table.name}: ON DELETE ${foreignKey.on_delete.replace('_', ' ').toUpperCase()} from ${foreignKey.references}`,
+        precondition: `${precondition}; a ${table.name} row references it`,
+        steps: [`Run: ${buildSqlInsert(table.name, validRow)}`, `Run: ${sql}`, `Run: SELECT * FROM ${table.name} WHERE ${childWhere};`],
+        expected_result: `Parent row is deleted and ${outcomes[foreignKey.on_delete]}`,
+        test_data: { operation: 'delete', parent: foreignKey.references, on_delete: foreignKey.on_delete, sql },
+        priority: 'High'
+      });
+    }
+    if (foreignKey.on_update === 'cascade') {
+      pushCase('edge', {
+        title: `${table.name}: ON UPDATE CASCADE when ${foreignKey.references}.${foreignKey.referenced_columns.join(', ')} changes`,
+        precondition: `${precondition}; a ${table.name} row references it`,
+        steps: [`Run: ${buildSqlInsert(table.name, validRow)}`, `Update ${foreignKey.referenced_columns.join(', ')} of the ${foreignKey.references} row where ${where}`,
+          `Verify ${foreignKey.columns.join(', ')} in ${table.name} follow the new value`],
+        expected_result: `Referencing ${table.name} rows are updated with the parent key`,
+        test_data: { operation: 'update', parent: foreignKey.references, on_update: 'cascade' },
+        priority: 'Medium'
+      });
+    }
+  }
+
+  for (const column of columns.filter(column => column.unique || table.unique.some(set => set.length === 1 && set[0] === column.name))) {
+    if (column.nullable) {
+      insertCase('edge', `two rows with NULL in UNIQUE column ${column.name}`, { ...otherRow, [column.name]: null }, {
+        text: `Both rows are inserted: NULLs are not equal to each other (SQL Server allows only one NULL unless a filtered index is used)`
+      }, { setup: [`Run: ${buildSqlInsert(table.name, { ...validRow, [column.name]: null })}`], test_data: { column: column.name }, priority: 'Low' });
+    }
+    if (column.model.type === 'string' && !column.model.format?.match(/uuid|date/) && typeof validRow[column.name] === 'string') {
+      const value = validRow[column.name];
+      const variant = value === value.toUpperCase() ? value.toLowerCase() : value.toUpperCase();
+      insertCase('edge', `${column.name} differing only in letter case`, { ...otherRow, [column.name]: variant }, {
+        text: `Matches the collation: rejected as a duplicate for case-insensitive collations (MySQL default, citext), accepted otherwise - confirm which rule ${column.name} needs`
+      }, { setup: [`Run: ${buildSqlInsert(table.name, validRow)}`], test_data: { column: column.name, existing: value }, priority: 'Medium' });
+    }
+  }
+
+  if (uniqueSets.length > 0) {
+    pushCase('edge', {
+      title: `${table.name}: two sessions insert the same unique values at once`,
+      steps: ['Open two connections and BEGIN a transaction in each', `Run in both: ${buildSqlInsert(table.name, validRow)}`, 'COMMIT both transactions'],
+      expected_result: `Exactly one insert commits; the other waits and then fails with ${SQL_CONSTRAINT_ERRORS.unique.name} (SQLSTATE ${SQL_CONSTRAINT_ERRORS.unique.sqlstate})`,
+      test_data: { operation: 'insert', scenario: 'concurrent_duplicate', sql: buildSqlInsert(table.name, validRow) },
+      priority: 'Low'
+    });
+  }
+
+  const textColumn = columns.find(column => column.length && column.model.type === 'string' && !column.model.format && !column.model.pattern &&
+    !uniqueSets.flat().includes(column.name) && validRow[column.name] !== undefined);
+  if (textColumn) {
+    insertCase('edge', `${textColumn.name} with ${textColumn.length} multi-byte characters`, { ...validRow, [textColumn.name]: 'ü'.repeat(textColumn.length) }, {
+      text: `Row is inserted when ${textColumn.type} counts characters; byte-length semantics (Oracle BYTE, SQL Server varchar) reject it`
+    }, { test_data: { column: textColumn.name, length: textColumn.length }, priority: 'Low' });
+  }
+
+  const scaled = columns.find(column => column.scale > 0 && validRow[column.name] !== undefined);
+  if (scaled) {
+    const value = Number((1 + 10 ** -(scaled.scale + 1) * 6).toFixed(scaled.scale + 1));
+    insertCase('edge', `${scaled.name} with more than ${scaled.scale} decimal places`, { ...validRow, [scaled.name]: value }, {
+      text: `Row is inserted and ${scaled.name} is rounded to ${scaled.scale} decimal places (${value.toFixed(scaled.scale)})`
+    }, { test_data: { column: scaled.name, value }, priority: 'Low' });
+  }
+
+  return testCases;
+}
+
+// Column type and its CHECK limits as the JSON Schema keywords the data engine understands
+function getSqlColumnSchema(column) {
+  const base = column.base_type.replace(/\s+(unsigned|zerofill)/g, '');
+  const unsigned = /unsigned/.test(column.base_type);
+  let schema = { type: 'string' };
+
+  if (SQL_INTEGER_RANGES[base]) {
+    const [min, max] = SQL_INTEGER_RANGES[base];
+    schema = { type: 'integer', minimum: unsigned ? 0 : min, maximum: unsigned ? max * 2 + 1 : max };
+  } else if (/^(bigint|int8|bigserial)$/.test(base)) {
+    schema = { type: 'integer' };
+  } else if (column.precision !== undefined) {
+    const max = Number((10 ** (column.precision - column.scale) - 10 ** -column.scale).toFixed(column.scale));
+    schema = { type: column.scale > 0 ? 'number' : 'integer', minimum: unsigned ? 0 : -max, maximum: max };
+  } else if (/^(numeric|decimal|number|real|float|double|money)/.test(base)) {
+    schema = { type: 'number' };
+  } else if (/^bool/.test(base)) {
+    schema = { type: 'boolean' };
+  } else if (base === 'date') {
+    schema.format = 'date';
+  } else if (/^(timestamp|datetime)/.test(base)) {
+    schema.format = 'date-time';
+  } else if (base === 'time') {
+    Object.assign(schema, { pattern: '^\\d{2}:\\d{2}:\\d{2}$', example: '10:30:00' });
+  } else if (base === 'uuid' || base === 'uniqueidentifier') {
+    schema.format = 'uuid';
+  } else if (/^json/.test(base)) {
+    schema.example = '{}';
+  } else if (column.length !== undefined) {
+    schema.maxLength = column.length;
+  }
+  if (column.values) {
+    schema.enum = column.values;
+  }
+
+  for (const check of column.checks) {
+    if (check.values) {
+      schema.enum = check.values;
+    }
+    if (check.minimum !== undefined && (schema.minimum === undefined || check.minimum >= schema.minimum)) {
+      schema[check.exclusive_minimum ? 'exclusiveMinimum' : 'minimum'] = check.minimum;
+    }
+    if (check.maximum !== undefined && (schema.maximum === undefined || check.maximum <= schema.maximum)) {
+      schema[check.exclusive_maximum ? 'exclusiveMaximum' : 'maximum'] = check.maximum;
+    }
+    if (check.min_length !== undefined) {
+      schema.minLength = check.min_length;
+    }
+    if (check.max_length !== undefined && (schema.maxLength === undefined || check.max_length < schema.maxLength)) {
+      schema.maxLength = check.max_length;
+    }
+  }
+  return schema;
+}
+
+function resolveSqlForeignKey(foreignKey, tables) {
+  const parent = tables.find(table => table.name.toLowerCase() === foreignKey.references.toLowerCase());
+  if (!parent) {
+    return null;
+  }
+  const referenced = foreignKey.referenced_columns.length > 0 ? foreignKey.referenced_columns : parent.primary_key;
+  const parentColumns = referenced.map(name => parent.columns.find(column => column.name === name));
+  if (parentColumns.length !== foreignKey.columns.length || parentColumns.some(column => !column)) {
+    return null;
+  }
+  return {
+    ...foreignKey,
+    referenced_columns: referenced,
+    parent,
+    parentColumns: parentColumns.map(column => ({ ...column, model: describeField(column.name, getSqlColumnSchema(column), true) }))
+  };
+}
+
+// Another valid value for the same column, used to keep a second row from colliding
+function getSqlVariantValue(model, value) {
+  if (Array.isArray(model.enum) && model.enum.length > 1) {
+    return model.enum.find(entry => entry !== value);
+  }
+  if (typeof value === 'number') {
+    const { max } = getNumericLimits(model);
+    return value + 1 <= max ? value + 1 : value - 1;
+  }
+  if (typeof value === 'boolean') {
+    return !value;
+  }
+  switch (model.format) {
+    case 'uuid': return '123e4567-e89b-12d3-a456-426614174001';
+    case 'date': return '2024-01-16';
+    case 'date-time': return '2024-01-16T10:30:00Z';
+    case 'email': return `other.${value}`.slice(-(model.maxLength || 255));
+  }
+  const text = String(value);
+  const max = model.maxLength !== undefined ? model.maxLength : text.length + 2;
+  return text.length + 2 <= max ? `${text}_2` : `${text.slice(0, Math.max(max - 1, 0))}2`;
+}
+
+// A key value that the parent table does not contain
+function getSqlMissingValue(model) {
+  if (model.type === 'integer' || model.type === 'number') {
+    return Math.min(999999, getNumericLimits(model).max);
+  }
+  if (model.format === 'uuid') {
+    return '00000000-0000-0000-0000-000000000000';
+  }
+  return 'missing_key'.slice(0, model.maxLength || 11);
+}
+
+function toSqlLiteral(value) {
+  if (value === null || value === undefined) {
+    return 'NULL';
+  }
+  if (typeof value === 'number') {
+    return String(value);
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'TRUE' : 'FALSE';
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return `'${text.replace(/'/g, "''")}'`;
+}
+
+function buildSqlInsert(tableName, row) {
+  const names = Object.keys(row);
+  return names.length === 0
+    ? `INSERT INTO ${tableName} DEFAULT VALUES;`
+    : `INSERT INTO ${tableName} (${names.join(', ')}) VALUES (${names.map(name => toSqlLiteral(row[name])).join(', ')});`;
+}
+
+function describeSqlValues(names, values) {
+  return names.map((name, index) => `${name} = ${toSqlLiteral(values[index])}`).join(', ');
+}
+
+// Every case carries a ready-to-send payload ({ query, variables, operationName }) in test_data.graphql.
+// `expect` tells the automation what to check: data without errors, variables that pass coercion,
+// a request error (validation / variable coercion) or a field error at the operation's path
+function generateGraphQLTestCases(operationInput, baseId) {
+  const { schema, operation, field, args } = operationInput;
+  const testCases = {
+    positive: [],
+    negative: [],
+    boundary: [],
+    edge: []
+  };
+  const label = `${operation} ${field}`;
+  const returnType = unwrapGraphQLType(operationInput.return_type);
+  const returnObject = schema.objects[returnType.name];
+  const selection = buildGraphQLSelection(returnType.name, schema);
+  const argModels = args.map(arg => describeField(arg.name, getGraphQLArgumentSchema(arg.type, schema),
+    unwrapGraphQLType(arg.type).nonNull && arg.default === undefined));
+  const validVariables = getValidTestData(argModels);
+  const precondition = `GraphQL endpoint ${operationInput.endpoint} is available and the schema exposes ${label}`;
+
+  const pushCase = (section, testCase, request, expectation) => {
+    const graphql = buildGraphQLRequest(operationInput, request.selection ?? selection, request.variables);
+    testCases[section].push({
+      id: nextCaseId(testCases, section, baseId),
+      title: `${label}: ${testCase.title}`,
+      type: section,
+      precondition: testCase.precondition || precondition,
+      steps: [
+        `Send POST ${operationInput.endpoint} with the ${graphql.operationName} ${operation} and variables ${JSON.stringify(graphql.variables)}`,
+        ...testCase.steps
+      ],
+      expected_result: testCase.expected_result,
+      test_data: { ...testCase.test_data, field, graphql, ...expectation },
+      priority: testCase.priority
+    });
+  };
+  const requestError = (message) => ({ expect: 'request_error', error_message: message });
+  const withValue = (path, value) => setAtPath(structuredClone(validVariables), path, value);
+
+  // Positive Test Cases
+  pushCase('positive', {
+    title: 'valid arguments',
+    steps: ['Verify the response has no `errors`', `Verify data.${field} contains the selected fields`],
+    expected_result: `Response has data.${field} with the requested selection and no errors`,
+    test_data: { scenario: 'valid_arguments' },
+    priority: 'High'
+  }, { variables: validVariables }, { expect: 'data' });
+
+  const optional = argModels.filter(model => !model.required);
+  if (optional.length > 0) {
+    const requiredOnly = Object.fromEntries(argModels.filter(model => model.required).map(model => [model.name, validVariables[model.name]]));
+    pushCase('positive', {
+      title: optional.length < argModels.length ? 'only non-null arguments' : 'without arguments',
+      steps: ['Verify the response has no `errors`', `Verify defaults are applied for ${optional.map(model => model.name).join(', ')}`],
+      expected_result: `Optional arguments can be omitted and data.${field} is returned`,
+      test_data: { scenario: 'required_only' },
+      priority: 'Medium'
+    }, { variables: requiredOnly }, { expect: 'data' });
+  }
+
+  const flatModels = flattenFields(argModels);
+  for (const model of flatModels.filter(model => Array.isArray(model.enum) && model.enum.length > 1 && !model.path.includes('[]'))) {
+    const last = model.enum[model.enum.length - 1];
+    pushCase('positive', {
+      title: `${model.path} accepts ${last}`,
+      steps: ['Verify the response has no `errors`'],
+      expected_result: `${model.graphql_type} value ${last} is accepted for ${model.path}`,
+      test_data: { scenario: 'enum_value', argument: model.path, values: model.enum },
+      priority: 'Medium'
+    }, { variables: withValue(model.path, last) }, { expect: 'data' });
+  }
+
+  // Negative Test Cases
+  for (const model of flatModels.filter(model => model.required && model.name !== '[]')) {
+    const nested = model.path.includes('.');
+    pushCase('negative', {
+      title: `missing non-null argument ${model.path}`,
+      steps: ['Verify the response has `errors` and no `data`', 'Verify the resolver is not executed'],
+      expected_result: `Request is rejected before execution: ${model.path} of required type ${model.graphql_type_reference} was not provided`,
+      test_data: { scenario: 'missing_argument', argument: model.path },
+      priority: 'High'
+    }, { variables: deleteAtPath(structuredClone(validVariables), model.path) },
+    requestError(nested ? 'got invalid value' : 'was not provided'));
+  }
+
+  for (const model of flatModels) {
+    const wrongValue = getGraphQLWrongValue(model);
+    if (wrongValue !== undefined) {
+      pushCase('negative', {
+        title: `${model.path} with a value that is not ${withArticle(model.graphql_type)}`,
+        steps: ['Verify the response has `errors` and no `data`', `Verify the error names $${model.path.split(/[.[]/)[0]}`],
+        expected_result: `Variable coercion fails: ${JSON.stringify(wrongValue)} is not a valid ${model.graphql_type}`,
+        test_data: { scenario: 'wrong_scalar', argument: model.path, value: wrongValue },
+        priority: 'High'
+      }, { variables: withValue(model.path, wrongValue) }, requestError('got invalid value'));
+    }
+    if (Array.isArray(model.enum)) {
+      pushCase('negative', {
+        title: `${model.path} outside enum ${model.graphql_type}`,
+        steps: ['Verify the response has `errors` and no `data`'],
+        expected_result: `Request is rejected: INVALID_ENUM_VALUE does not exist in enum ${model.graphql_type} (${model.enum.join(', ')})`,
+        test_data: { scenario: 'invalid_enum', argument: model.path, allowed: model.enum },
+        priority: 'High'
+      }, { variables: withValue(model.path, 'INVALID_ENUM_VALUE') }, requestError('got invalid value'));
+    }
+  }
+
+  if (returnObject) {
+    pushCase('negative', {
+      title: `selection with a field that ${returnType.name} does not define`,
+      steps: ['Verify the response has `errors` and no `data`'],
+      expected_result: `Validation fails: cannot query field "doesNotExist" on type "${returnType.name}"`,
+      test_data: { scenario: 'unknown_field' },
+      priority: 'Medium'
+    }, { variables: validVariables, selection: selection.replace(/ }$/, ' doesNotExist }') }, requestError('Cannot query field'));
+  }
+
+  // Boundary Test Cases
+  // Int is a signed 32-bit integer; values outside that range fail coercion, not business validation
+  for (const model of flatModels.filter(model => model.graphql_type === 'Int')) {
+    for (const [limit, outside] of [[2147483647, 2147483648], [-2147483648, -2147483649]]) {
+      pushCase('boundary', {
+        title: `${model.path} = ${limit} (Int ${limit > 0 ? 'max' : 'min'})`,
+        steps: [`Verify no error reports an invalid value for $${model.path.split(/[.[]/)[0]}`],
+        expected_result: `${limit} passes Int coercion; any rejection comes from business validation, not the type`,
+        test_data: { scenario: 'int_limit', argument: model.path, value: limit },
+        priority: 'Medium'
+      }, { variables: withValue(model.path, limit) }, { expect: 'accepted' });
+      pushCase('boundary', {
+        title: `${model.path} = ${outside} (outside Int)`,
+        steps: ['Verify the response has `errors` and no `data`'],
+        expected_result: `Request is rejected: Int cannot represent non 32-bit signed integer value ${outside}`,
+        test_data: { scenario: 'int_overflow', argument: model.path, value: outside },
+        priority: 'Medium'
+      }, { variables: withValue(model.path, outside) }, requestError('got invalid value'));
+    }
+  }
+
+  for (const model of flatModels.filter(model => model.type === 'array' && model.name !== '[]')) {
+    pushCase('boundary', {
+      title: `${model.path} as an empty list`,
+      steps: ['Verify no error reports an invalid value'],
+      expected_result: `An empty list passes coercion for ${model.graphql_type_reference}`,
+      test_data: { scenario: 'empty_list', argument: model.path },
+      priority: 'Low'
+    }, { variables: withValue(model.path, []) }, { expect: 'accepted' });
+  }
+
+  // Edge Test Cases
+  const nullable = argModels.filter(model => !unwrapGraphQLType(model.graphql_type_reference).nonNull);
+  if (nullable.length > 0) {
+    pushCase('edge', {
+      title: `explicit null for ${nullable.map(model => model.name).join(', ')}`,
+      steps: ['Verify no error reports an invalid value', 'Verify explicit null is handled like an omitted argument (or clears the value for mutations)'],
+      expected_result: 'Nullable arguments accept an explicit null',
+      test_data: { scenario: 'explicit_null' },
+      priority: 'Low'
+    }, { variables: { ...validVariables, ...Object.fromEntries(nullable.map(model => [model.name, null])) } }, { expect: 'accepted' });
+  }
+
+  if (returnObject) {
+    const maxDepth = QA_ASSUMPTIONS.graphql.maxDepth;
+    const path = findGraphQLNestedPath(returnType.name, schema, maxDepth + 1);
+    if (path) {
+      pushCase('edge', {
+        title: `selection nested ${maxDepth + 1} levels deep (${path.slice(0, 3).join('.')}...)`,
+        steps: ['Verify the response has `errors` and no `data`', 'Verify the server does not resolve the nested fields'],
+        expected_result: `Query is rejected by the depth limit (max ${maxDepth} levels) before execution`,
+        test_data: { scenario: 'query_depth', depth: maxDepth + 1, max_depth: maxDepth },
+        priority: 'High'
+      }, { variables: validVariables, selection: buildGraphQLNestedSelection(path) }, requestError('depth'));
+    } else {
+      const deepest = buildGraphQLSelection(returnType.name, schema, 0, maxDepth);
+      pushCase('edge', {
+        title: 'selection of every reachable nested field',
+        steps: ['Verify the response has no `errors`', 'Verify every nested object is resolved'],
+        expected_result: `${returnType.name} has no cyclic fields, so the deepest possible selection stays within the depth limit and is returned`,
+        test_data: { scenario: 'query_depth', max_depth: maxDepth },
+        priority: 'Low'
+      }, { variables: validVariables, selection: deepest }, { expect: 'data' });
+    }
+  }
+
+  pushCase('edge', {
+    title: 'resolver error',
+    precondition: `${precondition}; the resolver for ${field} is made to fail (e.g. its data source is stubbed to throw)`,
+    steps: [`Verify errors[0].path is ["${field}"]`, returnType.nonNull ? 'Verify data is null (non-null field error propagates)' : `Verify data.${field} is null`],
+    expected_result: returnType.nonNull
+      ? `Response has an error at path ["${field}"] and data is null because ${operationInput.return_type} cannot be null`
+      : `Response has an error at path ["${field}"], data.${field} is null and no internal details leak`,
+    test_data: { scenario: 'field_error' },
+    priority: 'Medium'
+  }, { variables: validVariables }, { expect: 'field_error', error_path: [field], data_null: returnType.nonNull });
+
+  return testCases;
+}
+
+// Argument types as JSON Schema for the data engine; `graphql_type` keeps the GraphQL name for error cases
+function getGraphQLArgumentSchema(typeReference, schema, depth = 0) {
+  const type = unwrapGraphQLType(typeReference);
+  if (type.list) {
+    return { type: 'array', items: getGraphQLArgumentSchema(type.item, schema, depth), graphql_type: typeReference, graphql_type_reference: typeReference };
+  }
+  const base = { graphql_type: type.name, graphql_type_reference: typeReference };
+  const input = schema.inputs[type.name];
+  if (input) {
+    if (depth >= 4) {
+      return { type: 'object', ...base };
+    }
+    return {
+      type: 'object',
+      ...base,
+      properties: Object.fromEntries(input.fields.map(field => [field.name, getGraphQLArgumentSchema(field.type, schema, depth + 1)])),
+      required: input.fields.filter(field => field.type.endsWith('!') && field.default === undefined).map(field => field.name)
+    };
+  }
+  if (schema.enums[type.name]) {
+    return { type: 'string', enum: schema.enums[type.name], ...base };
+  }
+  switch (type.name) {
+    case 'Int': return { type: 'integer', ...base };
+    case 'Float': return { type: 'number', ...base };
+    case 'Boolean': return { type: 'boolean', ...base };
+    case 'ID': return { type: 'string', example: '1', ...base };
+    case 'String': return { type: 'string', ...base };
+  }
+  // Custom scalars: the name hints at the format
+  const formats = [[/date-?time|timestamp|instant/i, 'date-time'], [/^date$/i, 'date'], [/e-?mail/i, 'email'], [/uuid/i, 'uuid'], [/ur[il]/i, 'uri']];
+  const format = formats.find(([pattern]) => pattern.test(type.name));
+  return { type: 'string', ...(format ? { format: format[1] } : {}), ...base };
+}
+
+// Only built-in scalars and input objects have a value that is sure to fail coercion
+// (ID accepts integers, and a single value is coerced to a one-item list)
+function getGraphQLWrongValue(model) {
+  switch (model.graphql_type) {
+    case 'Int': return 'not_a_number';
+    case 'Float': return 'not_a_number';
+    case 'Boolean': return 'not_a_boolean';
+    case 'String': return 12345;
+    case 'ID': return true;
+  }
+  return model.type === 'object' && model.fields ? 'not_an_object' : undefined;
+}
+
+// Scalar and enum fields of the type, plus nested objects (without required arguments) up to maxDepth
+function buildGraphQLSelection(typeName, schema, depth = 0, maxDepth = 1) {
+  if (schema.unions[typeName]) {
+    return '{ __typename }';
+  }
+  const object = schema.objects[typeName];
+  if (!object) {
+    return '';
+  }
+  const selected = [];
+  for (const field of object.fields.filter(entry => !entry.args.some(arg => arg.type.endsWith('!') && arg.default === undefined))) {
+    const fieldType = unwrapGraphQLType(field.type).name;
+    if (!schema.objects[fieldType] && !schema.unions[fieldType]) {
+      selected.push(field.name);
+    } else if (depth < maxDepth) {
+      selected.push(`${field.name} ${buildGraphQLSelection(fieldType, schema, depth + 1, maxDepth)}`);
+    }
+  }
+  return `{ ${selected.length > 0 ? selected.join(' ') : '__typename'} }`;
+}
+
+// Object fields to follow for a selection `depth` levels deep; only cyclic types can go past the depth limit
+function findGraphQLNestedPath(typeName, schema, depth, memo = new Map()) {
+  if (depth === 0) {
+    return [];
+  }
+  const key = `${typeName}:${depth}`;
+  if (memo.has(key)) {
+    return memo.get(key);
+  }
+  memo.set(key, null);
+  let path = null;
+  for (const field of schema.objects[typeName]?.fields || []) {
+    const fieldType = unwrapGraphQLType(field.type).name;
+    if (schema.objects[fieldType] && !field.args.some(arg => arg.type.endsWith('!') && arg.default === undefined)) {
+      const rest = findGraphQLNestedPath(fieldType, schema, depth - 1, memo);
+      if (rest) {
+        path = [field.name, ...rest];
+        break;
+      }
+    }
+  }
+  memo.set(key, path);
+  return path;
+}
+
+function buildGraphQLNestedSelection(path) {
+  return path.reduceRight((inner, name) => `{ ${name} ${inner} }`, '{ __typename }');
+}
+
+function buildGraphQLRequest(operationInput, selection, variables) {
+  const { operation, field, args } = operationInput;
+  const operationName = field.charAt(0).toUpperCase() + field.slice(1);
+  const definitions = args.map(arg => `$${arg.name}: ${arg.type}${arg.default !== undefined ? ` = ${arg.default}` : ''}`);
+  const argumentList = args.map(arg => `${arg.name}: $${arg.name}`);
+  return {
+    endpoint: operationInput.endpoint,
+    operationName,
+    query: `${operation} ${operationName}${definitions.length > 0 ? `(${definitions.join(', ')})` : ''} { ${field}${argumentList.length > 0 ? `(${argumentList.join(', ')})` : ''}${selection ? ` ${selection}` : ''} }`,
+    variables
+  };
+}
+
+// One case per (merged) rule: the conditions are set up, the decision runs and every action is checked.
+// Don't-care conditions use their first value; rules that take no action or end in an error are negative cases
+const DECISION_TABLE_FAILURE_ACTION = /\b(?:error|reject|den(?:y|ied)|block|declin|fail|refus|lock)/i;
+
+function generateDecisionTableTestCases(tableInput, baseId) {
+  const testCases = {
+    positive: [],
+    negative: [],
+    boundary: [],
+    edge: []
+  };
+  const subject = tableInput.name || 'the decision';
+
+  for (const rule of tableInput.rules) {
+    const values = Object.fromEntries(tableInput.conditions.map(condition => [condition.name,
+      rule.when[condition.name] !== null ? rule.when[condition.name] : condition.values.length > 0 ? condition.values[0] : null]));
+    const dontCare = tableInput.conditions.filter(condition => rule.when[condition.name] === null).map(condition => condition.name);
+    const taken = tableInput.actions.filter(action => rule.then[action] !== false);
+    const section = taken.length > 0 && !taken.some(action => DECISION_TABLE_FAILURE_ACTION.test(action)) ? 'positive' : 'negative';
+    const describeAction = (action) => rule.then[action] === true ? `${action} is applied` : `${action} is ${rule.then[action]}`;
+    const when = tableInput.conditions.filter(condition => rule.when[condition.name] !== null)
+      .map(condition => `${condition.name}=${formatDecisionValue(rule.when[condition.name])}`);
+
+    testCases[section].push({
+      id: nextCaseId(testCases, section, baseId),
+      title: `Rule ${rule.id}: ${when.length > 0 ? when.join(', ') : 'any conditions'} → ${taken.length > 0 ? taken.map(action =>
+        rule.then[action] === true ? action : `${action}: ${rule.then[action]}`).join(', ') : 'no action'}`,
+      type: section,
+      precondition: tableInput.conditions.map(condition => `${condition.name} is ${formatDecisionValue(values[condition.name])}` +
+        (dontCare.includes(condition.name) ? ' (any value)' : '')).join('; '),
+      steps: [
+        ...tableInput.conditions.map(condition => `Set ${condition.name} to ${formatDecisionValue(values[condition.name])}`),
+        `Evaluate ${subject}`,
+        ...tableInput.actions.map(action => rule.then[action] === false ? `Verify ${action} is not applied` : `Verify ${describeAction(action)}`)
+      ],
+      expected_result: taken.length > 0
+        ? `${taken.map(describeAction).join('; ')}${taken.length < tableInput.actions.length
+          ? `; ${tableInput.actions.filter(action => !taken.includes(action)).join(', ')} not applied` : ''}`
+        : `No action is applied (${tableInput.actions.join(', ') || 'none defined'})`,
+      test_data: {
+        rule: rule.id,
+        ...(rule.merged_from ? { merged_from: rule.merged_from } : {}),
+        conditions: values,
+        ...(dontCare.length > 0 ? { dont_care: dontCare } : {}),
+        expected_actions: rule.then
+      },
+      priority: rule.priority ? normalizeRequirementPriority(rule.priority) || 'Medium' : section === 'positive' ? 'High' : 'Medium'
+    });
+  }
+
+  return testCases;
+}
+
+// Every valid transition (positive), every event a state does not accept and every guard that does not hold (negative),
+// and the shortest transition sequence from the initial state into each lockout state (edge). A counter guard such as
+// "attempts >= 5" on top of a self-loop repeats that event, and the sequence one event short is a boundary case
+function generateStateMachineTestCases(machine, baseId) {
+  const testCases = {
+    positive: [],
+    negative: [],
+    boundary: [],
+    edge: []
+  };
+  const paths = findStatePaths(machine);
+  const setup = (state) => paths[state] ? { setup_events: paths[state].map(transition => transition.event) } : {};
+  const inState = (state) => `System is in state "${state}"`;
+  const lockout = new Set(machine.lockout_states);
+
+  for (const transition of machine.transitions) {
+    const { from, event, to, guard, action } = transition;
+    testCases.positive.push({
+      id: nextCaseId(testCases, 'positive', baseId),
+      title: `${event} in "${from}" ${from === to ? 'stays in' : 'moves to'} "${to}"${guard ? ` when ${guard}` : ''}`,
+      type: 'positive',
+      precondition: `${inState(from)}${guard ? ` and ${guard}` : ''}`,
+      steps: [
+        `Trigger ${event}`,
+        `Verify state is "${to}"`,
+        ...(action ? [`Verify ${action}`] : [])
+      ],
+      expected_result: `${from === to ? `State stays "${from}"` : `State changes from "${from}" to "${to}"`}${action ? ` and ${action}` : ''}`,
+      test_data: { from, event, to, ...(guard ? { guard } : {}), ...(action ? { action } : {}), ...setup(from) },
+      priority: from === to ? 'Medium' : 'High'
+    });
+
+    // A guard with no other transition for the same event means the event must be refused when it is false
+    const alternatives = machine.transitions.filter(other => other !== transition && other.from === from && other.event === event);
+    if (guard && alternatives.length === 0) {
+      testCases.negative.push({
+        id: nextCaseId(testCases, 'negative', baseId),
+        title: `${event} in "${from}" is refused when ${guard} does not hold`,
+        type: 'negative',
+        precondition: `${inState(from)} and ${guard} does not hold`,
+        steps: [
+          `Trigger ${event}`,
+          `Verify the event is rejected`,
+          `Verify state is still "${from}"`
+        ],
+        expected_result: `${event} is rejected and the state stays "${from}"`,
+        test_data: { state: from, event, guard, guard_holds: false, expected_state: from, ...setup(from) },
+        priority: 'High'
+      });
+    }
+  }
+
+  for (const state of machine.states) {
+    const accepted = new Set(machine.transitions.filter(transition => transition.from === state).map(transition => transition.event));
+    for (const event of machine.events.filter(candidate => !accepted.has(candidate))) {
+      testCases.negative.push({
+        id: nextCaseId(testCases, 'negative', baseId),
+        title: `${event} is not allowed in "${state}"`,
+        type: 'negative',
+        precondition: inState(state),
+        steps: [
+          `Trigger ${event}`,
+          `Verify the event is rejected or ignored`,
+          `Verify state is still "${state}"`
+        ],
+        expected_result: `${event} has no effect in "${state}"; the state stays "${state}"`,
+        test_data: { state, event, expected_state: state, ...setup(state) },
+        priority: lockout.has(state) ? 'High' : 'Medium'
+      });
+    }
+  }
+
+  for (const transition of machine.transitions.filter(candidate => lockout.has(candidate.to) && candidate.from !== candidate.to)) {
+    if (!paths[transition.from]) {
+      continue;
+    }
+    const { counter, repeats, steps } = expandCounterGuard(machine, transition);
+    const sequence = [...paths[transition.from], ...steps];
+    const switches = sequence.length - 1;
+    const precondition = `${inState(machine.initial)}${counter ? ` and ${counter} is 0` : ''}`;
+
+    testCases.edge.push({
+      id: nextCaseId(testCases, 'edge', baseId),
+      title: `${switches}-switch sequence into "${transition.to}": ${describeEventSequence(sequence)}`,
+      type: 'edge',
+      precondition,
+      steps: [
+        ...sequence.map(step => `Trigger ${step.event} and verify state is "${step.to}"`),
+        `Verify state is "${transition.to}"`
+      ],
+      expected_result: `After ${sequence.length} event(s) the state is "${transition.to}"`,
+      test_data: {
+        start: machine.initial,
+        events: sequence.map(step => step.event),
+        states: [machine.initial, ...sequence.map(step => step.to)],
+        expected_state: transition.to,
+        switches
+      },
+      priority: 'High'
+    });
+
+    if (repeats > 0) {
+      const short = sequence.slice(0, -1);
+      testCases.boundary.push({
+        id: nextCaseId(testCases, 'boundary', baseId),
+        title: `One ${transition.event} short of "${transition.to}": ${describeEventSequence(short)}`,
+        type: 'boundary',
+        precondition,
+        steps: [
+          ...short.map(step => `Trigger ${step.event} and verify state is "${step.to}"`),
+          `Verify state is still "${transition.from}"`
+        ],
+        expected_result: `${transition.guard} is not reached yet; the state stays "${transition.from}"`,
+        test_data: {
+          start: machine.initial,
+          events: short.map(step => step.event),
+          states: [machine.initial, ...short.map(step => step.to)],
+          expected_state: transition.from,
+          switches: short.length - 1
+        },
+        priority: 'High'
+      });
+    }
+  }
+
+  return testCases;
+}
+
+// "login_failed ×4, login_failed" reads as "login_failed ×5"
+function describeEventSequence(sequence) {
+  const groups = [];
+  for (const { event } of sequence) {
+    const last = groups[groups.length - 1];
+    if (last && last.event === event) {
+      last.count++;
+    } else {
+      groups.push({ event, count: 1 });
+    }
+  }
+  return groups.map(({ event, count }) => count > 1 ? `${event} ×${count}` : event).join(' → ');
+}
+
+// One allow (positive) or deny (negative) case for every role × resource action, run with that role's account
+function generatePermissionMatrixTestCases(matrixInput, baseId) {
+  const testCases = {
+    positive: [],
+    negative: [],
+    boundary: [],
+    edge: []
+  };
+  return addPermissionTestCases(testCases, matrixInput, baseId);
+}
+
+function addPermissionTestCases(testCases, matrix, baseId) {
+  for (const resource of matrix.resources) {
+    for (const action of resource.actions) {
+      for (const role of matrix.roles) {
+        const allowed = action.allowed.includes(role.name);
+        const section = allowed ? 'positive' : 'negative';
+        const account = role.user || `${role.name.toLowerCase().replace(/[^a-z0-9]+/g, '_')}@example.com`;
+        const target = withArticle(resource.name);
+        const isRead = PERMISSION_READ_ACTIONS.test(action.name);
+
+        testCases[section].push({
+          id: nextCaseId(testCases, section, baseId),
+          title: `${capitalize(role.name)} ${allowed ? 'can' : 'cannot'} ${action.name} ${resource.name}`,
+          type: section,
+          precondition: role.precondition || `User is logged in as ${withArticle(role.name)} (${account})`,
+          steps: allowed
+            ? [
+              `Log in as ${withArticle(role.name)}`,
+              `${capitalize(action.name)} ${target}`,
+              `Verify the ${action.name} succeeds`
+            ]
+            : [
+              `Log in as ${withArticle(role.name)}`,
+              `Attempt to ${action.name} ${target}`,
+              'Verify access is denied (403 Forbidden, or the action is hidden/disabled)',
+              isRead ? `Verify no ${resource.name} data is returned` : `Verify the ${resource.name} is not changed`
+            ],
+          expected_result: allowed
+            ? `${capitalize(role.name)} is allowed to ${action.name} ${resource.name}`
+            : `${capitalize(role.name)} cannot ${action.name} ${resource.name}: access is denied and nothing is ${isRead ? 'disclosed' : 'changed'}`,
+          test_data: {
+            role: role.name,
+            user: account,
+            resource: resource.name,
+            action: action.name,
+            permission: allowed ? 'allow' : 'deny',
+            ...(role.data ? { data: role.data } : {})
+          },
+          // Missing denials are access-control holes, so they rank above the allowed paths
+          priority: allowed ? 'Medium' : 'High'
+        });
+      }
+    }
+  }
+
+  return testCases;
+}
+
+// Helper functions
+function extractMainAction(content) {
+  const actionWords = ['login', 'register', 'create', 'update', 'delete', 'submit', 'save', 'search', 'view', 'access'];
+  const lowerContent = content.toLowerCase();
+  
+  for (const word of actionWords) {
+    if (lowerContent.includes(word)) {
+      return word;
+    }
+  }
+  return 'perform action';
+}
+
+function extractMainFeature(content) {
+  const featureWords = ['authentication', 'authorization', 'validation', 'processing', 'display', 'storage', 'communication'];
+  const lowerContent = content.toLowerCase();
+  
+  for (const word of featureWords) {
+    if (lowerContent.includes(word)) {
+      return word;
+    }
+  }
+  return 'feature';
+}
+
+// Test data engine
+// Fields are described with JSON Schema keywords; plain type descriptors ("string", "email")
+// and sample values are converted to the same shape so every generator sees one model.
+const TYPE_DESCRIPTORS = {
+  string: { type: 'string' },
+  text: { type: 'string' },
+  number: { type: 'number' },
+  float: { type: 'number' },
+  double: { type: 'number' },
+  decimal: { type: 'number' },
+  integer: { type: 'integer' },
+  int: { type: 'integer' },
+  boolean: { type: 'boolean' },
+  bool: { type: 'boolean' },
+  email: { type: 'string', format: 'email' },
+  date: { type: 'string', format: 'date' },
+  datetime: { type: 'string', format: 'date-time' },
+  'date-time': { type: 'string', format: 'date-time' },
+  uuid: { type: 'string', format: 'uuid' },
+  url: { type: 'string', format: 'uri' },
+  uri: { type: 'string', format: 'uri' },
+  password: { type: 'string', format: 'password' },
+  array: { type: 'array' },
+  object: { type: 'object' }
+};
+
+const SCHEMA_KEYWORDS = ['type', 'format', 'enum', 'minLength', 'maxLength', 'minimum', 'maximum',
+  'exclusiveMinimum', 'exclusiveMaximum', 'pattern', 'items', 'properties', 'required', 'nullable',
+  'example', 'default', 'minItems', 'maxItems'];
+
+const SPECIAL_CHARACTERS = '!@#$%^&*()_+-=[]{}|;:,.<>?';
+
+// Formats with a known invalid value (int32, binary, ... are only type hints)
+const VALIDATED_FORMATS = ['email', 'date', 'date-time', 'uuid', 'uri', 'url', 'password'];
+
+function buildFieldModel(apiInput) {
+  const request = apiInput.request || {};
+  let schema = apiInput.schema;
+
+  // The request itself may be written as a JSON Schema object
+  if (!schema && isJsonSchema(request) && request.properties) {
+    schema = request;
+  }
+
+  const fields = describeChildren(schema || request, Boolean(schema), request, '', 0);
+
+  // Query parameters kept apart from the body (Postman URLs) are located like OpenAPI "in: query" fields
+  const queryFields = Object.entries(apiInput.query || {})
+    .filter(([name]) => !fields.some(field => field.name === name))
+    .map(([name, value]) => ({ ...describeField(name, value, true, undefined, '', 0), in: 'query' }));
+
+  return [...queryFields, ...fields];
+}
+
+// Describe the properties of an object schema, or the keys of a plain request object
+function describeChildren(spec, isSchema, sample, parentPath, depth) {
+  if (isSchema) {
+    const required = Array.isArray(spec.required) ? spec.required : [];
+    return Object.entries(spec.properties || {}).map(([name, fieldSchema]) =>
+      describeField(name, fieldSchema, required.includes(name) || fieldSchema.required === true,
+        sample && typeof sample === 'object' ? sample[name] : undefined, parentPath, depth));
+  }
+
+  const fields = Object.entries(spec || {}).map(([name, value]) =>
+    describeField(name, value, undefined, undefined, parentPath, depth));
+  const hasRequiredInfo = fields.some(field => field.required !== undefined);
+
+  // Without any required information every field is treated as required (QA assumption)
+  return fields.map(field => ({ ...field, required: hasRequiredInfo ? Boolean(field.required) : true }));
+}
+
+function describeField(name, spec, required, sample, parentPath = '', depth = 0) {
+  let schema;
+  let childSpec = null;
+  let childrenAreSchema = false;
+  let itemSpec;
+
+  if (typeof spec === 'string' && TYPE_DESCRIPTORS[spec.toLowerCase()]) {
+    schema = { ...TYPE_DESCRIPTORS[spec.toLowerCase()] };
+  } else if (isJsonSchema(spec)) {
+    schema = mergeAllOf(spec);
+    if (typeof schema.type === 'string' && TYPE_DESCRIPTORS[schema.type.toLowerCase()]) {
+      schema = { ...TYPE_DESCRIPTORS[schema.type.toLowerCase()], ...schema, type: TYPE_DESCRIPTORS[schema.type.toLowerCase()].type };
+    }
+    if (required === undefined && typeof spec.required === 'boolean') {
+      required = spec.required;
+    }
+    if (schema.properties) {
+      childSpec = schema;
+      childrenAreSchema = true;
+    }
+    itemSpec = schema.items;
+  } else {
+    schema = inferSchemaFromSample(spec);
+    sample = spec;
+    if (spec && typeof spec === 'object' && !Array.isArray(spec)) {
+      childSpec = spec;
+    }
+    if (Array.isArray(spec) && spec.length > 0) {
+      itemSpec = spec[0];
+    }
+  }
+
+  if (Array.isArray(schema.type)) {
+    schema.nullable = schema.nullable || schema.type.includes('null');
+    schema.type = schema.type.find(type => type !== 'null');
+  }
+  if (!schema.type) {
+    schema.type = schema.properties ? 'object' : Array.isArray(schema.enum) ? typeof schema.enum[0] : 'string';
+  }
+
+  // Common field names carry an implicit format when none is declared
+  if (schema.type === 'string' && !schema.format && !schema.enum && !schema.pattern) {
+    if (/password/i.test(name)) {
+      schema.format = 'password';
+    } else if (/e-?mail/i.test(name)) {
+      schema.format = 'email';
+    }
+  }
+
+  // Nested paths use dot notation, array items use "[]" (e.g. items[].sku)
+  const path = name === '[]' ? `${parentPath}[]` : parentPath ? `${parentPath}.${name}` : name;
+
+  const field = {
+    name,
+    path,
+    ...schema,
+    required,
+    sample: sample !== undefined ? sample : schema.example
+  };
+
+  if (depth < 6) {
+    if (field.type === 'object' && childSpec) {
+      field.fields = describeChildren(childSpec, childrenAreSchema, sample, path, depth + 1);
+    }
+    if (field.type === 'array' && itemSpec !== undefined) {
+      field.itemField = describeField('[]', itemSpec, true, Array.isArray(sample) ? sample[0] : undefined, path, depth + 1);
+    }
+  }
+
+  return field;
+}
+
+function flattenFields(fields) {
+  const flat = [];
+  for (const field of fields) {
+    flat.push(field);
+    if (field.fields) {
+      flat.push(...flattenFields(field.fields));
+    }
+    if (field.itemField) {
+      flat.push(...flattenFields([field.itemField]));
+    }
+  }
+  return flat;
+}
+
+// Paths like "items[].sku" address the first array element
+function parseFieldPath(path) {
+  const segments = [];
+  for (const part of path.split('.')) {
+    const [key, ...rest] = part.split('[]');
+    if (key) {
+      segments.push(key);
+    }
+    rest.forEach(() => segments.push(0));
+  }
+  return segments;
+}
+
+function setAtPath(data, path, value) {
+  const segments = parseFieldPath(path);
+  let node = data;
+  for (const segment of segments.slice(0, -1)) {
+    if (node[segment] === null || typeof node[segment] !== 'object') {
+      return data;
+    }
+    node = node[segment];
+  }
+  node[segments[segments.length - 1]] = value;
+  return data;
+}
+
+function deleteAtPath(data, path) {
+  const segments = parseFieldPath(path);
+  let node = data;
+  for (const segment of segments.slice(0, -1)) {
+    if (node[segment] === null || typeof node[segment] !== 'object') {
+      return data;
+    }
+    node = node[segment];
+  }
+  delete node[segments[segments.length - 1]];
+  return data;
+}
+
+function isJsonSchema(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return false;
+  }
+
+  // A plain object may simply have a "type" key (e.g. an address type), so the value must be a known type
+  const knownType = (type) => typeof type === 'string' && (TYPE_DESCRIPTORS[type.toLowerCase()] || type === 'null');
+  return Boolean(knownType(value.type) || (Array.isArray(value.type) && value.type.some(knownType)) ||
+    (value.properties && typeof value.properties === 'object') || Array.isArray(value.enum) || Array.isArray(value.allOf));
+}
+
+function inferSchemaFromSample(value) {
+  if (value === null || value === undefined) {
+    return { type: 'string', nullable: true };
+  }
+  if (Array.isArray(value)) {
+    return { type: 'array', items: value.length > 0 ? inferSchemaFromSample(value[0]) : {} };
+  }
+  if (typeof value === 'object') {
+    return { type: 'object' };
+  }
+  if (typeof value === 'number') {
+    return { type: Number.isInteger(value) ? 'integer' : 'number' };
+  }
+  if (typeof value === 'boolean') {
+    return { type: 'boolean' };
+  }
+  if (QA_ASSUMPTIONS.email.validFormat.test(value)) {
+    return { type: 'string', format: 'email' };
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return { type: 'string', format: 'date' };
+  }
+  return { type: 'string' };
+}
+
+function getNumericLimits(field) {
+  const step = field.type === 'integer' ? 1 : 0.01;
+  let min = field.minimum;
+  let max = field.maximum;
+
+  // Draft 6+ uses numeric exclusive limits, OpenAPI 3.0 / draft 4 uses booleans
+  if (typeof field.exclusiveMinimum === 'number') min = field.exclusiveMinimum + step;
+  else if (field.exclusiveMinimum === true && min !== undefined) min += step;
+  if (typeof field.exclusiveMaximum === 'number') max = field.exclusiveMaximum - step;
+  else if (field.exclusiveMaximum === true && max !== undefined) max -= step;
+
+  return {
+    min: min !== undefined ? min : QA_ASSUMPTIONS.number.min,
+    max: max !== undefined ? max : QA_ASSUMPTIONS.number.max,
+    declared: field.minimum !== undefined || field.maximum !== undefined ||
+      field.exclusiveMinimum !== undefined || field.exclusiveMaximum !== undefined,
+    step
+  };
+}
+
+function getLengthLimits(field) {
+  const minDefault = field.format === 'password' ? QA_ASSUMPTIONS.password.minLength : QA_ASSUMPTIONS.string.minLength;
+  return {
+    min: field.minLength !== undefined ? field.minLength : minDefault,
+    max: field.maxLength !== undefined ? field.maxLength : QA_ASSUMPTIONS.string.maxLength,
+    declared: field.minLength !== undefined || field.maxLength !== undefined
+  };
+}
+
+function matchesPattern(field, value) {
+  if (!field.pattern) {
+    return true;
+  }
+  try {
+    return new RegExp(field.pattern).test(value);
+  } catch {
+    return true;
+  }
+}
+
+function getValidValue(field) {
+  if (field.type === 'object' && field.fields) {
+    return getValidTestData(field.fields);
+  }
+  if (field.type === 'array' && field.itemField) {
+    return Array.from({ length: Math.max(field.minItems || 0, 1) }, () => getValidValue(field.itemField));
+  }
+  if (field.sample !== undefined && field.sample !== null && !(typeof field.sample === 'string' && TYPE_DESCRIPTORS[field.sample.toLowerCase()])) {
+    return field.sample;
+  }
+  if (field.default !== undefined) return field.default;
+  if (Array.isArray(field.enum) && field.enum.length > 0) return field.enum[0];
+
+  switch (field.type) {
+    case 'integer': {
+      const { min, max } = getNumericLimits(field);
+      return Math.min(Math.max(Math.ceil(min), 1), Math.floor(max));
+    }
+    case 'number': {
+      const { min, max } = getNumericLimits(field);
+      return Math.min(Math.max(min, 1.5), max);
+    }
+    case 'boolean':
+      return true;
+    case 'array':
+      return [];
+    case 'object':
+      return {};
+    default:
+      return getValidString(field);
+  }
+}
+
+function getValidString(field) {
+  const { min, max } = getLengthLimits(field);
+  const fit = (value) => {
+    if (value.length < min) value = value + 'a'.repeat(min - value.length);
+    return value.slice(0, Math.max(max, 0));
+  };
+
+  const byFormat = {
+    email: 'user@example.com',
+    date: '2024-01-15',
+    'date-time': '2024-01-15T10:30:00Z',
+    uuid: '123e4567-e89b-12d3-a456-426614174000',
+    uri: 'https://example.com',
+    url: 'https://example.com',
+    password: 'P@ssw0rd123'
+  };
+
+  if (byFormat[field.format]) {
+    return byFormat[field.format];
+  }
+
+  if (field.pattern) {
+    // Try a few common shapes before falling back to a plain value
+    const candidates = ['abc123', 'abc', 'ABC', '123', 'A1b2C3', 'user_01', 'abc-def', '2024-01-15', 'user@example.com', 'ABC-123'];
+    const match = candidates.map(fit).find(candidate => matchesPattern(field, candidate));
+    if (match) {
+      return match;
+    }
+  }
+
+  return fit(`valid_${field.name}`.replace(/[^a-zA-Z0-9_]/g, '_'));
+}
+
+function getWrongTypeValue(field) {
+  switch (field.type) {
+    case 'integer':
+    case 'number':
+      return 'not_a_number';
+    case 'boolean':
+      return 'not_a_boolean';
+    case 'array':
+      return 'not_an_array';
+    case 'object':
+      return 'not_an_object';
+    default:
+      return 12345;
+  }
+}
+
+function getInvalidFormatValue(field) {
+  if (Array.isArray(field.enum) && field.enum.length > 0) {
+    return typeof field.enum[0] === 'number' ? Math.max(...field.enum) + 1 : 'INVALID_ENUM_VALUE';
+  }
+
+  switch (field.format) {
+    case 'email': return QA_ASSUMPTIONS.email.invalidFormats[0];
+    case 'date': return '2024-13-45';
+    case 'date-time': return '2024-01-15 25:61';
+    case 'uuid': return 'not-a-uuid';
+    case 'uri':
+    case 'url': return 'not a url';
+    // Long enough, but misses the uppercase/number/special requirements
+    case 'password': return 'password';
+  }
+
+  if (field.pattern) {
+    const candidates = ['!!invalid!!', ' ', 'INVALID VALUE 123', '0'];
+    const mismatch = candidates.find(candidate => !matchesPattern(field, candidate));
+    if (mismatch !== undefined) {
+      return mismatch;
+    }
+  }
+
+  if (field.type === 'integer') {
+    return 1.5;
+  }
+
+  return getWrongTypeValue(field);
+}
+
+function getBoundaryValue(field, type) {
+  if (Array.isArray(field.enum) && field.enum.length > 0) {
+    return type === 'max' ? field.enum[field.enum.length - 1] : field.enum[0];
+  }
+
+  switch (field.type) {
+    case 'integer':
+    case 'number': {
+      const { min, max } = getNumericLimits(field);
+      return type === 'max' ? max : min;
+    }
+    case 'boolean':
+      return type === 'max';
+    case 'array':
+      // Item counts get their own per-path cases; here the items carry the boundary values
+      return field.itemField ? [getBoundaryValue(field.itemField, type)] : getValidValue(field);
+    case 'object':
+      return field.fields ? getBoundaryTestData(field.fields, type) : getValidValue(field);
+    default:
+      return getBoundaryString(field, type);
+  }
+}
+
+function getBoundaryString(field, type) {
+  const { min, max } = getLengthLimits(field);
+  const length = type === 'max' ? max : min;
+
+  switch (field.format) {
+    case 'email': {
+      const domain = '@example.com';
+      return length > domain.length ? 'a'.repeat(length - domain.length) + domain : 'a@b.co';
+    }
+    case 'date':
+      return type === 'max' ? '9999-12-31' : '1970-01-01';
+    case 'date-time':
+      return type === 'max' ? '9999-12-31T23:59:59Z' : '1970-01-01T00:00:00Z';
+    case 'uuid':
+      return type === 'max' ? 'ffffffff-ffff-ffff-ffff-ffffffffffff' : '00000000-0000-0000-0000-000000000000';
+    case 'password': {
+      const base = 'P@ssw0rd';
+      return length > base.length ? base + 'a'.repeat(length - base.length) : base.slice(0, Math.max(length, 0));
+    }
+  }
+
+  const value = 'a'.repeat(Math.max(length, 0));
+  return matchesPattern(field, value) ? value : getValidString(field);
+}
+
+// Exactly `length` characters, keeping the field's format where it fits
+function getStringOfLength(field, length) {
+  if (field.format === 'email' && length >= 6) {
+    const domain = length > 12 ? '@example.com' : '@b.co';
+    return 'a'.repeat(length - domain.length) + domain;
+  }
+  if (field.format === 'password' && length >= 8) {
+    return 'P@ssw0rd' + 'a'.repeat(length - 8);
+  }
+  return 'a'.repeat(length);
+}
+
+function getTooLongString(field) {
+  const length = getLengthLimits(field).max + 1;
+
+  if (field.format === 'email') {
+    const domain = '@example.com';
+    return 'a'.repeat(Math.max(length - domain.length, 1)) + domain;
+  }
+  if (field.format === 'password') {
+    return 'P@ssw0rd' + 'a'.repeat(Math.max(length - 8, 0));
+  }
+  return 'a'.repeat(length);
+}
+
+function getValidTestData(fields) {
+  const data = {};
+  for (const field of fields) {
+    data[field.name] = getValidValue(field);
+  }
+  return data;
+}
+
+function getBoundaryTestData(fields, type) {
+  const boundary = {};
+  for (const field of fields) {
+    boundary[field.name] = getBoundaryValue(field, type);
+  }
+  return boundary;
+}
+
+function getEdgeTestData(fields, type) {
+  const edge = {};
+  for (const field of fields) {
+    if (field.type === 'object' && field.fields && (type === 'special' || field.required)) {
+      edge[field.name] = getEdgeTestData(field.fields, type);
+    } else if (field.type === 'array' && field.itemField && (type === 'special' || field.required)) {
+      edge[field.name] = [getEdgeTestData([field.itemField], type)['[]']];
+    } else if (type === 'null') {
+      // Required fields stay valid so the case isolates optional-field handling
+      edge[field.name] = field.required ? getValidValue(field) : null;
+    } else if (type === 'special') {
+      const plainString = field.type === 'string' && !field.format && !field.enum && !field.pattern;
+      edge[field.name] = plainString ? SPECIAL_CHARACTERS : getValidValue(field);
+    }
+  }
+  return edge;
+}
+
+// Output validation
+// Problems found while reading the input (e.g. decision table conflicts), including every suite of a batch
+function getInputWarnings(input) {
+  return [
+    ...(input.warnings || []),
+    ...(input.inputs || []).flatMap(entry => getInputWarnings(entry).map(warning => entry.suite ? `${entry.suite}: ${warning}` : warning))
+  ];
+}
+
+// Input types whose generators fill only the sections their source describes; the three-cases minimum does not apply
+const MODEL_INPUT_TYPES = ['gherkin', 'requirements', 'html_form', 'db_schema', 'graphql', 'decision_table', 'state_machine', 'permission_matrix'];
+
+function isModelInput(input) {
+  return input.inputs ? input.inputs.length > 0 && input.inputs.every(isModelInput)
+    : MODEL_INPUT_TYPES.includes(input.type) || Boolean(input.type === 'user_story' && input.permissions);
+}
+
+// Every section must exist; the three-cases minimum is skipped for model-driven inputs (`modelDriven`)
+function validateOutput(testCases, warnings = [], options = {}) {
+  const requiredSections = ['positive', 'negative', 'boundary', 'edge'];
+  const requiredFields = ['id', 'title', 'type', 'precondition', 'steps', 'expected_result', 'test_data', 'priority'];
+  
+  const errors = [];
+  
+  // Check all sections exist
+  for (const section of requiredSections) {
+    if (!testCases[section] || !Array.isArray(testCases[section])) {
+      errors.push(`Missing or invalid section: ${section}`);
+    } else if (!options.modelDriven && testCases[section].length < 3) {
+      errors.push(`Section ${section} has less than 3 test cases`);
+    }
+  }
+  
+  // Check each test case has required fields
+  for (const [section, cases] of Object.entries(testCases)) {
+    if (Array.isArray(cases)) {
+      for (const [index, testCase] of cases.entries()) {
+        for (const field of requiredFields) {
+          if (!(field in testCase)) {
+            errors.push(`Section ${section}, case ${index + 1}: Missing field ${field}`);
+          }
+        }
+        
+        // Check steps are not empty
+        if (!testCase.steps || testCase.steps.length === 0) {
+          errors.push(`Section ${section}, case ${index + 1}: Steps array is empty`);
+        }
+      }
+    }
+  }
+  
+  return {
+    isValid: errors.length === 0,
+    errors,
+    ...(warnings.length > 0 ? { warnings } : {})
+  };
+}
+
+function summarizeTestCases(testCases) {
+  const summary = {
+    total_cases: Object.values(testCases).flat().length,
+    by_section: {
+      positive: testCases.positive.length,
+      negative: testCases.negative.length,
+      boundary: testCases.boundary.length,
+      edge: testCases.edge.length
+    }
+  };
+  if (testCases.security) {
+    summary.by_section.security = testCases.security.length;
+  }
+  if (testCases.combinatorial) {
+    summary.by_section.combinatorial = testCases.combinatorial.length;
+  }
+
+  // Multi-suite inputs (e.g. OpenAPI documents) also report per-suite counts
+  const bySuite = {};
+  for (const testCase of Object.values(testCases).flat()) {
+    if (testCase.suite) {
+      bySuite[testCase.suite] = (bySuite[testCase.suite] || 0) + 1;
+    }
+  }
+  if (Object.keys(bySuite).length > 0) {
+    summary.by_suite = bySuite;
+  }
+
+  return summary;
+}
+
+// File reading functions
+async function readRequirementFile(filePath, options = {}) {
+  try {
+    const absolutePath = resolvePath(filePath);
+    const stats = await stat(absolutePath);
+    
+    if (!stats.isFile()) {
+      throw new Error(`Path is not a file: ${absolutePath}`);
+    }
+    
+    const ext = extname(absolutePath).toLowerCase();
+    if (ext === '.doc') {
+      throw new Error('Legacy Word .doc (Word 97-2003) files are not supported; save the document as .docx and try again');
+    }
+    
+    // Spreadsheet rows are handed over as a structured requirement list (JSON), like a .json backlog
+    if (['.xlsx', '.xls', '.csv'].includes(ext)) {
+      const sheet = readRequirementSpreadsheet(await readFile(absolutePath), ext, options);
+      const content = JSON.stringify({ title: basename(absolutePath, ext), requirements: sheet.requirements }, null, 2);
+      return {
+        success: true,
+        path: absolutePath,
+        extension: ext,
+        size: stats.size,
+        content,
+        type: detectFileType(ext, content),
+        sheets: sheet.sheets,
+        column_mapping: sheet.column_mapping,
+        row_count: sheet.requirements.length
+      };
+    }
+    
+    // PDF pages are kept apart with "--- Page N ---" markers so requirements can cite their page
+    const pages = ext === '.pdf' ? extractPdfText(await readFile(absolutePath)) : null;
+    const content = pages
+      ? pages.map(page => `--- Page ${page.page} ---\n${page.text}`).join('\n\n')
+      : ext === '.docx'
+        ? extractDocxText(await readFile(absolutePath))
+        : await readFile(absolutePath, 'utf-8');
+    
+    return {
+      success: true,
+      path: absolutePath,
+      extension: ext,
+      size: stats.size,
+      content: content,
+      type: detectFileType(ext, content),
+      ...(pages ? { page_count: pages.length, pages } : {})
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      path: filePath
+    };
+  }
+}
+
+// Word (.docx) extraction
+// A .docx is a zip of WordprocessingML parts; word/document.xml is turned into markdown-like text
+// (headings as "#", list items as "-"/"1.", tables as "| a | b |") so the requirement parser can split it.
+function readZipEntries(buffer) {
+  let end = buffer.length - 22;
+  while (end >= 0 && buffer.readUInt32LE(end) !== 0x06054b50) {
+    end--;
+  }
+  if (end < 0) {
+    throw new Error('Not a valid zip archive');
+  }
+
+  const entries = {};
+  let offset = buffer.readUInt32LE(end + 16);
+  for (let i = buffer.readUInt16LE(end + 10); i > 0; i--) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('Corrupted zip central directory');
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    entries[name] = () => method === 8 ? inflateRawSync(data) : data;
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// numId -> level -> numFmt ("bullet", "decimal", ...) from word/numbering.xml
+function parseDocxNumbering(xml) {
+  const abstractFormats = {};
+  for (const [, id, body] of xml.matchAll(/<w:abstractNum\b[^>]*w:abstractNumId="(\d+)"[^>]*>([\s\S]*?)<\/w:abstractNum>/g)) {
+    abstractFormats[id] = {};
+    for (const [, level, format] of body.matchAll(/<w:lvl\b[^>]*w:ilvl="(\d+)"[^>]*>[\s\S]*?<w:numFmt\b[^>]*w:val="([^"]+)"/g)) {
+      abstractFormats[id][level] = format;
+    }
+  }
+
+  const formats = {};
+  for (const [, numId, abstractId] of xml.matchAll(/<w:num\b[^>]*w:numId="(\d+)"[^>]*>[\s\S]*?<w:abstractNumId\b[^>]*w:val="(\d+)"/g)) {
+    formats[numId] = abstractFormats[abstractId] || {};
+  }
+  return formats;
+}
+
+function extractDocxText(buffer) {
+  const entries = readZipEntries(buffer);
+  if (!entries['word/document.xml']) {
+    throw new Error('Not a Word document: word/document.xml is missing');
+  }
+  const xml = entries['word/document.xml']().toString('utf8');
+  const numbering = entries['word/numbering.xml'] ? parseDocxNumbering(entries['word/numbering.xml']().toString('utf8')) : {};
+
+  const lines = [];
+  const tables = [];
+  const counters = {};
+  let paragraph = null;
+  let inText = false;
+
+  const tag = /<(\/?)(w:p|w:tbl|w:tr|w:tc|w:t|w:tab|w:br|w:pStyle|w:ilvl|w:numId)\b([^>]*?)(\/?)>|([^<]+)/g;
+  for (const [, closing, name, attributes = '', selfClosing, text] of xml.matchAll(tag)) {
+    if (text !== undefined) {
+      if (inText && paragraph) {
+        paragraph.text += decodeXmlEntities(text);
+      }
+      continue;
+    }
+    const value = (attributes.match(/w:val="([^"]*)"/) || [])[1];
+    const table = tables[tables.length - 1];
+
+    if (name === 'w:t') {
+      inText = !closing && !selfClosing;
+    } else if (name === 'w:tab' && paragraph) {
+      paragraph.text += '\t';
+    } else if (name === 'w:br' && paragraph) {
+      paragraph.text += '\n';
+    } else if (name === 'w:pStyle' && paragraph) {
+      paragraph.style = value;
+    } else if (name === 'w:ilvl' && paragraph) {
+      paragraph.level = Number(value) || 0;
+    } else if (name === 'w:numId' && paragraph) {
+      paragraph.numId = value;
+    } else if (name === 'w:p' && !closing) {
+      paragraph = { text: '', style: '', level: 0, numId: null };
+      if (selfClosing) {
+        paragraph = null;
+      }
+    } else if (name === 'w:p' && closing && paragraph) {
+      const text = paragraph.text.trim();
+      if (table && table.cell) {
+        table.cell.push(text);
+      } else if (text) {
+        lines.push(formatDocxParagraph(paragraph, text, numbering, counters));
+      }
+      paragraph = null;
+    } else if (name === 'w:tbl') {
+      if (!closing) {
+        tables.push({ rows: [], row: null, cell: null });
+      } else {
+        const done = tables.pop();
+        const rendered = renderDocxTable(done.rows);
+        // Nested tables are flattened into the enclosing cell
+        if (tables.length > 0 && tables[tables.length - 1].cell) {
+          tables[tables.length - 1].cell.push(rendered.replace(/\n/g, ' '));
+        } else {
+          lines.push('', rendered, '');
+        }
+      }
+    } else if (name === 'w:tr' && table) {
+      table.row = closing ? (table.rows.push(table.row), null) : [];
+    } else if (name === 'w:tc' && table) {
+      table.cell = closing ? (table.row.push(table.cell.filter(Boolean).join(' ')), null) : [];
+    }
+  }
+
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+function formatDocxParagraph(paragraph, text, numbering, counters) {
+  const style = (paragraph.style || '').toLowerCase();
+  const heading = style.match(/^heading(\d)$/);
+  if (heading || style === 'title') {
+    return `\n${'#'.repeat(heading ? Math.min(Number(heading[1]), 6) : 1)} ${text}`;
+  }
+
+  if (paragraph.numId && paragraph.numId !== '0') {
+    const format = (numbering[paragraph.numId] || {})[paragraph.level] || 'bullet';
+    const indent = '  '.repeat(paragraph.level);
+    if (format === 'bullet' || format === 'none') {
+      return `${indent}- ${text}`;
+    }
+    // Restart deeper levels whenever a shallower item appears
+    const key = `${paragraph.numId}:${paragraph.level}`;
+    counters[key] = (counters[key] || 0) + 1;
+    for (const other of Object.keys(counters)) {
+      const [numId, level] = other.split(':');
+      if (numId === paragraph.numId && Number(level) > paragraph.level) {
+        delete counters[other];
+      }
+    }
+    return `${indent}${counters[key]}. ${text}`;
+  }
+
+  if (style.includes('list')) {
+    return `- ${text}`;
+  }
+  return text;
+}
+
+function renderDocxTable(rows) {
+  if (rows.length === 0) {
+    return '';
+  }
+  const width = Math.max(...rows.map(row => row.length));
+  const render = (row) => `| ${Array.from({ length: width }, (_, index) => (row[index] || '').replace(/\|/g, '\\|')).join(' | ')} |`;
+  return [render(rows[0]), `|${' --- |'.repeat(width)}`, ...rows.slice(1).map(render)].join('\n');
+}
+
+// PDF extraction
+// Pure JavaScript reader for text-based PDFs: objects (including object streams), Flate streams,
+// the page tree, fonts with ToUnicode CMaps and the text operators of each content stream.
+// Text runs are placed by their transformed position and re-assembled top-to-bottom, left-to-right.
+const PDF_WIN_ANSI = {
+  0x80: '€', 0x82: '‚', 0x84: '„', 0x85: '…', 0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”',
+  0x95: '•', 0x96: '–', 0x97: '—', 0x99: '™', 0xa0: ' '
+};
+const PDF_GLYPH_NAMES = {
+  bullet: '•', quoteleft: '‘', quoteright: '’', quotedblleft: '“', quotedblright: '”',
+  endash: '–', emdash: '—', ellipsis: '…', space: ' ', fi: 'fi', fl: 'fl'
+};
+// Sticky patterns keep tokenizing linear on large content streams
+const PDF_NAME_TOKEN = /\/[^\s/<>[\]()%{}]*/y;
+const PDF_WORD_TOKEN = /[^\s/<>[\]()%{}]+/y;
+
+function extractPdfText(buffer) {
+  const source = buffer.toString('latin1');
+  if (!source.startsWith('%PDF-')) {
+    throw new Error('Not a PDF file');
+  }
+  if (/\/Encrypt\s/.test(source)) {
+    throw new Error('Encrypted PDF files are not supported');
+  }
+
+  const objects = readPdfObjects(buffer, source);
+  const resolve = (value) => value && value.ref !== undefined ? resolve(objects.get(value.ref)?.value) : value;
+
+  const catalog = [...objects.values()].map(object => object.value).find(value => value && value.Type === '/Catalog');
+  if (!catalog) {
+    throw new Error('PDF catalog not found');
+  }
+
+  const pages = [];
+  const walk = (node, inherited) => {
+    node = resolve(node);
+    if (!node) {
+      return;
+    }
+    const resources = resolve(node.Resources) || inherited;
+    if (node.Type === '/Pages' || node.Kids) {
+      for (const kid of resolve(node.Kids) || []) {
+        walk(kid, resources);
+      }
+      return;
+    }
+    // /Contents is one stream or an array of streams
+    let contents = node.Contents;
+    if (contents?.ref !== undefined && !objects.get(contents.ref)?.stream) {
+      contents = resolve(contents);
+    }
+    const content = [].concat(contents || [])
+      .map(reference => (objects.get(reference?.ref)?.stream || Buffer.alloc(0)).toString('latin1'))
+      .join('\n');
+    const text = extractPdfPageText(content, getPdfFonts(resources, resolve, objects));
+    pages.push({ page: pages.length + 1, text });
+  };
+  walk(catalog.Pages, null);
 
-  return testCases;
+  if (!pages.some(page => page.text.trim())) {
+    throw new Error('No extractable text found in PDF (scanned or image-only documents are not supported)');
+  }
+  return pages;
 }
 
-// Helper functions
-function extractMainAction(content) {
-  const actionWords = ['login', 'register', 'create', 'update', 'delete', 'submit', 'save', 'search', 'view', 'access'];
-  const lowerContent = content.toLowerCase();
-  
-  for (const word of actionWords) {
-    if (lowerContent.includes(word)) {
-      return word;
+// Map of object number -> { value, stream }; later definitions (incremental updates) win
+function readPdfObjects(buffer, source) {
+  const objects = new Map();
+  const header = /(\d+)\s+\d+\s+obj\b/g;
+  let match;
+
+  while ((match = header.exec(source))) {
+    const { value, pos } = parsePdfValue(source, match.index + match[0].length);
+    const object = { value };
+    const streamStart = source.slice(pos, pos + 20).match(/^\s*stream\r?\n/);
+
+    if (streamStart && value && typeof value === 'object') {
+      const dataStart = pos + streamStart[0].length;
+      // Trust /Length only when it lands on "endstream" (it may also be an indirect reference)
+      const length = typeof value.Length === 'number' ? value.Length : -1;
+      let dataEnd = source.indexOf('endstream', dataStart);
+      if (dataEnd < 0) {
+        dataEnd = source.length;
+      }
+      if (length >= 0 && /^\s*endstream/.test(source.slice(dataStart + length, dataStart + length + 12))) {
+        dataEnd = dataStart + length;
+      } else if (source[dataEnd - 1] === '\n') {
+        dataEnd -= source[dataEnd - 2] === '\r' ? 2 : 1;
+      }
+      object.stream = decodePdfStream(buffer.subarray(dataStart, dataEnd), value);
+      header.lastIndex = dataEnd;
     }
+    objects.set(Number(match[1]), object);
   }
-  return 'perform action';
+
+  // PDF 1.5+ packs most dictionaries into object streams
+  for (const object of [...objects.values()]) {
+    if (object.value?.Type === '/ObjStm' && object.stream) {
+      const data = object.stream.toString('latin1');
+      const first = object.value.First;
+      const offsets = data.slice(0, first).trim().split(/\s+/).map(Number);
+      for (let i = 0; i + 1 < offsets.length; i += 2) {
+        if (!objects.has(offsets[i])) {
+          objects.set(offsets[i], { value: parsePdfValue(data, first + offsets[i + 1]).value });
+        }
+      }
+    }
+  }
+  return objects;
 }
 
-function extractMainFeature(content) {
-  const featureWords = ['authentication', 'authorization', 'validation', 'processing', 'display', 'storage', 'communication'];
-  const lowerContent = content.toLowerCase();
-  
-  for (const word of featureWords) {
-    if (lowerContent.includes(word)) {
-      return word;
+function decodePdfStream(data, dictionary) {
+  const filters = [].concat(dictionary.Filter || []);
+  let result = data;
+  for (const filter of filters) {
+    if (filter === '/FlateDecode') {
+      try {
+        result = inflateSync(result);
+      } catch {
+        // Streams with a bad checksum or trailing garbage still inflate up to the damage
+        result = inflateSync(result, { finishFlush: zlibConstants.Z_SYNC_FLUSH });
+      }
+    } else if (filter === '/ASCIIHexDecode') {
+      result = Buffer.from(result.toString('latin1').replace(/[^0-9a-f]/gi, ''), 'hex');
+    } else {
+      // Image and other filters carry no text
+      return Buffer.alloc(0);
     }
   }
-  return 'feature';
+  return result;
 }
 
-function getInvalidTestData(request) {
-  const invalid = {};
-  for (const [key, value] of Object.entries(request)) {
-    if (typeof value === 'string') {
-      invalid[key] = 123; // Wrong type
-    } else if (typeof value === 'number') {
-      invalid[key] = 'not_a_number';
-    } else if (typeof value === 'boolean') {
-      invalid[key] = 'not_a_boolean';
+// Minimal PDF object syntax: dictionaries, arrays, names, numbers, strings, references
+function parsePdfValue(text, pos) {
+  const skip = () => {
+    while (pos < text.length) {
+      if (/\s/.test(text[pos])) {
+        pos++;
+      } else if (text[pos] === '%') {
+        while (pos < text.length && text[pos] !== '\n' && text[pos] !== '\r') {
+          pos++;
+        }
+      } else {
+        break;
+      }
+    }
+  };
+  skip();
+  const char = text[pos];
+
+  if (text.startsWith('<<', pos)) {
+    const dictionary = {};
+    pos += 2;
+    for (skip(); !text.startsWith('>>', pos) && pos < text.length; skip()) {
+      const key = parsePdfValue(text, pos);
+      const entry = parsePdfValue(text, key.pos);
+      dictionary[String(key.value).slice(1)] = entry.value;
+      pos = entry.pos;
+    }
+    return { value: dictionary, pos: pos + 2 };
+  }
+  if (char === '[') {
+    const array = [];
+    pos++;
+    for (skip(); text[pos] !== ']' && pos < text.length; skip()) {
+      const item = parsePdfValue(text, pos);
+      array.push(item.value);
+      pos = item.pos;
     }
+    return { value: array, pos: pos + 1 };
   }
-  return invalid;
+  if (char === '(') {
+    return readPdfLiteralString(text, pos);
+  }
+  if (char === '<') {
+    // An unterminated hex string runs to the end of the input
+    const close = text.indexOf('>', pos);
+    const end = close >= 0 ? close : text.length;
+    const hex = text.slice(pos + 1, end).replace(/\s/g, '');
+    return { value: { str: Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex').toString('latin1') }, pos: end + 1 };
+  }
+  if (char === '/') {
+    PDF_NAME_TOKEN.lastIndex = pos;
+    const name = PDF_NAME_TOKEN.exec(text)[0];
+    return { value: name.replace(/#([0-9a-f]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16))), pos: pos + name.length };
+  }
+
+  const reference = text.slice(pos, pos + 24).match(/^(\d+)\s+(\d+)\s+R\b/);
+  if (reference) {
+    return { value: { ref: Number(reference[1]) }, pos: pos + reference[0].length };
+  }
+  const number = text.slice(pos, pos + 32).match(/^[+-]?(\d+\.?\d*|\.\d+)/);
+  if (number) {
+    return { value: Number(number[0]), pos: pos + number[0].length };
+  }
+  PDF_WORD_TOKEN.lastIndex = pos;
+  const word = PDF_WORD_TOKEN.exec(text);
+  if (word) {
+    const keywords = { true: true, false: false, null: null };
+    return { value: word[0] in keywords ? keywords[word[0]] : { op: word[0] }, pos: pos + word[0].length };
+  }
+  return { value: null, pos: pos + 1 };
 }
 
-function getBoundaryTestData(request, type) {
-  const boundary = {};
-  for (const [key, value] of Object.entries(request)) {
-    if (typeof value === 'string') {
-      boundary[key] = type === 'max' ? 'a'.repeat(QA_ASSUMPTIONS.string.maxLength) : 'a';
-    } else if (typeof value === 'number') {
-      boundary[key] = type === 'max' ? QA_ASSUMPTIONS.number.max : QA_ASSUMPTIONS.number.min;
+function readPdfLiteralString(text, pos) {
+  const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+  let depth = 0;
+  let value = '';
+  for (pos++; pos < text.length; pos++) {
+    const char = text[pos];
+    if (char === '\\') {
+      const next = text[++pos];
+      if (/[0-7]/.test(next)) {
+        const octal = text.slice(pos, pos + 3).match(/^[0-7]{1,3}/)[0];
+        value += String.fromCharCode(parseInt(octal, 8) & 0xff);
+        pos += octal.length - 1;
+      } else if (next === '\r' || next === '\n') {
+        if (next === '\r' && text[pos + 1] === '\n') {
+          pos++;
+        }
+      } else {
+        value += escapes[next] || next;
+      }
+    } else if (char === '(') {
+      depth++;
+      value += char;
+    } else if (char === ')') {
+      if (depth === 0) {
+        return { value: { str: value }, pos: pos + 1 };
+      }
+      depth--;
+      value += char;
+    } else {
+      value += char;
     }
   }
-  return boundary;
+  return { value: { str: value }, pos };
 }
 
-function getEdgeTestData(request, type) {
-  const edge = {};
-  for (const [key, value] of Object.entries(request)) {
-    if (type === 'null') {
-      edge[key] = null;
-    } else if (type === 'special') {
-      edge[key] = typeof value === 'string' ? '!@#$%^&*()_+-=[]{}|;:,.<>?' : value;
+// Font resource name -> decoder turning raw string bytes into Unicode text
+function getPdfFonts(resources, resolve, objects) {
+  const fonts = {};
+  const fontDictionary = resolve(resolve(resources)?.Font) || {};
+
+  for (const [name, reference] of Object.entries(fontDictionary)) {
+    const font = resolve(reference) || {};
+    const toUnicode = font.ToUnicode && objects.get(font.ToUnicode.ref)?.stream;
+    const cmap = toUnicode ? parsePdfCMap(toUnicode.toString('latin1')) : null;
+    const codeLength = cmap ? cmap.codeLength : font.Subtype === '/Type0' ? 2 : 1;
+
+    const differences = {};
+    const encoding = resolve(font.Encoding);
+    let code = 0;
+    for (const entry of (encoding && resolve(encoding.Differences)) || []) {
+      if (typeof entry === 'number') {
+        code = entry;
+      } else {
+        const glyph = String(entry).slice(1);
+        differences[code++] = PDF_GLYPH_NAMES[glyph] || (glyph.length === 1 ? glyph : /^uni([0-9A-F]{4})$/.test(glyph) ? String.fromCharCode(parseInt(glyph.slice(3), 16)) : undefined);
+      }
     }
+
+    fonts[name] = (raw) => {
+      let text = '';
+      for (let i = 0; i < raw.length; i += codeLength) {
+        let charCode = 0;
+        for (let j = 0; j < codeLength; j++) {
+          charCode = (charCode << 8) | (raw.charCodeAt(i + j) || 0);
+        }
+        if (cmap && cmap.map[charCode] !== undefined) {
+          text += cmap.map[charCode];
+        } else if (codeLength === 1) {
+          text += differences[charCode] ?? PDF_WIN_ANSI[charCode] ?? String.fromCharCode(charCode);
+        }
+      }
+      return text;
+    };
   }
-  return edge;
+  return fonts;
 }
 
-// Output validation
-function validateOutput(testCases) {
-  const requiredSections = ['positive', 'negative', 'boundary', 'edge'];
-  const requiredFields = ['id', 'title', 'type', 'precondition', 'steps', 'expected_result', 'test_data', 'priority'];
-  
-  const errors = [];
-  
-  // Check all sections exist
-  for (const section of requiredSections) {
-    if (!testCases[section] || !Array.isArray(testCases[section])) {
-      errors.push(`Missing or invalid section: ${section}`);
-    } else if (testCases[section].length < 3) {
-      errors.push(`Section ${section} has less than 3 test cases`);
+function parsePdfCMap(text) {
+  const map = {};
+  const unicode = (hex) => {
+    const bytes = Buffer.from(hex, 'hex');
+    let value = '';
+    for (let i = 0; i + 1 < bytes.length; i += 2) {
+      value += String.fromCharCode(bytes.readUInt16BE(i));
+    }
+    return value;
+  };
+  const codeSpace = text.match(/begincodespacerange\s*<([0-9a-f]+)>/i);
+
+  for (const [, body] of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const [, source, target] of body.matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]*)>/gi)) {
+      map[parseInt(source, 16)] = unicode(target);
     }
   }
-  
-  // Check each test case has required fields
-  for (const [section, cases] of Object.entries(testCases)) {
-    if (Array.isArray(cases)) {
-      for (const [index, testCase] of cases.entries()) {
-        for (const field of requiredFields) {
-          if (!(field in testCase)) {
-            errors.push(`Section ${section}, case ${index + 1}: Missing field ${field}`);
-          }
-        }
-        
-        // Check steps are not empty
-        if (!testCase.steps || testCase.steps.length === 0) {
-          errors.push(`Section ${section}, case ${index + 1}: Steps array is empty`);
+  for (const [, body] of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const [, low, high, target, list] of body.matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]+)>\s*(?:<([0-9a-f]+)>|\[([^\]]*)\])/gi)) {
+      const start = parseInt(low, 16);
+      const end = parseInt(high, 16);
+      if (list !== undefined) {
+        [...list.matchAll(/<([0-9a-f]*)>/gi)].forEach(([, hex], index) => {
+          map[start + index] = unicode(hex);
+        });
+      } else {
+        const base = unicode(target);
+        for (let code = start; code <= end && code - start < 65536; code++) {
+          map[code] = base.slice(0, -1) + String.fromCharCode(base.charCodeAt(base.length - 1) + code - start);
         }
       }
     }
   }
-  
-  return {
-    isValid: errors.length === 0,
-    errors
+  return { map, codeLength: codeSpace ? codeSpace[1].length / 2 : 1 };
+}
+
+function multiplyPdfMatrix(m, n) {
+  return [
+    m[0] * n[0] + m[1] * n[2], m[0] * n[1] + m[1] * n[3],
+    m[2] * n[0] + m[3] * n[2], m[2] * n[1] + m[3] * n[3],
+    m[4] * n[0] + m[5] * n[2] + n[4], m[4] * n[1] + m[5] * n[3] + n[5]
+  ];
+}
+
+function extractPdfPageText(content, fonts) {
+  const runs = [];
+  const stack = [];
+  let ctm = [1, 0, 0, 1, 0, 0];
+  let textMatrix = [1, 0, 0, 1, 0, 0];
+  let lineMatrix = textMatrix;
+  let font = null;
+  let fontSize = 12;
+  let leading = 0;
+  let moved = true;
+  let operands = [];
+
+  const moveLine = (tx, ty) => {
+    lineMatrix = multiplyPdfMatrix([1, 0, 0, 1, tx, ty], lineMatrix);
+    textMatrix = lineMatrix;
+    moved = true;
+  };
+  const show = (text) => {
+    if (!text) {
+      return;
+    }
+    // Consecutive shows without repositioning continue the same run
+    if (!moved && runs.length > 0) {
+      runs[runs.length - 1].text += text;
+      return;
+    }
+    const matrix = multiplyPdfMatrix(textMatrix, ctm);
+    const size = Math.abs(fontSize * Math.hypot(matrix[2], matrix[3])) || fontSize;
+    runs.push({ x: matrix[4], y: matrix[5], size, text, order: runs.length });
+    moved = false;
   };
+  const decode = (value) => value && value.str !== undefined ? (font ? font(value.str) : value.str) : '';
+
+  for (let pos = 0; pos < content.length;) {
+    const token = parsePdfValue(content, pos);
+    // Every token must move forward, or a malformed stream would spin forever
+    if (token.pos <= pos) {
+      throw new Error(`Malformed PDF content stream at offset ${pos}`);
+    }
+    pos = token.pos;
+    const value = token.value;
+    if (!value || value.op === undefined) {
+      operands.push(value);
+      continue;
+    }
+
+    switch (value.op) {
+      case 'q': stack.push(ctm); break;
+      case 'Q': ctm = stack.pop() || [1, 0, 0, 1, 0, 0]; moved = true; break;
+      case 'cm': ctm = multiplyPdfMatrix(operands.slice(-6), ctm); break;
+      case 'BT': textMatrix = lineMatrix = [1, 0, 0, 1, 0, 0]; moved = true; break;
+      case 'Tf': font = fonts[String(operands[operands.length - 2]).slice(1)] || null; fontSize = operands[operands.length - 1] || fontSize; break;
+      case 'TL': leading = operands[operands.length - 1]; break;
+      case 'Td': moveLine(operands[operands.length - 2], operands[operands.length - 1]); break;
+      case 'TD': leading = -operands[operands.length - 1]; moveLine(operands[operands.length - 2], operands[operands.length - 1]); break;
+      case 'Tm': textMatrix = lineMatrix = operands.slice(-6); moved = true; break;
+      case 'T*': moveLine(0, -leading); break;
+      case 'Tj': show(decode(operands[operands.length - 1])); break;
+      case "'": moveLine(0, -leading); show(decode(operands[operands.length - 1])); break;
+      case '"': moveLine(0, -leading); show(decode(operands[operands.length - 1])); break;
+      case 'TJ': {
+        // Large negative kerning inside TJ is a word gap
+        const parts = operands[operands.length - 1] || [];
+        show(parts.map(part => typeof part === 'number' ? (part < -200 ? ' ' : '') : decode(part)).join(''));
+        break;
+      }
+      case 'BI': {
+        // Inline image data can contain anything; skip to EI
+        const data = content.indexOf('ID', pos);
+        const end = data >= 0 ? content.indexOf('EI', data) : -1;
+        pos = end >= 0 ? end + 2 : content.length;
+        break;
+      }
+      default:
+        break;
+    }
+    operands = [];
+  }
+
+  return layoutPdfRuns(runs);
 }
 
-// File reading functions
-async function readRequirementFile(filePath) {
-  try {
-    const absolutePath = resolvePath(filePath);
-    const stats = await stat(absolutePath);
-    
-    if (!stats.isFile()) {
-      throw new Error(`Path is not a file: ${absolutePath}`);
+// Group runs into lines by baseline, then order lines top-down and runs left-to-right
+function layoutPdfRuns(runs) {
+  const lines = [];
+  for (const run of [...runs].sort((a, b) => b.y - a.y || a.order - b.order)) {
+    const line = lines.find(candidate => Math.abs(candidate.y - run.y) <= Math.max(2, run.size * 0.4));
+    if (line) {
+      line.runs.push(run);
+    } else {
+      lines.push({ y: run.y, size: run.size, runs: [run] });
     }
-    
-    const content = await readFile(absolutePath, 'utf-8');
-    const ext = extname(absolutePath).toLowerCase();
-    
-    return {
-      success: true,
-      path: absolutePath,
-      extension: ext,
-      size: stats.size,
-      content: content,
-      type: detectFileType(ext, content)
-    };
-  } catch (error) {
-    return {
-      success: false,
-      error: error.message,
-      path: filePath
-    };
   }
+  lines.sort((a, b) => b.y - a.y);
+
+  const output = [];
+  let previous = null;
+  for (const line of lines) {
+    let text = '';
+    let end = null;
+    for (const run of line.runs.sort((a, b) => a.x - b.x || a.order - b.order)) {
+      const gap = end === null ? 0 : run.x - end;
+      if (end !== null && gap > run.size * 0.15 && !/\s$/.test(text) && !/^\s/.test(run.text)) {
+        text += ' ';
+      }
+      text += run.text;
+      // Glyph widths aren't read; half the font size per character is close enough for spacing
+      end = run.x + run.text.length * run.size * 0.5;
+    }
+    if (previous && previous.y - line.y > Math.max(previous.size, line.size) * 1.9) {
+      output.push('');
+    }
+    output.push(text.replace(/\s+$/, ''));
+    previous = line;
+  }
+  return output.join('\n').replace(/\n{3,}/g, '\n\n').trim();
 }
 
 function resolvePath(filePath) {
@@ -558,6 +6830,15 @@ function resolvePath(filePath) {
 function detectFileType(extension, content) {
   const ext = extension.toLowerCase();
   
+  // API contracts are recognised before the generic JSON/YAML types
+  if (['.json', '.yml', '.yaml'].includes(ext) && isOpenApiText(content)) {
+    return 'openapi';
+  }
+  
+  if (ext === '.json' && content.includes('schema.getpostman.com')) {
+    return 'postman';
+  }
+  
   // Check for common requirement file types
   if (['.md', '.markdown'].includes(ext)) {
     return 'markdown';
@@ -583,6 +6864,26 @@ function detectFileType(extension, content) {
     return 'pdf';
   }
   
+  if (ext === '.feature') {
+    return 'gherkin';
+  }
+  
+  if (['.html', '.htm'].includes(ext)) {
+    return 'html';
+  }
+  
+  if (ext === '.sql') {
+    return 'sql';
+  }
+  
+  if (['.graphql', '.graphqls', '.gql'].includes(ext)) {
+    return 'graphql';
+  }
+  
+  if (['.xlsx', '.xls', '.csv'].includes(ext)) {
+    return 'spreadsheet';
+  }
+  
   // Try to detect by content
   if (content.includes('As a') && content.includes('I want') && content.includes('So that')) {
     return 'user_story';
@@ -613,7 +6914,7 @@ async function scanRequirementDirectory(directoryPath, options = {}) {
     };
     
     const supportedExtensions = options.extensions || [
-      '.md', '.txt', '.json', '.yml', '.yaml', '.doc', '.docx', '.pdf'
+      '.md', '.txt', '.json', '.yml', '.yaml', '.doc', '.docx', '.pdf', '.feature', '.html', '.htm', '.sql', '.graphql', '.gql', '.xlsx', '.xls', '.csv'
     ];
     
     for (const file of files) {
@@ -658,8 +6959,21 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           type: 'object',
           properties: {
             input: {
-              type: ['string', 'object'],
-              description: 'Input can be: User Story text, API spec object, or raw requirement text'
+              type: ['string', 'object', 'array'],
+              description: 'Input can be: User Story text, API spec object, OpenAPI 3.x / Swagger 2 document (JSON or YAML), Postman collection v2.1, HTML form markup, SQL CREATE TABLE statements, GraphQL SDL, a decision table ({ "decision_table": { conditions, actions, rules } } or a markdown table), a state machine ({ "state_machine": { states, initial, events, transitions } }), a permission matrix ({ "permissions": { roles, resources } }, also accepted next to a user story), or raw requirement text. Pass an array of inputs or an object of named specs ({ "login": {...}, "register": {...} }) to generate one suite per input in a single call and workbook'
+            },
+            include_security: {
+              type: 'boolean',
+              description: 'Add a security section with injection payload cases for API inputs (default: false)',
+              default: false
+            },
+            security_payloads: {
+              type: 'object',
+              description: 'Extra payloads per category, e.g. { "xss": ["<iframe src=javascript:alert(1)>"] }; new categories are injected into every string field'
+            },
+            combinatorial: {
+              type: ['boolean', 'object'],
+              description: 'Add a combinatorial section for API inputs: each field is split into valid and invalid equivalence classes and an all-pairs covering set is generated. Pass { "strength": 3, "max_cases": 100 } for n-wise coverage (strength 1-3) or a case limit; the tuple coverage reached is reported under `combinatorial`'
             },
             auto_export_excel: {
               type: 'boolean',
@@ -677,13 +6991,21 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: 'read_requirement_file',
-        description: 'Read requirement file from local filesystem (supports .md, .txt, .json, .yml, .yaml, .doc, .docx, .pdf)',
+        description: 'Read requirement file from local filesystem (supports .md, .txt, .json, .yml, .yaml, .doc, .docx, .pdf, .feature, .html, .sql, .graphql, .xlsx, .csv)',
         inputSchema: {
           type: 'object',
           properties: {
             file_path: {
               type: 'string',
               description: 'Path to requirement file (relative or absolute)'
+            },
+            column_mapping: {
+              type: 'object',
+              description: 'Spreadsheet (.xlsx/.csv) columns by requirement field: header text or column letter, e.g. { "id": "Req #", "title": "Summary", "description": "C", "acceptance_criteria": "AC", "priority": "MoSCoW" }. Unmapped fields are found by common header names'
+            },
+            sheet: {
+              type: 'string',
+              description: 'Spreadsheet sheet to import (default: every sheet with a title or description column)'
             }
           },
           required: ['file_path']
@@ -702,8 +7024,8 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             extensions: {
               type: 'array',
               items: { type: 'string' },
-              description: 'File extensions to scan for (default: .md, .txt, .json, .yml, .yaml, .doc, .docx, .pdf)',
-              default: ['.md', '.txt', '.json', '.yml', '.yaml', '.doc', '.docx', '.pdf']
+              description: 'File extensions to scan for (default: .md, .txt, .json, .yml, .yaml, .doc, .docx, .pdf, .feature, .html, .htm, .sql, .graphql, .gql, .xlsx, .xls, .csv)',
+              default: ['.md', '.txt', '.json', '.yml', '.yaml', '.doc', '.docx', '.pdf', '.feature', '.html', '.htm', '.sql', '.graphql', '.gql', '.xlsx', '.xls', '.csv']
             }
           },
           required: ['directory_path']
@@ -718,6 +7040,27 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             file_path: {
               type: 'string',
               description: 'Path to requirement file'
+            },
+            include_security: {
+              type: 'boolean',
+              description: 'Add a security section with injection payload cases for API inputs (default: false)',
+              default: false
+            },
+            security_payloads: {
+              type: 'object',
+              description: 'Extra payloads per category, e.g. { "xss": ["<iframe src=javascript:alert(1)>"] }; new categories are injected into every string field'
+            },
+            combinatorial: {
+              type: ['boolean', 'object'],
+              description: 'Add a combinatorial section for API inputs: each field is split into valid and invalid equivalence classes and an all-pairs covering set is generated. Pass { "strength": 3, "max_cases": 100 } for n-wise coverage (strength 1-3) or a case limit; the tuple coverage reached is reported under `combinatorial`'
+            },
+            column_mapping: {
+              type: 'object',
+              description: 'Spreadsheet (.xlsx/.csv) columns by requirement field: header text or column letter, e.g. { "id": "Req #", "title": "Summary", "description": "C", "acceptance_criteria": "AC", "priority": "MoSCoW" }. Unmapped fields are found by common header names'
+            },
+            sheet: {
+              type: 'string',
+              description: 'Spreadsheet sheet to import (default: every sheet with a title or description column)'
             }
           },
           required: ['file_path']
@@ -786,10 +7129,15 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       const normalizedInput = normalizeInput(args.input);
       
       // Step 2: Generate test cases
-      let testCases = generateTestCases(normalizedInput);
+      const combinatorialReports = [];
+      let testCases = generateTestCases(normalizedInput, {
+        includeSecurity: args.include_security === true,
+        securityPayloads: args.security_payloads,
+        combinatorial: getCombinatorialOptions(args.combinatorial, combinatorialReports)
+      });
       
       // Step 3: Validate output
-      const validation = validateOutput(testCases);
+      const validation = validateOutput(testCases, getInputWarnings(normalizedInput), { modelDriven: isModelInput(normalizedInput) });
       
       if (!validation.isValid) {
         console.error('Output validation failed:', validation.errors);
@@ -821,19 +7169,15 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
             text: JSON.stringify({
               success: true,
               input_type: normalizedInput.type,
+              ...(normalizedInput.type === 'batch'
+                ? { suites: normalizedInput.inputs.map(input => ({ suite: input.suite, input_type: input.type })) }
+                : {}),
               validation: validation,
               test_cases: testCases,
+              ...(combinatorialReports.length > 0 ? { combinatorial: combinatorialReports } : {}),
               excel_export: excelExport,
               auto_export_enabled: autoExportExcel,
-              summary: {
-                total_cases: Object.values(testCases).flat().length,
-                by_section: {
-                  positive: testCases.positive.length,
-                  negative: testCases.negative.length,
-                  boundary: testCases.boundary.length,
-                  edge: testCases.edge.length
-                }
-              }
+              summary: summarizeTestCases(testCases)
             }, null, 2)
           }
         ]
@@ -856,7 +7200,10 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
   if (name === 'read_requirement_file') {
     try {
-      const result = await readRequirementFile(args.file_path);
+      const result = await readRequirementFile(args.file_path, {
+        columnMapping: args.column_mapping,
+        sheet: args.sheet
+      });
       
       return {
         content: [
@@ -915,7 +7262,10 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
   if (name === 'generate_test_cases_from_file') {
     try {
       // Step 1: Read the file
-      const fileResult = await readRequirementFile(args.file_path);
+      const fileResult = await readRequirementFile(args.file_path, {
+        columnMapping: args.column_mapping,
+        sheet: args.sheet
+      });
       
       if (!fileResult.success) {
         return {
@@ -931,14 +7281,19 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
       
-      // Step 2: Normalize input from file content
-      const normalizedInput = normalizeInput(fileResult.content);
+      // Step 2: Normalize input from file content (YAML is loaded into an object first, like JSON)
+      const normalizedInput = normalizeInput(fileResult.type === 'yaml' ? loadYamlContent(fileResult.content) : fileResult.content);
       
       // Step 3: Generate test cases
-      let testCases = generateTestCases(normalizedInput);
+      const combinatorialReports = [];
+      let testCases = generateTestCases(normalizedInput, {
+        includeSecurity: args.include_security === true,
+        securityPayloads: args.security_payloads,
+        combinatorial: getCombinatorialOptions(args.combinatorial, combinatorialReports)
+      });
       
       // Step 4: Validate output
-      const validation = validateOutput(testCases);
+      const validation = validateOutput(testCases, getInputWarnings(normalizedInput), { modelDriven: isModelInput(normalizedInput) });
       
       // Step 5: Return comprehensive result
       return {
@@ -956,15 +7311,8 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
               input_type: normalizedInput.type,
               validation: validation,
               test_cases: testCases,
-              summary: {
-                total_cases: Object.values(testCases).flat().length,
-                by_section: {
-                  positive: testCases.positive.length,
-                  negative: testCases.negative.length,
-                  boundary: testCases.boundary.length,
-                  edge: testCases.edge.length
-                }
-              }
+              ...(combinatorialReports.length > 0 ? { combinatorial: combinatorialReports } : {}),
+              summary: summarizeTestCases(testCases)
             }, null, 2)
           }
         ]
@@ -1037,12 +7385,9 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
               tests: result.tests,
               summary: {
                 total_tests: Object.values(result.tests).flat().length,
-                by_section: {
-                  positive: result.tests.positive ? result.tests.positive.length : 0,
-                  negative: result.tests.negative ? result.tests.negative.length : 0,
-                  boundary: result.tests.boundary ? result.tests.boundary.length : 0,
-                  edge: result.tests.edge ? result.tests.edge.length : 0
-                }
+                by_section: Object.fromEntries(TEST_SECTIONS
+                  .filter(section => !['security', 'combinatorial'].includes(section) || result.tests[section])
+                  .map(section => [section, result.tests[section] ? result.tests[section].length : 0]))
               }
             }, null, 2)
           }
@@ -1076,6 +7421,15 @@ async function exportToExcel(testCases, outputPath) {
     // Prepare data for Excel
     const excelData = [];
     
+    // Add test cases from all sections
+    const sections = TEST_SECTIONS;
+    const hasSuites = sections.some(section =>
+      Array.isArray(testCases[section]) && testCases[section].some(testCase => testCase.suite));
+    const hasRequirements = sections.some(section =>
+      Array.isArray(testCases[section]) && testCases[section].some(testCase => testCase.requirement_id));
+    const hasPages = sections.some(section =>
+      Array.isArray(testCases[section]) && testCases[section].some(testCase => testCase.page));
+    
     // Add header row
     excelData.push([
       'Test Case ID',
@@ -1086,30 +7440,42 @@ async function exportToExcel(testCases, outputPath) {
       'Steps',
       'Expected Result',
       'Test Data',
-      'Section'
+      'Section',
+      ...(hasSuites ? ['Suite'] : []),
+      ...(hasRequirements ? ['Requirement ID'] : []),
+      ...(hasPages ? ['Page'] : [])
     ]);
     
-    // Add test cases from all sections
-    const sections = ['positive', 'negative', 'boundary', 'edge'];
-    
+    const rows = [];
     sections.forEach(section => {
       if (testCases[section] && Array.isArray(testCases[section])) {
-        testCases[section].forEach(testCase => {
-          excelData.push([
-            testCase.id || '',
-            testCase.title || '',
-            testCase.type || '',
-            testCase.priority || '',
-            testCase.precondition || '',
-            Array.isArray(testCase.steps) ? testCase.steps.join('\n') : (testCase.steps || ''),
-            testCase.expected_result || '',
-            typeof testCase.test_data === 'object' ? JSON.stringify(testCase.test_data) : (testCase.test_data || ''),
-            section.charAt(0).toUpperCase() + section.slice(1)
-          ]);
-        });
+        testCases[section].forEach(testCase => rows.push({ section, testCase }));
       }
     });
     
+    // Keep each suite (operation, Postman folder/request) together in the sheet
+    if (hasSuites) {
+      const suiteOrder = [...new Set(rows.map(row => row.testCase.suite || ''))];
+      rows.sort((a, b) => suiteOrder.indexOf(a.testCase.suite || '') - suiteOrder.indexOf(b.testCase.suite || ''));
+    }
+    
+    rows.forEach(({ section, testCase }) => {
+      excelData.push([
+        testCase.id || '',
+        testCase.title || '',
+        testCase.type || '',
+        testCase.priority || '',
+        testCase.precondition || '',
+        Array.isArray(testCase.steps) ? testCase.steps.join('\n') : (testCase.steps || ''),
+        testCase.expected_result || '',
+        typeof testCase.test_data === 'object' ? JSON.stringify(testCase.test_data) : (testCase.test_data || ''),
+        section.charAt(0).toUpperCase() + section.slice(1),
+        ...(hasSuites ? [testCase.suite || ''] : []),
+        ...(hasRequirements ? [testCase.requirement_id || ''] : []),
+        ...(hasPages ? [testCase.page || ''] : [])
+      ]);
+    });
+    
     // Create worksheet
     const worksheet = XLSX.utils.aoa_to_sheet(excelData);
     
@@ -1123,13 +7489,57 @@ async function exportToExcel(testCases, outputPath) {
       { wch: 50 }, // Steps
       { wch: 40 }, // Expected Result
       { wch: 30 }, // Test Data
-      { wch: 12 }  // Section
+      { wch: 12 }, // Section
+      ...(hasSuites ? [{ wch: 30 }] : []), // Suite
+      ...(hasRequirements ? [{ wch: 15 }] : []), // Requirement ID
+      ...(hasPages ? [{ wch: 8 }] : []) // Page
     ];
     worksheet['!cols'] = colWidths;
     
     // Add worksheet to workbook
     XLSX.utils.book_append_sheet(workbook, worksheet, 'Test Cases');
     
+    // Multi-suite runs (batches, OpenAPI, Postman) get a per-suite overview
+    if (hasSuites) {
+      const presentSections = sections.filter(section => Array.isArray(testCases[section]));
+      const suiteRows = [...new Set(rows.map(row => row.testCase.suite || ''))].map(suite => {
+        const suiteCases = rows.filter(row => (row.testCase.suite || '') === suite);
+        return [
+          suite,
+          suiteCases.length,
+          ...presentSections.map(section => suiteCases.filter(row => row.section === section).length)
+        ];
+      });
+      const suiteSheet = XLSX.utils.aoa_to_sheet([
+        ['Suite', 'Total', ...presentSections.map(section => section.charAt(0).toUpperCase() + section.slice(1))],
+        ...suiteRows,
+        ['Total', rows.length, ...presentSections.map(section => testCases[section].length)]
+      ]);
+      suiteSheet['!cols'] = [{ wch: 40 }, { wch: 8 }, ...presentSections.map(() => ({ wch: 10 }))];
+      XLSX.utils.book_append_sheet(workbook, suiteSheet, 'Suites');
+    }
+    
+    // Role-based cases get the permission matrix they were generated from: one row per resource action, one column per role
+    const permissionRows = rows.filter(row => row.testCase.test_data && ['allow', 'deny'].includes(row.testCase.test_data.permission));
+    if (permissionRows.length > 0) {
+      const roles = [...new Set(permissionRows.map(row => row.testCase.test_data.role))];
+      const matrix = new Map();
+      for (const { testCase } of permissionRows) {
+        const { resource, action, role, permission } = testCase.test_data;
+        const key = JSON.stringify([testCase.suite || '', resource, action]);
+        matrix.set(key, { ...(matrix.get(key) || {}), [role]: permission === 'allow' ? 'Allow' : 'Deny' });
+      }
+      const matrixSheet = XLSX.utils.aoa_to_sheet([
+        [...(hasSuites ? ['Suite'] : []), 'Resource', 'Action', ...roles],
+        ...[...matrix].map(([key, cells]) => {
+          const [suite, resource, action] = JSON.parse(key);
+          return [...(hasSuites ? [suite] : []), resource, action, ...roles.map(role => cells[role] || '')];
+        })
+      ]);
+      matrixSheet['!cols'] = [...(hasSuites ? [{ wch: 30 }] : []), { wch: 20 }, { wch: 15 }, ...roles.map(() => ({ wch: 12 }))];
+      XLSX.utils.book_append_sheet(workbook, matrixSheet, 'Permission Matrix');
+    }
+    
     // Write file
     XLSX.writeFile(workbook, outputPath);
     
@@ -1171,7 +7581,7 @@ function generateAutomationTests(testCases, options = {}) {
   }
 
   // Generate test code for each section
-  const sections = ['positive', 'negative', 'boundary', 'edge'];
+  const sections = TEST_SECTIONS;
   
   sections.forEach(section => {
     if (testCases[section] && Array.isArray(testCases[section])) {
@@ -1217,25 +7627,40 @@ const helpers = {
 
 // Generate single test case code
 function generateSingleTest(testCase, framework, language, baseUrl) {
-  const { id, title, steps, expected_result, test_data, type } = testCase;
+  const { id, title, precondition, steps, expected_result, test_data, type } = testCase;
   
   if (framework === 'playwright' && language === 'javascript') {
-    return generatePlaywrightTest(id, title, steps, expected_result, test_data, type, baseUrl);
+    if (type === 'security' && test_data && test_data.category) {
+      return generatePlaywrightSecurityTest(title, precondition, test_data);
+    }
+    if (test_data && test_data.expected_status !== undefined && test_data.request) {
+      return generatePlaywrightStatusTest(title, precondition, test_data);
+    }
+    if (test_data && test_data.contract) {
+      return generatePlaywrightContractTest(title, precondition, test_data);
+    }
+    if (test_data && test_data.form) {
+      return generatePlaywrightFormTest(title, precondition, test_data);
+    }
+    if (test_data && test_data.graphql) {
+      return generatePlaywrightGraphQLTest(title, precondition, test_data);
+    }
+    return generatePlaywrightTest(id, title, precondition, steps, expected_result, test_data, type, baseUrl);
   }
   
   return `// Test generation not implemented for ${framework} with ${language}`;
 }
 
 // Generate Playwright test code
-function generatePlaywrightTest(id, title, steps, expectedResult, testData, type, baseUrl) {
+function generatePlaywrightTest(id, title, precondition, steps, expectedResult, testData, type, baseUrl) {
   const testName = title.replace(/[^a-zA-Z0-9]/g, ' ').trim().replace(/\s+/g, ' ');
   const testFunction = `test('${testName}', async ({ page }) => {`;
   
   let testCode = testFunction + '\n';
   
   // Add precondition comment if available
-  if (testCase.precondition) {
-    testCode += `  // Precondition: ${testCase.precondition}\n`;
+  if (precondition) {
+    testCode += `  // Precondition: ${precondition}\n`;
   }
   
   // Generate step code
@@ -1261,6 +7686,226 @@ function generatePlaywrightTest(id, title, steps, expectedResult, testData, type
   return testCode;
 }
 
+// Generate Playwright API test for a security case: every payload is sent and must be handled safely
+function generatePlaywrightSecurityTest(title, precondition, testData) {
+  const testName = title.replace(/[^a-zA-Z0-9]/g, ' ').trim().replace(/\s+/g, ' ');
+  const { category, field, method, endpoint } = testData;
+  const segments = field.replace(/\[\]/g, '.0').split('.').filter(Boolean);
+  // Requests without a body carry the payload in the query string
+  const dataOption = ['GET', 'DELETE', 'HEAD'].includes(String(method).toUpperCase()) ? 'params' : 'data';
+
+  let testCode = `test('${testName}', async ({ request }) => {\n`;
+  if (precondition) {
+    testCode += `  // Precondition: ${precondition}\n`;
+  }
+
+  if (category === 'header_injection') {
+    for (const payload of testData.manual_payloads || []) {
+      testCode += `  // Manual (raw socket): ${JSON.stringify(payload)} - HTTP clients refuse raw CR/LF in header values\n`;
+    }
+    testCode += `  const payloads = ${JSON.stringify(testData.payloads)};\n`;
+    testCode += `  for (const payload of payloads) {\n`;
+    testCode += `    const response = await request.fetch('${endpoint}', { method: '${method}', headers: { ${JSON.stringify(field)}: payload }, ${dataOption}: ${JSON.stringify(testData.request)} });\n`;
+    testCode += `    expect(response.status()).toBeLessThan(500);\n`;
+    testCode += `    expect(response.headers()['x-injected']).toBeUndefined();\n`;
+    testCode += `  }\n`;
+    return testCode + '});';
+  }
+
+  const payloadsCode = category === 'oversized_payload'
+    ? `['x'.repeat(${testData.payload_size})]`
+    : JSON.stringify(testData.payloads);
+  testCode += `  const payloads = ${payloadsCode};\n`;
+  testCode += `  for (const payload of payloads) {\n`;
+  testCode += `    const data = ${JSON.stringify(testData.request)};\n`;
+  testCode += `    let target = data;\n`;
+  testCode += `    for (const key of ${JSON.stringify(segments.slice(0, -1))}) target = target[key];\n`;
+  testCode += `    target[${JSON.stringify(segments[segments.length - 1])}] = payload;\n`;
+  testCode += `    const response = await request.fetch('${endpoint}', { method: '${method}', ${dataOption}: data });\n`;
+  if (category === 'oversized_payload') {
+    testCode += `    expect(${JSON.stringify(testData.expected_statuses || [413, 400])}).toContain(response.status());\n`;
+  } else {
+    testCode += `    expect(response.status()).toBeLessThan(500);\n`;
+    testCode += `    const body = await response.text();\n`;
+    testCode += `    expect(body).not.toMatch(/SQL syntax|ORA-\\d+|MongoError|Traceback|at \\S+ \\(/);\n`;
+    if (category === 'xss') {
+      testCode += `    expect(body).not.toContain(payload);\n`;
+    }
+  }
+  testCode += `  }\n`;
+  return testCode + '});';
+}
+
+// Generate Playwright API test for a response contract case
+function generatePlaywrightContractTest(title, precondition, testData) {
+  const testName = title.replace(/[^a-zA-Z0-9]/g, ' ').trim().replace(/\s+/g, ' ');
+  const { method, endpoint, request, contract } = testData;
+  // "items[].sku" is checked on the first element
+  const toPath = (path) => path.replace(/\[\]/g, '.0').replace(/^\./, '');
+
+  let testCode = `test('${testName}', async ({ request }) => {\n`;
+  if (precondition) {
+    testCode += `  // Precondition: ${precondition}\n`;
+  }
+  // Requests without a body carry the fields in the query string
+  const hasBody = !['GET', 'DELETE', 'HEAD'].includes(String(method).toUpperCase());
+  testCode += `  const response = await request.fetch(${JSON.stringify(endpoint)}, { method: ${JSON.stringify(method)}, ${hasBody ? 'data' : 'params'}: ${JSON.stringify(request)} });\n`;
+  testCode += `  expect(response.status()).toBe(${contract.status});\n`;
+  testCode += `  const body = await response.json();\n`;
+
+  for (const path of contract.required || []) {
+    testCode += `  expect(body).toHaveProperty(${JSON.stringify(toPath(path))});\n`;
+  }
+
+  const types = Object.entries(contract.types || {});
+  if (types.length > 0) {
+    testCode += `  const valueAt = (path) => path.split('.').reduce((node, key) => node?.[key], body);\n`;
+    for (const [path, type] of types) {
+      testCode += type === 'array'
+        ? `  expect(Array.isArray(valueAt(${JSON.stringify(toPath(path))}))).toBe(true);\n`
+        : `  expect(typeof valueAt(${JSON.stringify(toPath(path))})).toBe('${type}');\n`;
+    }
+  }
+
+  if (contract.forbidden && contract.forbidden.length > 0) {
+    testCode += `  const keys = JSON.stringify(body).match(/"[^"]+":/g) || [];\n`;
+    testCode += `  for (const name of ${JSON.stringify(contract.forbidden)}) {\n`;
+    testCode += `    expect(keys).not.toContain(\`"\${name}":\`);\n`;
+    testCode += `  }\n`;
+  }
+
+  return testCode + '});';
+}
+
+// Generate Playwright UI test for an HTML form case, using the locators read from the markup
+function generatePlaywrightFormTest(title, precondition, testData) {
+  const testName = title.replace(/[^a-zA-Z0-9]/g, ' ').trim().replace(/\s+/g, ' ');
+  const { form, values, expect: outcome } = testData;
+  // Radio groups match several elements; their validity is shared, so the first one is enough
+  const fieldLocator = (name) => form.fields[name].control === 'radio' ? `${form.fields[name].locator}.first()` : form.fields[name].locator;
+
+  let testCode = `test('${testName}', async ({ page }) => {\n`;
+  if (precondition) {
+    testCode += `  // Precondition: ${precondition}\n`;
+  }
+  testCode += `  await page.goto(${quoteJs(form.url || '/')});\n`;
+
+  for (const [name, value] of Object.entries(values)) {
+    const field = form.fields[name];
+    if (!field) {
+      continue;
+    }
+    if (field.control === 'checkbox') {
+      testCode += `  await ${field.locator}.${value ? 'check' : 'uncheck'}();\n`;
+    } else if (field.control === 'radio') {
+      testCode += value !== '' ? `  await ${(field.locators || {})[value] || field.locator}.check();\n` : '';
+    } else if (field.control === 'select') {
+      testCode += `  await ${field.locator}.selectOption(${quoteJs(value)});\n`;
+    } else if (field.control === 'file') {
+      testCode += value !== '' ? `  await ${field.locator}.setInputFiles(${quoteJs(value)});\n` : '';
+    } else if (name === testData.field && value !== '' && ['truncated', 'blocked'].includes(outcome)) {
+      // Typed key by key so maxlength and minlength apply as they do for a real user
+      testCode += `  await ${field.locator}.pressSequentially(${quoteJs(value)});\n`;
+    } else {
+      testCode += `  await ${field.locator}.fill(${quoteJs(value)});\n`;
+    }
+  }
+
+  const formIsValid = form.locator
+    ? `  expect(await ${form.locator}.evaluate(form => form.checkValidity())).toBe(true);\n`
+    : Object.keys(values).filter(name => form.fields[name])
+      .map(name => `  expect(await ${fieldLocator(name)}.evaluate(el => el.checkValidity())).toBe(true);\n`).join('');
+
+  switch (outcome) {
+    case 'blocked':
+      testCode += `  await ${form.submit}.click();\n`;
+      testCode += `  expect(await ${fieldLocator(testData.field)}.evaluate(el => el.validity.${testData.validity})).toBe(true);\n`;
+      break;
+    case 'truncated':
+      testCode += `  expect((await ${form.fields[testData.field].locator}.inputValue()).length).toBe(${testData.length});\n`;
+      break;
+    case 'rejected':
+      testCode += formIsValid;
+      testCode += `  await ${form.submit}.click();\n`;
+      testCode += `  // Server-side validation has to reject the values, so the form stays on screen\n`;
+      testCode += `  await expect(${fieldLocator(Object.keys(values)[0])}).toBeVisible();\n`;
+      break;
+    case 'submitted_once':
+      testCode += formIsValid;
+      testCode += `  let submissions = 0;\n`;
+      testCode += `  page.on('request', request => {\n`;
+      testCode += `    if (request.method() === '${form.method || 'GET'}' && request.url().includes(${quoteJs(form.action || '')})) submissions++;\n`;
+      testCode += `  });\n`;
+      testCode += `  await ${form.submit}.dblclick();\n`;
+      testCode += `  await page.waitForLoadState('networkidle');\n`;
+      testCode += `  expect(submissions).toBeLessThanOrEqual(1);\n`;
+      break;
+    default:
+      testCode += formIsValid;
+      testCode += `  await ${form.submit}.click();\n`;
+  }
+
+  return testCode + '});';
+}
+
+// Generate Playwright API test for a case with one request and its expected status (combinatorial, boundary values)
+function generatePlaywrightStatusTest(title, precondition, testData) {
+  const testName = title.replace(/[^a-zA-Z0-9]/g, ' ').trim().replace(/\s+/g, ' ');
+  const { method, endpoint, request, expected_status: status } = testData;
+
+  let testCode = `test('${testName}', async ({ request }) => {\n`;
+  if (precondition) {
+    testCode += `  // Precondition: ${precondition}\n`;
+  }
+  const hasBody = !['GET', 'DELETE', 'HEAD'].includes(String(method).toUpperCase());
+  testCode += `  const response = await request.fetch('${endpoint}', { method: '${method}', ${hasBody ? 'data' : 'params'}: ${JSON.stringify(request)} });\n`;
+  testCode += `  expect(response.status()).toBe(${status});\n`;
+
+  return testCode + '});';
+}
+
+// Generate Playwright API test for a GraphQL case: the payload is posted as-is
+function generatePlaywrightGraphQLTest(title, precondition, testData) {
+  const testName = title.replace(/[^a-zA-Z0-9]/g, ' ').trim().replace(/\s+/g, ' ');
+  const { graphql, expect: outcome } = testData;
+
+  let testCode = `test('${testName}', async ({ request }) => {\n`;
+  if (precondition) {
+    testCode += `  // Precondition: ${precondition}\n`;
+  }
+  testCode += `  const response = await request.post('${graphql.endpoint}', {\n`;
+  testCode += `    data: ${JSON.stringify({ query: graphql.query, variables: graphql.variables, operationName: graphql.operationName })}\n`;
+  testCode += `  });\n`;
+  testCode += `  const body = await response.json();\n`;
+
+  switch (outcome) {
+    case 'request_error':
+      // GraphQL over HTTP answers 200 with application/json and 400 with application/graphql-response+json
+      testCode += `  expect([200, 400]).toContain(response.status());\n`;
+      testCode += `  expect(body.errors?.length).toBeGreaterThan(0);\n`;
+      testCode += `  expect(body.errors.map(error => error.message).join('\\n')).toMatch(${new RegExp(testData.error_message.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i')});\n`;
+      testCode += `  expect(body.data ?? null).toBeNull();\n`;
+      break;
+    case 'accepted':
+      testCode += `  expect(response.status()).toBeLessThan(500);\n`;
+      testCode += `  expect(JSON.stringify(body.errors || [])).not.toMatch(/got invalid value|cannot represent/i);\n`;
+      break;
+    case 'field_error':
+      testCode += `  expect(response.status()).toBe(200);\n`;
+      testCode += `  expect(body.errors?.[0]?.path).toEqual(${JSON.stringify(testData.error_path)});\n`;
+      testCode += testData.data_null
+        ? `  expect(body.data).toBeNull();\n`
+        : `  expect(body.data.${testData.field}).toBeNull();\n`;
+      break;
+    default:
+      testCode += `  expect(response.status()).toBe(200);\n`;
+      testCode += `  expect(body.errors).toBeUndefined();\n`;
+      testCode += `  expect(body.data).toHaveProperty(${JSON.stringify(testData.field)});\n`;
+  }
+
+  return testCode + '});';
+}
+
 // Convert test step to Playwright code
 function convertStepToPlaywright(step, testData, testType) {
   const stepLower = step.toLowerCase();
@@ -1366,4 +8011,4 @@ main().catch((error) => {
 });
 
 // Export functions for testing
-export { generateAutomationTests, exportToExcel };
\ No newline at end of file
+export { normalizeInput, generateTestCases, validateOutput, isModelInput, generateAutomationTests, exportToExcel };
\ No newline at end of file
@@ -0,0 +1,424 @@
+#!/usr/bin/env node
+
+import assert from 'assert';
+import vm from 'vm';
+import { readFileSync } from 'fs';
+import { normalizeInput, generateTestCases, generateAutomationTests } from './index.js';
+
+// Regression checks for the API importers and generators: each spec is normalized and generated from,
+// and the resulting cases and scripts are checked for the behaviour the feature promised
+const checks = [];
+const check = (name, fn) => checks.push({ name, fn });
+const allCases = (testCases) => Object.values(testCases).flat();
+const findCase = (cases, title) => cases.find(testCase => testCase.title === title);
+const titles = (cases) => cases.map(testCase => testCase.title);
+
+const petStore = {
+  openapi: '3.0.0',
+  info: { title: 'Pets', version: '1.0' },
+  paths: {
+    '/pets': {
+      get: {
+        operationId: 'listPets',
+        parameters: [
+          { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 100 } },
+          { name: 'status', in: 'query', required: true, schema: { type: 'string', enum: ['available', 'sold'] } }
+        ],
+        responses: { 200: { description: 'ok' } }
+      },
+      post: {
+        requestBody: { required: true, content: { 'application/json': { schema: { $ref: '#/components/schemas/Pet' } } } },
+        responses: { 201: { description: 'created' }, 422: { description: 'bad' } }
+      }
+    },
+    '/pets/{petId}': {
+      parameters: [{ name: 'petId', in: 'path', required: true, schema: { type: 'integer' } }],
+      delete: { responses: { 204: { description: 'gone' } } }
+    }
+  },
+  components: {
+    schemas: {
+      Pet: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string', maxLength: 50 },
+          email: { type: 'string', format: 'email' }
+        }
+      }
+    }
+  }
+};
+
+const withPostSchema = (schema) => ({
+  ...petStore,
+  paths: {
+    '/pets': {
+      post: { requestBody: { content: { 'application/json': { schema } } }, responses: { 201: { description: 'created' } } }
+    }
+  }
+});
+
+// OpenAPI
+check('OpenAPI spec becomes one suite per operation', () => {
+  const input = normalizeInput(petStore);
+  assert.strictEqual(input.type, 'openapi');
+  assert.deepStrictEqual(input.operations.map(operation => operation.suite), ['GET /pets', 'POST /pets', 'DELETE /pets/{petId}']);
+  assert.ok(allCases(generateTestCases(input)).length > 0);
+});
+
+check('OpenAPI local $ref is resolved into the request schema', () => {
+  const post = normalizeInput(petStore).operations[1];
+  assert.strictEqual(post.schema.properties.name.maxLength, 50);
+  assert.deepStrictEqual(post.schema.required, ['name']);
+});
+
+check('OpenAPI external or unresolvable $ref is reported instead of becoming raw text', () => {
+  assert.throws(() => normalizeInput(withPostSchema({ $ref: 'other.yaml#/User' })), /Only local \$ref/);
+  assert.throws(() => normalizeInput(withPostSchema({ $ref: '#/components/schemas/Nope' })), /Unresolvable \$ref/);
+  assert.throws(() => normalizeInput(withPostSchema({ $ref: '#/components/schemas/constructor' })), /Unresolvable \$ref/);
+});
+
+check('Input that no detector recognises still becomes raw text', () => {
+  assert.strictEqual(normalizeInput('{"foo": 1}').type, 'raw_text');
+  assert.strictEqual(normalizeInput('42').type, 'raw_text');
+  assert.strictEqual(normalizeInput(null).type, 'raw_text');
+});
+
+// Postman
+const postmanCollection = (...item) => ({
+  info: { name: 'Shop', schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json' },
+  item
+});
+
+check('Postman collection becomes one suite per request with its folder path', () => {
+  const input = normalizeInput(postmanCollection({
+    name: 'Orders',
+    item: [{ name: 'Create order', request: { method: 'POST', url: '{{baseUrl}}/api/orders', body: { mode: 'raw', raw: '{"sku":"A1","qty":2}' } } }]
+  }));
+  assert.strictEqual(input.type, 'postman');
+  const [operation] = input.operations;
+  assert.strictEqual(operation.suite, 'Orders / Create order');
+  assert.strictEqual(operation.endpoint, '/api/orders');
+  assert.ok(allCases(generateTestCases(input)).length > 0);
+});
+
+check('Postman raw URL with an unencoded "%" and "=" in a value', () => {
+  const input = normalizeInput(postmanCollection(
+    { name: 'Discount', request: { method: 'GET', url: 'https://api.shop.test/api/orders?discount=50%&token=a=b&q=red%20shoes' } }
+  ));
+  const [operation] = input.operations;
+  assert.strictEqual(operation.endpoint, '/api/orders');
+  assert.deepStrictEqual(operation.query, { discount: '50%', token: 'a=b', q: 'red shoes' });
+});
+
+check('Postman query parameters stay apart from the body and are located as query fields', () => {
+  const input = normalizeInput(postmanCollection({
+    name: 'Create order',
+    request: { method: 'POST', url: 'https://api.shop.test/api/orders?dryRun=true', body: { mode: 'raw', raw: '{"sku":"A1"}' } }
+  }));
+  const [operation] = input.operations;
+  assert.deepStrictEqual(operation.query, { dryRun: 'true' });
+  assert.deepStrictEqual(operation.request, { sku: 'A1' });
+  const testCases = generateTestCases(operation);
+  assert.ok(allCases(testCases).some(testCase => testCase.title.includes('dryRun')));
+});
+
+// Test data from type descriptors and JSON Schema constraints
+const signup = {
+  type: 'api',
+  endpoint: '/users',
+  method: 'POST',
+  schema: {
+    type: 'object',
+    required: ['name', 'age'],
+    properties: {
+      name: { type: 'string', minLength: 2, maxLength: 5 },
+      age: { type: 'integer', minimum: 18, maximum: 99 },
+      nickname: { type: 'string' }
+    }
+  }
+};
+
+check('Type descriptors in sample-api.json get data of their own type', () => {
+  const testCases = generateTestCases(normalizeInput(readFileSync('./sample-api.json', 'utf8')));
+  const wrongType = (field) => testCases.negative.find(testCase => testCase.test_data.field === field && testCase.test_data.fault === 'wrong_type');
+  assert.strictEqual(wrongType('username').test_data.request.username, 12345);
+  assert.strictEqual(wrongType('remember_me').test_data.request.remember_me, 'not_a_boolean');
+  assert.strictEqual(testCases.positive[0].test_data.remember_me, true);
+});
+
+check('JSON Schema length and range limits give boundary values on both sides', () => {
+  const { boundary } = generateTestCases(signup);
+  assert.strictEqual(findCase(boundary, 'POST /users with name length max+1 (6 chars)').test_data.value, 'aaaaaa');
+  assert.strictEqual(findCase(boundary, 'POST /users with age at min-1 (17)').test_data.expected_status, 400);
+  assert.strictEqual(findCase(boundary, 'POST /users with age at max (99)').test_data.expected_status, 201);
+});
+
+check('Null edge case nulls the optional fields and keeps the required ones valid', () => {
+  const nullCase = findCase(generateTestCases(signup).edge, 'POST /users with null values');
+  assert.deepStrictEqual(nullCase.test_data, { name: 'valid', age: 18, nickname: null });
+});
+
+check('Null edge case is skipped when every field is required', () => {
+  const { edge } = generateTestCases(normalizeInput(readFileSync('./sample-api.json', 'utf8')));
+  assert.ok(!edge.some(testCase => testCase.title.endsWith('with null values')), titles(edge).join(', '));
+  assert.strictEqual(edge[0].id, 'TC__API_AUTH_LOGIN_EDGE_001');
+});
+
+// Nested objects and arrays
+const order = {
+  type: 'api',
+  endpoint: '/orders',
+  method: 'POST',
+  request: { address: { zip: '12345', city: 'Hanoi' }, items: [{ sku: 'A1', qty: 1 }] }
+};
+
+check('Nested object and array item fields get their own cases by JSON path', () => {
+  const { negative } = generateTestCases(order);
+  const missingZip = findCase(negative, 'POST /orders with address.zip missing');
+  assert.strictEqual(missingZip.test_data.field, 'address.zip');
+  assert.deepStrictEqual(missingZip.test_data.request, { address: { city: 'Hanoi' }, items: [{ sku: 'A1', qty: 1 }] });
+  const wrongQty = findCase(negative, 'POST /orders with items[].qty of wrong type (expected integer)');
+  assert.deepStrictEqual(wrongQty.test_data.request.items, [{ sku: 'A1', qty: 'not_a_number' }]);
+});
+
+check('Arrays get empty and oversized cases', () => {
+  const testCases = generateTestCases(order);
+  assert.deepStrictEqual(findCase(testCases.boundary, 'POST /orders with empty array items[]').test_data.request.items, []);
+  const oversized = findCase(testCases.edge, 'POST /orders with oversized array items[] (101 items)');
+  assert.strictEqual(oversized.test_data.request.items.length, 101);
+});
+
+// One field at a time
+check('Each field fault is its own case and keeps the other fields valid', () => {
+  const { negative } = generateTestCases(signup);
+  const faults = negative.filter(testCase => testCase.test_data.field === 'age').map(testCase => testCase.test_data.fault);
+  assert.deepStrictEqual(faults, ['missing', 'null', 'wrong_type']);
+  const tooLong = negative.find(testCase => testCase.test_data.field === 'name' && testCase.test_data.fault === 'too_long');
+  assert.deepStrictEqual({ ...tooLong.test_data.request, name: 'valid' }, generateTestCases(signup).positive[0].test_data);
+});
+
+check('Missing-field step is worded by where the field travels', () => {
+  const omitStep = (testCases, title) => findCase(testCases.negative, title).steps[1];
+  const [listPets, createPet] = normalizeInput(petStore).operations;
+  assert.strictEqual(omitStep(generateTestCases(listPets), 'GET /pets with status missing'), 'Omit the status query parameter');
+  assert.strictEqual(omitStep(generateTestCases(createPet), 'POST /pets with name missing'), 'Remove name from the request body');
+
+  const getItem = { type: 'api', endpoint: '/items/{id}', method: 'GET', request: { id: 1, page: 1 } };
+  assert.strictEqual(omitStep(generateTestCases(getItem), 'GET /items/{id} with id missing'), 'Omit the id path parameter');
+  assert.strictEqual(omitStep(generateTestCases(getItem), 'GET /items/{id} with page missing'), 'Omit the page query parameter');
+
+  const [postman] = normalizeInput(postmanCollection({
+    name: 'Create order',
+    request: { method: 'POST', url: 'https://api.shop.test/api/orders?dryRun=true', body: { mode: 'raw', raw: '{"sku":"A1"}' } }
+  })).operations;
+  assert.strictEqual(omitStep(generateTestCases(postman), 'POST /api/orders with dryRun missing'), 'Omit the dryRun query parameter');
+});
+
+// HTTP method templates
+check('GET collection gets pagination cases and 405 for methods the path does not declare', () => {
+  const testCases = generateTestCases({ type: 'api', endpoint: '/users', method: 'GET', request: { page: 1, limit: 10 } });
+  assert.deepStrictEqual(findCase(testCases.positive, 'GET /users first page with page and limit').test_data, { page: 1, limit: 10 });
+  assert.ok(findCase(testCases.boundary, 'GET /users with page beyond the last page'));
+  assert.strictEqual(findCase(testCases.negative, 'DELETE /users is not allowed').expected_result, 'API returns 405 status for unsupported method DELETE');
+});
+
+check('DELETE by id expects 204, then 404 for the repeated call and for an unknown id', () => {
+  const testCases = generateTestCases({ type: 'api', endpoint: '/users/{id}', method: 'DELETE', request: { id: 1 }, allowed_methods: ['GET', 'DELETE'] });
+  assert.strictEqual(testCases.positive[0].expected_result, 'API returns 204 status with valid response data');
+  assert.strictEqual(findCase(testCases.negative, 'DELETE /users/{id} twice').expected_result, 'First DELETE returns 204, the repeated DELETE returns 404');
+  assert.deepStrictEqual(findCase(testCases.negative, 'DELETE /users/{id} with unknown id').test_data, { id: 999999999 });
+  assert.ok(!titles(testCases.negative).includes('GET /users/{id} is not allowed'));
+});
+
+check('OpenAPI POST with a 201 response gets the Location case', () => {
+  const createPet = normalizeInput(petStore).operations[1];
+  const created = findCase(generateTestCases(createPet).positive, 'POST /pets creates a resource and returns its Location');
+  assert.strictEqual(created.steps[1], 'Verify response status is 201');
+});
+
+check('PATCH gets a partial update and status codes come from status_codes', () => {
+  const testCases = generateTestCases({
+    type: 'api', endpoint: '/users/{id}', method: 'PATCH', request: { id: 1, name: 'a', email: 'a@b.co' }, status_codes: { success: 202 }
+  });
+  const partial = findCase(testCases.positive, 'PATCH /users/{id} updates only name');
+  assert.deepStrictEqual(partial.test_data, { id: 1, name: 'a' });
+  assert.strictEqual(partial.expected_result, 'API returns 202 status and changes only name');
+});
+
+// Authentication and authorization
+check('Bearer endpoint gets missing, expired, malformed, role and IDOR cases', () => {
+  const { negative } = generateTestCases({ type: 'api', endpoint: '/users/{id}', method: 'GET', request: { id: 1 }, auth: { type: 'bearer' }, roles: ['admin'] });
+  const missing = findCase(negative, 'GET /users/{id} without bearer credentials');
+  assert.deepStrictEqual(missing.test_data.auth, { scheme: 'bearer', in: 'header', name: 'Authorization', value: null });
+  assert.strictEqual(missing.expected_result, 'API returns 401 status for an unauthenticated request');
+  assert.ok(findCase(negative, 'GET /users/{id} with expired or revoked bearer credentials'));
+  assert.ok(findCase(negative, 'GET /users/{id} with malformed bearer credentials'));
+  assert.strictEqual(findCase(negative, 'GET /users/{id} with insufficient role (requires admin)').expected_result,
+    'API returns 403 status for a user without sufficient permissions');
+  assert.ok(findCase(negative, "GET /users/{id} accessing another user's resource (id)"));
+});
+
+check('OpenAPI security block with a query API key', () => {
+  const spec = {
+    openapi: '3.0.0',
+    info: { title: 'Reports', version: '1.0' },
+    components: { securitySchemes: { key: { type: 'apiKey', name: 'api_key', in: 'query' } } },
+    security: [{ key: [] }],
+    paths: { '/reports': { get: { responses: { 200: { description: 'ok' } } } } }
+  };
+  const [operation] = normalizeInput(spec).operations;
+  const missing = findCase(generateTestCases(operation).negative, 'GET /reports without API key (api_key query)');
+  assert.strictEqual(missing.steps[0], 'Send GET request to /reports without api_key parameter');
+  assert.deepStrictEqual(missing.test_data.auth, { scheme: 'apiKey', in: 'query', name: 'api_key', value: null });
+});
+
+check('Endpoint without an auth scheme gets no auth cases', () => {
+  const testCases = generateTestCases({ type: 'api', endpoint: '/health', method: 'GET', request: {} });
+  assert.ok(!allCases(testCases).some(testCase => testCase.test_data.auth));
+});
+
+// Security payloads
+const search = { type: 'api', endpoint: '/api/search', method: 'GET', request: { q: 'string' } };
+const compiles = (code) => new vm.Script(code);
+
+check('Security payloads for GET go into the query string', () => {
+  const testCases = generateTestCases(search, { includeSecurity: true });
+  const [code] = generateAutomationTests(testCases, {}).tests.security;
+  assert.ok(code.includes("method: 'GET', params: data"), code);
+  compiles(code);
+});
+
+check('Header injection scripts send only the encoded payloads and list raw CR/LF ones as manual', () => {
+  const testCases = generateTestCases(search, { includeSecurity: true });
+  const headerCase = findCase(testCases.security, 'GET /api/search with header injection in X-Request-Id');
+  assert.ok(headerCase.test_data.payloads.length > 0);
+  assert.ok(headerCase.test_data.payloads.every(payload => !/[\r\n]/.test(payload)));
+  assert.deepStrictEqual(headerCase.test_data.manual_payloads, ['value\r\nX-Injected: true']);
+  for (const payload of headerCase.test_data.payloads) {
+    new Headers({ 'X-Request-Id': payload });
+  }
+  const code = generateAutomationTests({ security: [headerCase] }, {}).tests.security[0];
+  assert.ok(code.includes('// Manual (raw socket): "value\\r\\nX-Injected: true"'), code);
+  compiles(code);
+});
+
+check('A single security payload override is added as a one-item list', () => {
+  const testCases = generateTestCases(search, { includeSecurity: true, securityPayloads: { header_injection: 'abc', ldap_injection: '*)(uid=*' } });
+  const headerCase = findCase(testCases.security, 'GET /api/search with header injection in X-Request-Id');
+  assert.strictEqual(headerCase.test_data.payloads.at(-1), 'abc');
+  assert.deepStrictEqual(findCase(testCases.security, 'GET /api/search with ldap injection in q').test_data.payloads, ['*)(uid=*']);
+  assert.throws(() => generateTestCases(search, { includeSecurity: true, securityPayloads: { oversized_payload_bytes: 'big' } }),
+    /oversized_payload_bytes must be a positive integer/);
+});
+
+// Response contract
+const profile = {
+  type: 'api',
+  endpoint: "/api/o'brien/{id}",
+  method: 'GET',
+  request: { id: 1, q: 'x' },
+  response: { id: 1, name: 'a', user: { role: 'admin' } }
+};
+
+check('Response contract cases check required fields, types and sensitive fields', () => {
+  const { positive } = generateTestCases(profile);
+  const contracts = positive.filter(testCase => testCase.test_data.contract).map(testCase => testCase.test_data.contract);
+  assert.deepStrictEqual(contracts[0], { status: 200, required: ['id', 'name', 'user', 'user.role'] });
+  assert.deepStrictEqual(contracts[1].types, { id: 'number', name: 'string', user: 'object', 'user.role': 'string' });
+  assert.ok(contracts[2].forbidden.includes('password_hash'));
+});
+
+check('Error contract breaks a required field that is not a path parameter', () => {
+  const errorCase = findCase(generateTestCases(profile).negative, "GET /api/o'brien/{id} error response matches the error contract");
+  assert.deepStrictEqual(errorCase.test_data.request, { id: 1 });
+  assert.strictEqual(errorCase.steps[0], 'Omit the q query parameter');
+});
+
+check('Contract scripts send GET fields as params and quote the endpoint safely', () => {
+  const contractCases = generateTestCases(profile).positive.filter(testCase => testCase.test_data.contract);
+  for (const code of generateAutomationTests({ positive: contractCases }, {}).tests.positive) {
+    assert.ok(code.includes('request.fetch("/api/o\'brien/{id}", { method: "GET", params: {"id":1,"q":"x"} })'), code);
+    compiles(code);
+  }
+});
+
+// Boundary value analysis
+check('Every limited field gets min-1, min, min+1, max-1, max and max+1 with expectations by side', () => {
+  const { boundary } = generateTestCases(signup);
+  for (const field of ['name', 'age']) {
+    const cases = boundary.filter(testCase => testCase.test_data.field === field);
+    assert.deepStrictEqual(cases.map(testCase => testCase.test_data.boundary), ['min-1', 'min', 'min+1', 'max-1', 'max', 'max+1']);
+    assert.deepStrictEqual(cases.map(testCase => testCase.test_data.expected_status), [400, 201, 201, 201, 201, 400]);
+  }
+  const ages = boundary.filter(testCase => testCase.test_data.field === 'age').map(testCase => testCase.test_data.value);
+  assert.deepStrictEqual(ages, [17, 18, 19, 98, 99, 100]);
+});
+
+check('Strings without declared limits get assumed-limit boundary cases', () => {
+  const boundary = generateTestCases(normalizeInput({ endpoint: '/api/auth/login', method: 'POST', request: { username: 'string' } })).boundary;
+  assert.deepStrictEqual(boundary.map(testCase => testCase.test_data.boundary), ['min-1', 'min', 'min+1', 'max-1', 'max', 'max+1']);
+  assert.ok(boundary.every(testCase => testCase.test_data.assumed_limit === true));
+  assert.strictEqual(boundary[5].test_data.value.length, 256);
+});
+
+// Combinatorial
+const login = normalizeInput(readFileSync('./sample-api.json', 'utf8'));
+
+check('All-pairs run covers every pair of classes with at most one invalid class per case', () => {
+  const reports = [];
+  const { combinatorial } = generateTestCases(login, { combinatorial: { strength: 2, maxCases: 200, reports } });
+  const [report] = reports;
+  assert.strictEqual(report.coverage, '100%');
+  assert.strictEqual(report.cases, combinatorial.length);
+  assert.ok(report.cases < report.exhaustive_cases);
+
+  // Two invalid classes never share a case, so those pairs are not tuples to cover
+  const names = Object.keys(report.parameters);
+  const className = (entry) => entry.replace(/^~/, '');
+  for (const [i, first] of names.entries()) {
+    for (const second of names.slice(i + 1)) {
+      for (const a of report.parameters[first]) {
+        for (const b of report.parameters[second].filter(entry => !(a.startsWith('~') && entry.startsWith('~')))) {
+          assert.ok(combinatorial.some(testCase => testCase.test_data.combination[first] === className(a) && testCase.test_data.combination[second] === className(b)),
+            `${first}=${a}, ${second}=${b} not covered`);
+        }
+      }
+    }
+  }
+
+  for (const testCase of combinatorial) {
+    const invalid = Object.entries(testCase.test_data.combination)
+      .filter(([path, name]) => report.parameters[path].includes(`~${name}`));
+    assert.ok(invalid.length <= 1, testCase.title);
+    assert.strictEqual(testCase.test_data.expected_status, invalid.length > 0 ? 400 : 200);
+  }
+});
+
+check('max_cases cuts the covering set and the report shows the lower coverage', () => {
+  const reports = [];
+  const { combinatorial } = generateTestCases(login, { combinatorial: { strength: 2, maxCases: 3, reports } });
+  assert.strictEqual(combinatorial.length, 3);
+  assert.ok(parseFloat(reports[0].coverage) < 100, reports[0].coverage);
+});
+
+check('Combinatorial run above the tuple limit is rejected before any tuple is built', () => {
+  const request = Object.fromEntries(Array.from({ length: 60 }, (value, index) => [`field${index}`, 'string']));
+  const input = normalizeInput({ endpoint: '/api/users', method: 'POST', request });
+  assert.throws(() => generateTestCases(input, { combinatorial: { strength: 3 } }), /tuples/);
+});
+
+let failed = 0;
+console.log('🧪 Testing API generation...\n');
+for (const { name, fn } of checks) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.error(`❌ ${name}\n   ${error.message}`);
+  }
+}
+console.log(`\n${checks.length - failed}/${checks.length} checks passed`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,258 @@
+#!/usr/bin/env node
+
+import { spawn } from 'child_process';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import XLSX from 'xlsx';
+
+// Regression checks for the file readers (PDF, DOCX, YAML, spreadsheets) through the MCP server.
+// Fixtures are built in a temp directory; every request must answer in time, so a parser that hangs fails here
+const REQUEST_TIMEOUT_MS = 10000;
+const fixtureDir = mkdtempSync(join(tmpdir(), 'tcg-parsers-'));
+
+// Smallest valid PDF: catalog, page tree, one page, its content stream and a Type1 font
+function buildPdf(content) {
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+// Minimal .docx: a zip holding word/document.xml (heading, numbered list, table) and word/numbering.xml
+function buildDocx() {
+  const run = (text) => `<w:r><w:t>${text}</w:t></w:r>`;
+  const paragraph = (text, style) => `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ''}${run(text)}</w:p>`;
+  const numbered = (text) => `<w:p><w:pPr><w:numPr><w:ilvl w:val="0"/><w:numId w:val="1"/></w:numPr></w:pPr>${run(text)}</w:p>`;
+  const row = (...cells) => `<w:tr>${cells.map(cell => `<w:tc>${paragraph(cell)}</w:tc>`).join('')}</w:tr>`;
+  const document = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>' +
+    paragraph('Checkout', 'Heading1') +
+    numbered('FR-1: The cart must show the total price') +
+    numbered('FR-2: The user must be able to remove an item') +
+    `<w:tbl>${row('Rule', 'Limit')}${row('Max items', '50')}</w:tbl>` +
+    '</w:body></w:document>';
+  const numbering = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<w:numbering xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+    '<w:abstractNum w:abstractNumId="0"><w:lvl w:ilvl="0"><w:numFmt w:val="decimal"/></w:lvl></w:abstractNum>' +
+    '<w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>' +
+    '</w:numbering>';
+  const zip = XLSX.CFB.utils.cfb_new();
+  XLSX.CFB.utils.cfb_add(zip, 'word/document.xml', Buffer.from(document, 'utf8'));
+  XLSX.CFB.utils.cfb_add(zip, 'word/numbering.xml', Buffer.from(numbering, 'utf8'));
+  return XLSX.CFB.write(zip, { fileType: 'zip', type: 'buffer' });
+}
+
+// Requirement backlog with the header on the second row, below a title row
+function buildBacklogXlsx() {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+    ['Shop backlog'],
+    ['Key', 'Summary', 'Description', 'MoSCoW'],
+    ['SHOP-1', 'Cart total', 'The cart must show the total price', 'Must'],
+    ['SHOP-2', 'Remove item', 'User can remove an item from the cart', 'Could']
+  ]), 'Backlog');
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+const fixtures = {
+  'hello.pdf': buildPdf('BT /F1 12 Tf 72 700 Td (FR-2: Users can reset the password) Tj ET BT /F1 12 Tf 72 720 Td (FR-1: Users must log in with email) Tj ET'),
+  'truncated-hex.pdf': buildPdf('BT /F1 12 Tf 72 720 Td <48656c'),
+  'spec.docx': buildDocx(),
+  'legacy.doc': Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]),
+  'api.yaml': 'endpoint: /api/users\nmethod: POST\nrequest:\n  email: email\n  age: number\n',
+  'openapi.yml': [
+    'openapi: 3.0.0',
+    'info: {title: Pets, version: "1.0"}',
+    'paths:',
+    '  /pets:',
+    '    get:',
+    '      parameters:',
+    '        - {name: limit, in: query, schema: {type: integer, maximum: 100}}',
+    '      responses: {"200": {description: ok}}'
+  ].join('\n'),
+  'requirements.yaml': [
+    'user_stories:',
+    '  - As a buyer I want to pay by card so that I can check out',
+    'requirements:',
+    '  - id: FR-9',
+    '    text: Orders over 100 ship for free',
+    '    priority: P4'
+  ].join('\n'),
+  'backlog.xlsx': buildBacklogXlsx(),
+  'custom.csv': 'Req #,Need,Rank\nR-1,Checkout works offline,P4\n'
+};
+for (const [name, content] of Object.entries(fixtures)) {
+  writeFileSync(join(fixtureDir, name), content);
+}
+
+const checks = [
+  {
+    name: 'PDF text is extracted top to bottom with page markers',
+    tool: 'read_requirement_file',
+    args: { file_path: join(fixtureDir, 'hello.pdf') },
+    verify: result => result.success && result.page_count === 1 &&
+      result.content === '--- Page 1 ---\nFR-1: Users must log in with email\nFR-2: Users can reset the password'
+  },
+  {
+    name: 'PDF requirements keep the page they came from',
+    tool: 'generate_test_cases_from_file',
+    args: { file_path: join(fixtureDir, 'hello.pdf'), auto_export_excel: false },
+    verify: result => result.success && result.test_cases.positive.some(testCase => testCase.requirement_id === 'FR-1' && testCase.page === 1)
+  },
+  {
+    name: 'PDF with an unterminated hex string answers instead of hanging',
+    tool: 'read_requirement_file',
+    args: { file_path: join(fixtureDir, 'truncated-hex.pdf') },
+    verify: result => result.success === false && typeof result.error === 'string'
+  },
+  {
+    name: 'DOCX keeps headings, numbered lists and tables',
+    tool: 'read_requirement_file',
+    args: { file_path: join(fixtureDir, 'spec.docx') },
+    verify: result => result.success &&
+      result.content.includes('# Checkout\n1. FR-1: The cart must show the total price\n2. FR-2:') &&
+      result.content.includes('| Rule | Limit |\n| --- | --- |\n| Max items | 50 |')
+  },
+  {
+    name: 'DOCX heading and list items become requirements',
+    tool: 'generate_test_cases_from_file',
+    args: { file_path: join(fixtureDir, 'spec.docx'), auto_export_excel: false },
+    verify: result => result.success && ['FR-1', 'FR-2'].every(id => result.test_cases.positive.some(testCase => testCase.requirement_id === id))
+  },
+  {
+    name: 'Legacy .doc gets a clear error',
+    tool: 'read_requirement_file',
+    args: { file_path: join(fixtureDir, 'legacy.doc') },
+    verify: result => result.success === false && /save the document as \.docx/.test(result.error)
+  },
+  {
+    name: 'YAML API definition gets API cases',
+    tool: 'generate_test_cases_from_file',
+    args: { file_path: join(fixtureDir, 'api.yaml'), auto_export_excel: false },
+    verify: result => result.success && result.input_type === 'api' &&
+      result.test_cases.negative.some(testCase => testCase.test_data.field === 'email' && testCase.test_data.fault === 'invalid_format')
+  },
+  {
+    name: 'YAML OpenAPI file becomes one suite per operation',
+    tool: 'generate_test_cases_from_file',
+    args: { file_path: join(fixtureDir, 'openapi.yml'), auto_export_excel: false },
+    verify: result => result.success && result.input_type === 'openapi' && result.test_cases.positive[0].suite === 'GET /pets'
+  },
+  {
+    name: 'YAML requirement list keeps IDs and priorities',
+    tool: 'generate_test_cases_from_file',
+    args: { file_path: join(fixtureDir, 'requirements.yaml'), auto_export_excel: false },
+    verify: result => result.success && result.input_type === 'requirements' &&
+      result.test_cases.positive.some(testCase => testCase.requirement_id === 'FR-9' && testCase.priority === 'Low')
+  },
+  {
+    name: 'Spreadsheet rows keep their ID and priority on every case',
+    tool: 'generate_test_cases_from_file',
+    args: { file_path: join(fixtureDir, 'backlog.xlsx'), auto_export_excel: false },
+    verify: result => result.success && result.input_type === 'requirements' &&
+      result.test_cases.positive.some(testCase => testCase.requirement_id === 'SHOP-1' && testCase.priority === 'High') &&
+      result.test_cases.positive.some(testCase => testCase.requirement_id === 'SHOP-2' && testCase.priority === 'Low')
+  },
+  {
+    name: 'CSV columns can be mapped by header name or column letter',
+    tool: 'generate_test_cases_from_file',
+    args: { file_path: join(fixtureDir, 'custom.csv'), column_mapping: { id: 'Req #', title: 'B', priority: 'Rank' }, auto_export_excel: false },
+    verify: result => result.success &&
+      result.test_cases.positive.some(testCase => testCase.requirement_id === 'R-1' && testCase.title === 'R-1: Checkout works offline')
+  },
+  {
+    name: 'Unknown column_mapping key is rejected',
+    tool: 'read_requirement_file',
+    args: { file_path: join(fixtureDir, 'custom.csv'), column_mapping: { bogus: 'A' } },
+    verify: result => result.success === false && /Unknown column_mapping key bogus/.test(result.error)
+  }
+];
+
+const serverProcess = spawn('node', ['index.js'], {
+  cwd: process.cwd(),
+  stdio: ['pipe', 'pipe', 'ignore']
+});
+
+const pending = new Map();
+let buffer = '';
+serverProcess.stdout.on('data', (data) => {
+  buffer += data.toString();
+  const lines = buffer.split('\n');
+  buffer = lines.pop();
+  for (const line of lines.filter(Boolean)) {
+    const response = JSON.parse(line);
+    if (pending.has(response.id)) {
+      pending.get(response.id)(response);
+      pending.delete(response.id);
+    }
+  }
+});
+
+let nextId = 1;
+function call(method, params) {
+  const id = nextId++;
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`no response within ${REQUEST_TIMEOUT_MS} ms`)), REQUEST_TIMEOUT_MS);
+    pending.set(id, (response) => {
+      clearTimeout(timer);
+      resolve(response);
+    });
+    serverProcess.stdin.write(JSON.stringify({ jsonrpc: '2.0', id, method, params }) + '\n');
+  });
+}
+
+async function run() {
+  console.log('🧪 Testing file parsers through the MCP server...\n');
+  await call('initialize', { protocolVersion: '2024-11-05', capabilities: {}, clientInfo: { name: 'test-file-parsers', version: '1.0.0' } });
+  serverProcess.stdin.write(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' }) + '\n');
+
+  let failed = 0;
+  for (const { name, tool, args, verify } of checks) {
+    try {
+      const response = await call('tools/call', { name: tool, arguments: args });
+      const result = JSON.parse(response.result.content[0].text);
+      if (!verify(result)) {
+        throw new Error(`unexpected result: ${JSON.stringify(result).slice(0, 300)}`);
+      }
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.error(`❌ ${name}\n   ${error.message}`);
+      // A request that timed out leaves the server busy; the remaining checks cannot run
+      if (/no response/.test(error.message)) {
+        break;
+      }
+    }
+  }
+
+  console.log(`\n${checks.length - failed}/${checks.length} checks passed`);
+  return failed;
+}
+
+run()
+  .then(failed => {
+    serverProcess.kill();
+    rmSync(fixtureDir, { recursive: true, force: true });
+    process.exit(failed > 0 ? 1 : 0);
+  })
+  .catch(error => {
+    console.error('❌ Test run failed:', error.message);
+    serverProcess.kill();
+    rmSync(fixtureDir, { recursive: true, force: true });
+    process.exit(1);
+  });
@@ -0,0 +1,479 @@
+#!/usr/bin/env node
+
+import assert from 'assert';
+import { readFileSync, mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import XLSX from 'xlsx';
+import { normalizeInput, generateTestCases, validateOutput, isModelInput, generateAutomationTests, exportToExcel } from './index.js';
+
+// Regression checks for the text and JSON input parsers: each input is normalized and generated from,
+// including the malformed inputs that used to be misdetected or produced bogus cases
+const checks = [];
+const check = (name, fn) => checks.push({ name, fn });
+const allCases = (testCases) => Object.values(testCases).flat();
+// Same validation the generate_test_cases tool reports
+const validate = (input) => validateOutput(generateTestCases(input), [], { modelDriven: isModelInput(input) });
+
+// Gherkin
+check('Scenario Outline gives one case per Examples row with the row as test data', () => {
+  const input = normalizeInput([
+    'Feature: Login',
+    '  Background:',
+    '    Given the login page is open',
+    '  @negative',
+    '  Scenario Outline: Login with bad credentials',
+    '    When I enter username "<username>"',
+    '    Then I see the error "<message>"',
+    '    Examples:',
+    '      | username | message             |',
+    '      | alice    | Invalid credentials |',
+    '      | bob      | Account locked      |'
+  ].join('\n'));
+  assert.strictEqual(input.type, 'gherkin');
+  const { negative } = generateTestCases(input);
+  assert.strictEqual(negative.length, 2);
+  assert.strictEqual(negative[1].precondition, 'the login page is open');
+  assert.deepStrictEqual(negative[1].steps, ['I enter username "bob"']);
+  assert.deepStrictEqual(negative[1].test_data, { username: 'bob', message: 'Account locked' });
+});
+
+check('Placeholders that are not Examples columns are left as written', () => {
+  const input = normalizeInput([
+    'Feature: Templates',
+    '  Scenario Outline: render',
+    '    When I render <constructor> for <name>',
+    '    Then I see <toString>',
+    '    Examples:',
+    '      | name  |',
+    '      | alice |'
+  ].join('\n'));
+  const [testCase] = allCases(generateTestCases(input));
+  assert.deepStrictEqual(testCase.steps, ['I render <constructor> for alice']);
+  assert.strictEqual(testCase.expected_result, 'I see <toString>');
+});
+
+check('Rule-level Background table does not leak into the previous Examples', () => {
+  const input = normalizeInput([
+    'Feature: Login',
+    '  Scenario Outline: login',
+    '    Given user <u> with role <r>',
+    '    Examples:',
+    '      | u     | r     |',
+    '      | alice | admin |',
+    '  Rule: Lockout',
+    '    Background:',
+    '      Given these users exist',
+    '        | name | attempts |',
+    '        | bob  | 4        |',
+    '    Scenario: locked out',
+    '      When bob fails to log in again',
+    '      Then bob is locked out'
+  ].join('\n'));
+  assert.strictEqual(input.scenarios[0].examples[0].rows.length, 1);
+  const titles = allCases(generateTestCases(input)).map(testCase => testCase.title);
+  assert.ok(titles.includes('login (u=alice, r=admin)'));
+  assert.ok(!titles.some(title => /u=name|u=bob/.test(title)), titles.join(', '));
+});
+
+check('Single-scenario feature is valid without three cases per section', () => {
+  const input = normalizeInput('Feature: Logout\n  Scenario: logout\n    When I log out\n    Then I see the login page');
+  assert.deepStrictEqual(validate(input), { isValid: true, errors: [] });
+});
+
+// User stories
+check('Story role, goal and benefit go into precondition, steps and expected result', () => {
+  const [happyPath] = generateTestCases(normalizeInput('As a shopper\nI want to add items to my cart\nSo that I can buy them later')).positive;
+  assert.strictEqual(happyPath.precondition, 'User is logged in as a shopper with access to the feature');
+  assert.ok(happyPath.steps.includes('Add items to my cart with valid data'), happyPath.steps.join(' / '));
+  assert.strictEqual(happyPath.expected_result, 'Shopper can add items to my cart, so that I can buy them later');
+});
+
+check('Given/When/Then acceptance criteria become their own cases', () => {
+  const input = normalizeInput([
+    'As a shopper',
+    'I want to add items to my cart',
+    'So that I can buy them later',
+    '',
+    'Given I am on a product page',
+    'When I click "Add to cart"',
+    'Then the cart badge shows 1'
+  ].join('\n'));
+  const criterion = generateTestCases(input).positive.find(testCase => testCase.title === 'AC1: the cart badge shows 1');
+  assert.strictEqual(criterion.precondition, 'User is logged in as a shopper with access to the feature; I am on a product page');
+  assert.deepStrictEqual(criterion.steps, ['I click "Add to cart"']);
+  assert.strictEqual(criterion.expected_result, 'the cart badge shows 1');
+});
+
+check('Login story does not start from a logged-in session', () => {
+  const [happyPath] = generateTestCases(normalizeInput('As a user\nI want to login\nSo that I can access dashboard')).positive;
+  assert.strictEqual(happyPath.precondition, 'User account exists');
+  assert.ok(!happyPath.steps.some(step => /^Log in as/.test(step)), happyPath.steps.join(' / '));
+});
+
+check('Story with an "Acceptance criteria:" list keeps its role on the criteria', () => {
+  const input = normalizeInput('As a shopper I want to apply a coupon so that I pay less\n\nAcceptance criteria:\n- Valid coupon reduces the total\n- Expired coupon shows an error');
+  assert.strictEqual(input.type, 'user_story');
+  const criteria = generateTestCases(input).positive.filter(testCase => testCase.test_data.scenario === 'acceptance_criterion');
+  assert.strictEqual(criteria.length, 2);
+  assert.ok(criteria.every(testCase => testCase.precondition.includes('shopper')));
+});
+
+// Requirement documents
+check('sample-requirements.md gives stable requirement IDs carried on every case', () => {
+  const input = normalizeInput(readFileSync('./sample-requirements.md', 'utf8'));
+  assert.strictEqual(input.type, 'requirements');
+  assert.deepStrictEqual(input.requirements.slice(0, 2).map(requirement => requirement.id), ['REQ-001', 'REQ-002']);
+  assert.strictEqual(input.requirements[0].kind, 'user_story');
+  const cases = allCases(generateTestCases(input));
+  assert.ok(cases.every(testCase => /^REQ-\d{3}$/.test(testCase.requirement_id)));
+  assert.ok(cases.some(testCase => testCase.requirement_id === 'REQ-011'));
+});
+
+check('Existing requirement IDs are kept', () => {
+  const input = normalizeInput('# Search\n- FR-7: Users can search products by name\n- Results are paginated');
+  assert.deepStrictEqual(input.requirements.map(requirement => requirement.id), ['FR-7', 'REQ-001']);
+});
+
+check('Requirement document is valid without three cases per section', () => {
+  const input = normalizeInput(readFileSync('./sample-requirements.md', 'utf8'));
+  assert.deepStrictEqual(validate(input), { isValid: true, errors: [] });
+});
+
+// Batch input
+const authService = {
+  login: { endpoint: '/auth/login', method: 'POST', request: { email: 'email', password: 'string' } },
+  logout: { endpoint: '/auth/logout', method: 'POST', request: { token: 'string' } }
+};
+
+check('Object of named specs becomes one suite per spec', () => {
+  const input = normalizeInput(authService);
+  assert.strictEqual(input.type, 'batch');
+  assert.deepStrictEqual(input.inputs.map(entry => entry.suite), ['login', 'logout']);
+  const { positive } = generateTestCases(input);
+  assert.deepStrictEqual(positive.map(testCase => `${testCase.suite} ${testCase.id}`), ['login TC__AUTH_LOGIN_POS_001', 'logout TC__AUTH_LOGOUT_POS_001']);
+});
+
+check('Array of inputs is named by method and endpoint', () => {
+  const input = normalizeInput([
+    { endpoint: '/orders', method: 'GET', request: { page: 'number' } },
+    { endpoint: '/orders', method: 'POST', request: { sku: 'string' } }
+  ]);
+  assert.deepStrictEqual(input.inputs.map(entry => entry.suite), ['GET /orders', 'POST /orders']);
+});
+
+check('Batch export writes every suite into one workbook', async () => {
+  const outputDir = mkdtempSync(join(tmpdir(), 'tcg-batch-'));
+  try {
+    const outputPath = join(outputDir, 'batch.xlsx');
+    await exportToExcel(generateTestCases(normalizeInput(authService)), outputPath);
+    const workbook = XLSX.readFile(outputPath);
+    const suites = XLSX.utils.sheet_to_json(workbook.Sheets.Suites).map(row => row.Suite);
+    assert.deepStrictEqual(suites, ['login', 'logout', 'Total']);
+    const rows = XLSX.utils.sheet_to_json(workbook.Sheets['Test Cases']);
+    assert.deepStrictEqual([...new Set(rows.map(row => row.Suite))], ['login', 'logout']);
+  } finally {
+    rmSync(outputDir, { recursive: true, force: true });
+  }
+});
+
+// HTML forms
+const signupForm = {
+  html: '<form id="signup" action="/signup">' +
+    '<label for="email">Email</label><input id="email" name="email" type="email" required>' +
+    '<input name="age" type="number" min="18" max="99" data-testid="age-input">' +
+    '<input name="nick" maxlength="10">' +
+    '<button type="submit">Sign up</button></form>',
+  url: '/signup'
+};
+
+check('Form locators come from the markup: data-testid, then id, then name', () => {
+  const input = normalizeInput(signupForm);
+  assert.strictEqual(input.type, 'html_form');
+  const locators = Object.fromEntries(input.fields.map(field => [field.name, field.locator]));
+  assert.deepStrictEqual(locators, {
+    email: "page.locator('#email')",
+    age: "page.getByTestId('age-input')",
+    nick: "page.locator('#signup').locator('[name=\"nick\"]')"
+  });
+});
+
+check('Form attributes give validity cases and the script checks the field validity', () => {
+  const testCases = generateTestCases(normalizeInput(signupForm));
+  const underflow = testCases.negative.find(testCase => testCase.title === 'signup: age below min (17)');
+  assert.strictEqual(underflow.test_data.validity, 'rangeUnderflow');
+  assert.ok(testCases.boundary.some(testCase => testCase.title === 'signup: nick typed past maxlength (11 chars)'));
+  const code = generateAutomationTests({ negative: [underflow] }, {}).tests.negative[0];
+  assert.ok(code.includes("await page.getByTestId('age-input').pressSequentially('17');"), code);
+  assert.ok(code.includes("expect(await page.getByTestId('age-input').evaluate(el => el.validity.rangeUnderflow)).toBe(true);"), code);
+});
+
+check('An "html" key without a form is reported instead of becoming raw text', () => {
+  assert.throws(() => normalizeInput({ html: '<div>no form</div>' }), /No form fields found/);
+});
+
+check('HTML form is valid without three cases per section', () => {
+  assert.deepStrictEqual(validate(normalizeInput(signupForm)), { isValid: true, errors: [] });
+});
+
+// SQL DDL
+const shopSchema = [
+  'CREATE TABLE users (',
+  '  id INT PRIMARY KEY,',
+  '  email VARCHAR(20) NOT NULL UNIQUE',
+  ');',
+  'CREATE TABLE orders (',
+  '  id INT PRIMARY KEY,',
+  '  user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE',
+  ');'
+].join('\n');
+
+check('SQL schema with CREATE TABLE becomes one db_schema suite per table', () => {
+  const input = normalizeInput(shopSchema);
+  assert.strictEqual(input.type, 'db_schema');
+  assert.deepStrictEqual(input.tables.map(table => table.name), ['users', 'orders']);
+  const suites = new Set(allCases(generateTestCases(input)).map(testCase => testCase.suite));
+  assert.deepStrictEqual([...suites], ['users', 'orders']);
+});
+
+check('Constraint cases carry runnable SQL and the expected error', () => {
+  const testCases = generateTestCases(normalizeInput({ sql: shopSchema }));
+  const byTitle = (section, title) => testCases[section].find(testCase => testCase.title === title).test_data;
+  assert.deepStrictEqual(byTitle('negative', 'users: duplicate value for UNIQUE (email)').expected_error, { sqlstate: '23505', name: 'unique_violation' });
+  assert.strictEqual(byTitle('negative', 'orders: orphan user_id not present in users').sql, 'INSERT INTO orders (id, user_id) VALUES (1, 999999);');
+  assert.strictEqual(byTitle('boundary', 'users: email one character over the limit (21)').expected_error.name, 'string_data_right_truncation');
+  assert.strictEqual(byTitle('edge', 'orders: ON DELETE CASCADE from users').sql, 'DELETE FROM users WHERE id = 1;');
+});
+
+check('Requirement prose mentioning "create a table" stays a requirement document', () => {
+  const input = normalizeInput('# Admin\n- Admin can create a new table of users\n- Admin can delete users');
+  assert.strictEqual(input.type, 'requirements');
+  assert.strictEqual(input.requirements.length, 2);
+});
+
+check('A "sql" key without CREATE TABLE is reported instead of becoming raw text', () => {
+  assert.throws(() => normalizeInput({ sql: 'SELECT 1;' }), /No CREATE TABLE statement found/);
+});
+
+check('SQL schema is valid without three cases per section', () => {
+  const input = normalizeInput('CREATE TABLE tags (\n  id INT PRIMARY KEY,\n  label VARCHAR(30)\n);');
+  assert.deepStrictEqual(validate(input), { isValid: true, errors: [] });
+});
+
+// GraphQL SDL
+const userSchema = [
+  'type Query { user(id: ID!): User }',
+  'type Mutation { createUser(input: NewUser!): User }',
+  'input NewUser { name: String!, role: Role }',
+  'enum Role { ADMIN USER }',
+  'type User { id: ID!, name: String, friends: [User] }'
+].join('\n');
+
+check('GraphQL SDL becomes one suite per operation', () => {
+  const input = normalizeInput(userSchema);
+  assert.strictEqual(input.type, 'graphql');
+  assert.deepStrictEqual(input.operations.map(operation => operation.suite), ['query user', 'mutation createUser']);
+});
+
+check('GraphQL cases cover non-null, scalar, enum, depth and resolver errors with sendable payloads', () => {
+  const testCases = generateTestCases(normalizeInput({ graphql: userSchema, endpoint: '/api/graphql' }));
+  const byTitle = (section, title) => testCases[section].find(testCase => testCase.title === title);
+  assert.deepStrictEqual(byTitle('negative', 'mutation createUser: missing non-null argument input.name').test_data.graphql.variables, { input: { role: 'ADMIN' } });
+  assert.deepStrictEqual(byTitle('negative', 'query user: id with a value that is not an ID').test_data.graphql.variables, { id: true });
+  assert.strictEqual(byTitle('negative', 'mutation createUser: input.role outside enum Role').test_data.graphql.variables.input.role, 'INVALID_ENUM_VALUE');
+  assert.ok(byTitle('edge', 'query user: selection nested 11 levels deep (friends.friends.friends...)'));
+  assert.ok(byTitle('edge', 'query user: resolver error'));
+
+  const missing = byTitle('negative', 'query user: missing non-null argument id');
+  const code = generateAutomationTests({ negative: [missing] }, {}).tests.negative[0];
+  assert.ok(code.includes("await request.post('/api/graphql', {"), code);
+  assert.ok(code.includes('"operationName":"User"'), code);
+});
+
+check('A "graphql" key with broken SDL is reported instead of becoming raw text', () => {
+  assert.throws(() => normalizeInput({ graphql: 'type Query { user(id: ID!): User' }), /in GraphQL schema/);
+  assert.throws(() => normalizeInput({ graphql: 'type User { id: ID! }' }), /No Query or Mutation fields found/);
+});
+
+check('GraphQL schema is valid without three cases per section', () => {
+  assert.deepStrictEqual(validate(normalizeInput({ graphql: 'type Query { ping: String }' })), { isValid: true, errors: [] });
+});
+
+// Decision tables
+const freeShipping = {
+  decision_table: {
+    conditions: { premium: [true, false], cart_over_100: [true, false] },
+    actions: ['free_shipping'],
+    rules: [
+      { id: 'R1', when: { premium: true, cart_over_100: true }, then: ['free_shipping'] },
+      { id: 'R2', when: { premium: false, cart_over_100: true }, then: [] },
+      { id: 'R3', when: { premium: false, cart_over_100: false }, then: [] }
+    ]
+  }
+};
+
+check('Decision table gives one case per rule and merges rules whose condition does not matter', () => {
+  const input = normalizeInput(freeShipping);
+  assert.strictEqual(input.type, 'decision_table');
+  const { positive, negative } = generateTestCases(input);
+  assert.deepStrictEqual(positive.map(testCase => testCase.title), ['Rule R1: premium=Yes, cart_over_100=Yes → free_shipping']);
+  assert.deepStrictEqual(negative[0].test_data.merged_from, ['R2', 'R3']);
+  assert.deepStrictEqual(negative[0].test_data.dont_care, ['cart_over_100']);
+});
+
+check('Decision table markdown reports conflicts and gaps', () => {
+  const input = normalizeInput([
+    '# Free shipping',
+    '',
+    '| Rule | Premium | Country       | => Free shipping |',
+    '|------|---------|---------------|------------------|',
+    '| R1   | Y       | domestic      | X                |',
+    '| R2   | N       | domestic      |                  |',
+    '| R3   | Y       | international |                  |',
+    '| R4   | Y       | -             | X                |'
+  ].join('\n'));
+  assert.strictEqual(input.type, 'decision_table');
+  assert.ok(input.warnings.some(warning => /conflict/.test(warning)));
+  assert.ok(input.warnings.some(warning => /No rule covers/.test(warning)));
+});
+
+check('Decision table is valid without three cases per section and keeps its gap warning', () => {
+  const input = normalizeInput(freeShipping);
+  const validation = validateOutput(generateTestCases(input), input.warnings, { modelDriven: isModelInput(input) });
+  assert.strictEqual(validation.isValid, true);
+  assert.deepStrictEqual(validation.warnings, ['No rule covers 1 combination(s): premium=Yes, cart_over_100=No']);
+});
+
+// State machines
+const accountLockout = {
+  state_machine: {
+    initial: 'active',
+    states: ['active', 'locked'],
+    transitions: [
+      'active --login_success--> active',
+      { from: 'active', event: 'login_failed', to: 'active', guard: 'failed_attempts < 5' },
+      { from: 'active', event: 'login_failed', to: 'locked', guard: 'failed_attempts >= 5' },
+      'locked --unlock--> active'
+    ]
+  }
+};
+
+check('State machine covers every transition from its starting state', () => {
+  const input = normalizeInput(accountLockout);
+  assert.strictEqual(input.type, 'state_machine');
+  const { positive } = generateTestCases(input);
+  assert.strictEqual(positive.length, 4);
+  const unlock = positive.find(testCase => testCase.title === 'unlock in "locked" moves to "active"');
+  assert.strictEqual(unlock.precondition, 'System is in state "locked"');
+  assert.deepStrictEqual(unlock.test_data.setup_events, Array(5).fill('login_failed'));
+});
+
+check('Events a state does not handle are negative cases that keep the state', () => {
+  const { negative } = generateTestCases(normalizeInput(accountLockout));
+  assert.deepStrictEqual(negative.map(testCase => testCase.title), [
+    'unlock is not allowed in "active"',
+    'login_success is not allowed in "locked"',
+    'login_failed is not allowed in "locked"'
+  ]);
+  assert.ok(negative.every(testCase => testCase.test_data.expected_state === testCase.test_data.state));
+});
+
+check('Counter guard gives the N-switch lockout sequence and the one-short boundary', () => {
+  const { boundary, edge } = generateTestCases(normalizeInput(accountLockout));
+  assert.deepStrictEqual(edge[0].test_data.events, Array(5).fill('login_failed'));
+  assert.strictEqual(edge[0].test_data.expected_state, 'locked');
+  assert.deepStrictEqual(boundary[0].test_data.events, Array(4).fill('login_failed'));
+  assert.strictEqual(boundary[0].test_data.expected_state, 'active');
+});
+
+check('State machine is valid without three cases per section', () => {
+  assert.deepStrictEqual(validate(normalizeInput(accountLockout)), { isValid: true, errors: [] });
+});
+
+// Permission matrices
+const documentPermissions = {
+  permissions: {
+    roles: ['admin', 'viewer'],
+    resources: { document: { read: '*', delete: ['admin'] } }
+  }
+};
+const publishingStory = {
+  story: 'As an editor I want to publish articles so that readers see them',
+  permissions: { roles: ['editor', 'viewer'], resources: { article: { publish: ['editor'] } } }
+};
+
+check('Permission matrix gives an allow or deny case for every role and action', () => {
+  const input = normalizeInput(documentPermissions);
+  assert.strictEqual(input.type, 'permission_matrix');
+  const { positive, negative } = generateTestCases(input);
+  assert.deepStrictEqual(positive.map(testCase => testCase.title), [
+    'Admin can read document',
+    'Viewer can read document',
+    'Admin can delete document'
+  ]);
+  assert.deepStrictEqual(negative.map(testCase => testCase.title), ['Viewer cannot delete document']);
+});
+
+check('Permission cases carry role-specific preconditions and test data', () => {
+  const [denied] = generateTestCases(normalizeInput(documentPermissions)).negative;
+  assert.strictEqual(denied.precondition, 'User is logged in as a viewer (viewer@example.com)');
+  assert.deepStrictEqual(denied.test_data, {
+    role: 'viewer',
+    user: 'viewer@example.com',
+    resource: 'document',
+    action: 'delete',
+    permission: 'deny'
+  });
+  assert.strictEqual(denied.priority, 'High');
+});
+
+check('Story permissions replace the generic-role cases', () => {
+  const input = normalizeInput(publishingStory);
+  assert.strictEqual(input.type, 'user_story');
+  const { positive, negative } = generateTestCases(input);
+  assert.deepStrictEqual(positive.map(testCase => testCase.title), ['Editor can publish article']);
+  assert.deepStrictEqual(negative.map(testCase => testCase.title), ['Viewer cannot publish article']);
+});
+
+check('Story passed with an explicit type accepts a raw permission matrix', () => {
+  const { positive, negative } = generateTestCases({
+    type: 'user_story',
+    content: publishingStory.story,
+    permissions: publishingStory.permissions
+  });
+  assert.deepStrictEqual([...positive, ...negative].map(testCase => testCase.test_data.permission), ['allow', 'deny']);
+});
+
+check('Excel export lists the permission matrix as its own sheet', async () => {
+  const outputDir = mkdtempSync(join(tmpdir(), 'tcg-permissions-'));
+  try {
+    const outputPath = join(outputDir, 'permissions.xlsx');
+    await exportToExcel(generateTestCases(normalizeInput(documentPermissions)), outputPath);
+    const workbook = XLSX.readFile(outputPath);
+    assert.deepStrictEqual(XLSX.utils.sheet_to_json(workbook.Sheets['Permission Matrix'], { header: 1 }), [
+      ['Resource', 'Action', 'admin', 'viewer'],
+      ['document', 'read', 'Allow', 'Allow'],
+      ['document', 'delete', 'Allow', 'Deny']
+    ]);
+  } finally {
+    rmSync(outputDir, { recursive: true, force: true });
+  }
+});
+
+check('Permission matrix is valid without three cases per section', () => {
+  assert.deepStrictEqual(validate(normalizeInput(documentPermissions)), { isValid: true, errors: [] });
+});
+
+let failed = 0;
+console.log('🧪 Testing input parsers...\n');
+for (const { name, fn } of checks) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.error(`❌ ${name}\n   ${error.message}`);
+  }
+}
+console.log(`\n${checks.length - failed}/${checks.length} checks passed`);
+process.exit(failed > 0 ? 1 : 0);